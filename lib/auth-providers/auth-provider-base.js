@@ -0,0 +1,79 @@
+'use strict';
+
+/// The base class for all HTTP authentication providers.
+///
+/// An auth provider is consulted by the <see>HTTPClient</see>
+/// before every request, to get the authentication headers for
+/// the request. If SOLR responds with a `401` status code, then
+/// <see>AuthProviderBase.refresh</see> is called, and if it returns
+/// `true`, the request is retried once with the new credentials.
+///
+/// Custom auth providers can be created by extending this class, and
+/// overloading the `getHeaders` and `refresh` methods.
+class AuthProviderBase {
+  static _isMythixSOLRAuthProvider = true;
+
+  /// Check if the provided value is an
+  /// auth provider instance.
+  ///
+  /// Return: boolean
+  ///
+  /// Arguments:
+  ///   value: any
+  ///     The value to check.
+  static isAuthProvider(value) {
+    if (!value)
+      return false;
+
+    return (value instanceof AuthProviderBase || !!(value.constructor && value.constructor._isMythixSOLRAuthProvider));
+  }
+
+  constructor(options) {
+    Object.defineProperties(this, {
+      'options': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options || {},
+      },
+    });
+  }
+
+  /// Get the options provided to this auth provider.
+  ///
+  /// Return: object
+  getOptions() {
+    return this.options;
+  }
+
+  /// Get the authentication headers for a request.
+  ///
+  /// Return: Promise<object>
+  ///   The headers to add to the request, i.e. `{ authorization: 'Bearer ...' }`.
+  ///
+  /// Arguments:
+  ///   requestOptions: object
+  ///     The options of the request being made.
+  // eslint-disable-next-line no-unused-vars
+  async getHeaders(requestOptions) {
+    return {};
+  }
+
+  /// Refresh the credentials of this provider. This is
+  /// called when SOLR responds with a `401` status code.
+  ///
+  /// Return: Promise<boolean>
+  ///   `true` if the credentials were refreshed, and the
+  ///   request should be retried, or `false` otherwise.
+  ///
+  /// Arguments:
+  ///   context: object
+  ///     `{ requestOptions, response }`, the options of the
+  ///     request that failed, and the `401` response.
+  // eslint-disable-next-line no-unused-vars
+  async refresh(context) {
+    return false;
+  }
+}
+
+module.exports = AuthProviderBase;
@@ -0,0 +1,30 @@
+'use strict';
+
+/* global Buffer */
+
+const AuthProviderBase = require('./auth-provider-base');
+
+/// HTTP Basic authentication, for use with the SOLR
+/// [Basic Authentication Plugin](https://solr.apache.org/guide/solr/latest/deployment-guide/basic-authentication-plugin.html).
+///
+/// Example:
+///   new BasicAuthProvider({ username: 'solr', password: 'SolrRocks' });
+///
+/// Extends: <see>AuthProviderBase</see>
+class BasicAuthProvider extends AuthProviderBase {
+  constructor(options) {
+    super(options);
+
+    if (!this.options.username)
+      throw new Error(`${this.constructor.name}::constructor: A "username" option is required.`);
+  }
+
+  async getHeaders() {
+    let { username, password } = this.getOptions();
+    let credentials = Buffer.from(`${username}:${password || ''}`, 'utf8').toString('base64');
+
+    return { authorization: `Basic ${credentials}` };
+  }
+}
+
+module.exports = BasicAuthProvider;
@@ -0,0 +1,28 @@
+'use strict';
+
+const AuthProviderBase = require('./auth-provider-base');
+
+/// Bearer token authentication, for use with the SOLR
+/// [JWT Authentication Plugin](https://solr.apache.org/guide/solr/latest/deployment-guide/jwt-authentication-plugin.html).
+///
+/// The token is static. If the token needs to be refreshed,
+/// use a <see>CustomAuthProvider</see> instead.
+///
+/// Example:
+///   new BearerAuthProvider({ token: 'eyJhbGciOi...' });
+///
+/// Extends: <see>AuthProviderBase</see>
+class BearerAuthProvider extends AuthProviderBase {
+  constructor(options) {
+    super(options);
+
+    if (!this.options.token)
+      throw new Error(`${this.constructor.name}::constructor: A "token" option is required.`);
+  }
+
+  async getHeaders() {
+    return { authorization: `Bearer ${this.getOptions().token}` };
+  }
+}
+
+module.exports = BearerAuthProvider;
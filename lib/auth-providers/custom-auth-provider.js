@@ -0,0 +1,128 @@
+'use strict';
+
+const Nife              = require('nife');
+const AuthProviderBase  = require('./auth-provider-base');
+
+/// An auth provider that gets its credentials from a
+/// user provided async `getCredentials` method.
+///
+/// `getCredentials` is expected to return an object in the shape
+/// `{ token?: string; headers?: object; expiresAt?: Date | number; }`.
+/// If a `token` is returned, then it will be sent as a Bearer token
+/// (or using the `scheme` option). If `headers` are returned, then
+/// they will be sent as-is.
+///
+/// The credentials are cached, and `getCredentials` will be called
+/// again `refreshMargin` milliseconds before `expiresAt`, or when
+/// SOLR responds with a `401` status code. Concurrent requests will
+/// share a single in-flight call to `getCredentials`.
+///
+/// Example:
+///   new CustomAuthProvider({
+///     getCredentials: async () => {
+///       let { accessToken, expiresIn } = await fetchTokenFromIdentityProvider();
+///       return { token: accessToken, expiresAt: Date.now() + (expiresIn * 1000) };
+///     },
+///   });
+///
+/// Arguments:
+///   options: object
+///     | Option | Type | Default Value | Description |
+///     | ------ | ---- | ------------- | ----------- |
+///     | `getCredentials` | `async function` | *required* | The method to call to fetch credentials. It is called with `{ requestOptions, response }` (`response` is only provided when refreshing after a `401`). |
+///     | `refreshMargin` | `number` | `30000` | The number of milliseconds before `expiresAt` to refresh the credentials. |
+///     | `scheme` | `string` | `'Bearer'` | The authorization scheme to use for a returned `token`. |
+///
+/// Extends: <see>AuthProviderBase</see>
+class CustomAuthProvider extends AuthProviderBase {
+  constructor(options) {
+    super(options);
+
+    if (typeof this.options.getCredentials !== 'function')
+      throw new TypeError(`${this.constructor.name}::constructor: A "getCredentials" method is required.`);
+
+    Object.defineProperties(this, {
+      'credentials': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        null,
+      },
+      'pendingRefresh': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        null,
+      },
+    });
+  }
+
+  /// Check if the cached credentials are missing,
+  /// or are about to expire.
+  ///
+  /// Return: boolean
+  needsRefresh() {
+    let credentials = this.credentials;
+    if (!credentials)
+      return true;
+
+    if (credentials.expiresAt == null)
+      return false;
+
+    let expiresAt     = (credentials.expiresAt instanceof Date) ? credentials.expiresAt.getTime() : Number(credentials.expiresAt);
+    let refreshMargin = this.getOptions().refreshMargin;
+    if (refreshMargin == null)
+      refreshMargin = 30000;
+
+    return (Date.now() >= (expiresAt - refreshMargin));
+  }
+
+  /// Fetch new credentials using the `getCredentials`
+  /// method, and cache them.
+  ///
+  /// Return: Promise<object>
+  ///   The new credentials.
+  ///
+  /// Arguments:
+  ///   context?: object
+  ///     The context to provide to `getCredentials`.
+  async fetchCredentials(context) {
+    if (this.pendingRefresh)
+      return await this.pendingRefresh;
+
+    this.pendingRefresh = (async () => {
+      try {
+        let credentials = await this.getOptions().getCredentials(context || {});
+        if (!Nife.instanceOf(credentials, 'object'))
+          throw new TypeError(`${this.constructor.name}::fetchCredentials: "getCredentials" must return an object.`);
+
+        this.credentials = credentials;
+
+        return credentials;
+      } finally {
+        this.pendingRefresh = null;
+      }
+    })();
+
+    return await this.pendingRefresh;
+  }
+
+  async getHeaders(requestOptions) {
+    let credentials = (this.needsRefresh()) ? await this.fetchCredentials({ requestOptions }) : this.credentials;
+    let headers     = Object.assign({}, credentials.headers || {});
+
+    if (credentials.token)
+      headers['authorization'] = `${this.getOptions().scheme || 'Bearer'} ${credentials.token}`;
+
+    return headers;
+  }
+
+  async refresh(context) {
+    this.credentials = null;
+    await this.fetchCredentials(context);
+
+    return true;
+  }
+}
+
+module.exports = CustomAuthProvider;
@@ -0,0 +1,13 @@
+'use strict';
+
+const AuthProviderBase    = require('./auth-provider-base');
+const BasicAuthProvider   = require('./basic-auth-provider');
+const BearerAuthProvider  = require('./bearer-auth-provider');
+const CustomAuthProvider  = require('./custom-auth-provider');
+
+module.exports = {
+  AuthProviderBase,
+  BasicAuthProvider,
+  BearerAuthProvider,
+  CustomAuthProvider,
+};
@@ -0,0 +1,251 @@
+'use strict';
+
+const Nife                = require('nife');
+const { compositeIdHash } = require('./murmur3');
+
+/// A cache of the SolrCloud shard/replica layout of each
+/// collection, read from the Collections API
+/// (`/admin/collections?action=CLUSTERSTATUS`).
+///
+/// This is used by <see>SOLRConnection</see> (when the `cloud`
+/// connection option is enabled) to send updates directly to the
+/// leader of the shard that owns each document, and reads to an
+/// active replica.
+///
+/// Arguments:
+///   options: object
+///     | Option | Type | Default Value | Description |
+///     | ------ | ---- | ------------- | ----------- |
+///     | `fetchClusterStatus` | `async function` | *required* | Called with a collection name, and must return the response of the `CLUSTERSTATUS` action for that collection. |
+///     | `ttl` | `number` | `60000` | The number of milliseconds to cache the layout of a collection for. |
+class ClusterState {
+  constructor(_options) {
+    let options = Object.assign({ ttl: 60000 }, _options || {});
+
+    if (typeof options.fetchClusterStatus !== 'function')
+      throw new TypeError(`${this.constructor.name}::constructor: A "fetchClusterStatus" method is required.`);
+
+    Object.defineProperties(this, {
+      'options': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options,
+      },
+      'collections': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        new Map(),
+      },
+      'pending': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        new Map(),
+      },
+    });
+  }
+
+  getOptions() {
+    return this.options;
+  }
+
+  /// Parse a SOLR shard range, i.e. `80000000-ffffffff`,
+  /// into signed 32-bit integers.
+  ///
+  /// Return: [ number, number ] | null
+  ///
+  /// Arguments:
+  ///   range: string
+  ///     The shard range.
+  parseRange(range) {
+    if (!range)
+      return null;
+
+    let parts = ('' + range).split('-');
+    if (parts.length !== 2)
+      return null;
+
+    return [ parseInt(parts[0], 16) | 0, parseInt(parts[1], 16) | 0 ];
+  }
+
+  /// Parse the `CLUSTERSTATUS` response for a collection
+  /// into the layout used for routing.
+  ///
+  /// Return: object
+  ///   `{ name, router, routeField, shards: Array<{ name, range, leader, replicas }> }`,
+  ///   where `leader` and each item in `replicas` is `{ name, baseURL, coreURL, leader, state }`.
+  ///
+  /// Arguments:
+  ///   collectionName: string
+  ///     The name of the collection.
+  ///   response: object
+  ///     The `CLUSTERSTATUS` response.
+  parseClusterStatus(collectionName, response) {
+    let cluster           = (response && response.cluster) || {};
+    let collectionStatus  = (cluster.collections || {})[collectionName];
+
+    if (!collectionStatus) {
+      // Resolve aliases
+      let alias = (cluster.aliases || {})[collectionName];
+      if (alias)
+        collectionStatus = (cluster.collections || {})[('' + alias).split(',')[0]];
+    }
+
+    if (!collectionStatus)
+      throw new Error(`${this.constructor.name}::parseClusterStatus: Collection "${collectionName}" not found in cluster status.`);
+
+    let liveNodes   = cluster.live_nodes;
+    let isLive      = (nodeName) => (!liveNodes || liveNodes.indexOf(nodeName) >= 0);
+    let router      = collectionStatus.router || {};
+    let shardNames  = Object.keys(collectionStatus.shards || {});
+    let shards      = [];
+
+    for (let i = 0, il = shardNames.length; i < il; i++) {
+      let shardName   = shardNames[i];
+      let shard       = collectionStatus.shards[shardName];
+      let replicaMap  = shard.replicas || {};
+      let replicaKeys = Object.keys(replicaMap);
+      let replicas    = [];
+      let leader      = null;
+
+      if (shard.state && shard.state !== 'active')
+        continue;
+
+      for (let j = 0, jl = replicaKeys.length; j < jl; j++) {
+        let replica = replicaMap[replicaKeys[j]];
+        if (replica.state !== 'active' || !isLive(replica.node_name))
+          continue;
+
+        let baseURL = ('' + replica.base_url).replace(/\/+$/, '');
+        let info    = {
+          name:     replicaKeys[j],
+          baseURL,
+          coreURL:  `${baseURL}/${encodeURIComponent(replica.core)}`,
+          leader:   (replica.leader === true || replica.leader === 'true'),
+          state:    replica.state,
+        };
+
+        if (info.leader)
+          leader = info;
+
+        replicas.push(info);
+      }
+
+      shards.push({
+        name:   shardName,
+        range:  this.parseRange(shard.range),
+        leader,
+        replicas,
+      });
+    }
+
+    return {
+      name:       collectionName,
+      router:     router.name || 'compositeId',
+      routeField: router.field,
+      shards,
+    };
+  }
+
+  /// Get the (cached) layout of a collection, fetching
+  /// the cluster status if it isn't cached, or has expired.
+  /// Concurrent calls share a single fetch.
+  ///
+  /// Return: Promise<object>
+  ///   See <see>ClusterState.parseClusterStatus</see>.
+  ///
+  /// Arguments:
+  ///   collectionName: string
+  ///     The name of the collection.
+  async getCollectionState(collectionName) {
+    let cached = this.collections.get(collectionName);
+    if (cached && cached.expiresAt > Date.now())
+      return cached.state;
+
+    let pending = this.pending.get(collectionName);
+    if (pending)
+      return await pending;
+
+    pending = (async () => {
+      try {
+        let response  = await this.options.fetchClusterStatus(collectionName);
+        let state     = this.parseClusterStatus(collectionName, response);
+
+        this.collections.set(collectionName, { state, expiresAt: Date.now() + this.options.ttl });
+
+        return state;
+      } finally {
+        this.pending.delete(collectionName);
+      }
+    })();
+
+    this.pending.set(collectionName, pending);
+
+    return await pending;
+  }
+
+  /// Drop the cached layout of a collection (or all collections),
+  /// so that it is fetched again on next use. This is called
+  /// when a request fails because the cached layout is stale.
+  ///
+  /// Arguments:
+  ///   collectionName?: string
+  ///     The collection to invalidate. If not provided, then
+  ///     all collections are invalidated.
+  invalidate(collectionName) {
+    if (collectionName)
+      this.collections.delete(collectionName);
+    else
+      this.collections.clear();
+  }
+
+  /// Find the shard that owns the provided document id.
+  ///
+  /// Return: object | undefined
+  ///   The shard, or `undefined` if no shard owns the id,
+  ///   or the collection doesn't use the `compositeId` router.
+  ///
+  /// Arguments:
+  ///   collectionState: object
+  ///     The layout of the collection, as returned by <see>ClusterState.getCollectionState</see>.
+  ///   id: string
+  ///     The id (route key) of the document.
+  getShardForID(collectionState, id) {
+    if (collectionState.router !== 'compositeId' || id == null)
+      return;
+
+    let hash    = compositeIdHash(id);
+    let shards  = collectionState.shards;
+
+    for (let i = 0, il = shards.length; i < il; i++) {
+      let shard = shards[i];
+      let range = shard.range;
+
+      if (range && hash >= range[0] && hash <= range[1])
+        return shard;
+    }
+  }
+
+  /// Pick an active replica of the collection at
+  /// random, to send a read request to.
+  ///
+  /// Return: object | undefined
+  ///   The replica, or `undefined` if there are no active replicas.
+  ///
+  /// Arguments:
+  ///   collectionState: object
+  ///     The layout of the collection, as returned by <see>ClusterState.getCollectionState</see>.
+  pickReadReplica(collectionState) {
+    let replicas = Nife.arrayFlatten(collectionState.shards.map((shard) => shard.replicas));
+    if (replicas.length === 0)
+      return;
+
+    return replicas[Math.floor(Math.random() * replicas.length)];
+  }
+}
+
+module.exports = {
+  ClusterState,
+};
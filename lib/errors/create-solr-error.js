@@ -0,0 +1,65 @@
+'use strict';
+
+const SOLRAuthError             = require('./solr-auth-error');
+const SOLRError                 = require('./solr-error');
+const SOLRNotFoundError         = require('./solr-not-found-error');
+const SOLRQueryParseError       = require('./solr-query-parse-error');
+const SOLRSchemaError           = require('./solr-schema-error');
+const SOLRServerError           = require('./solr-server-error');
+const SOLRVersionConflictError  = require('./solr-version-conflict-error');
+
+const QUERY_PARSE_ERROR_CLASS   = /SyntaxError|ParseException/;
+const QUERY_PARSE_ERROR_MESSAGE = /SyntaxError|Cannot parse|Expected identifier|Invalid Date String|Unknown (function|aggregation)|parse error/i;
+const SCHEMA_ERROR_MESSAGE      = /undefined field|unknown field|multiple values encountered for non multiValued field|can not sort on multivalued field|not indexed|no such field|copyField|schema/i;
+
+// Pick the error class that best
+// describes the SOLR error response
+function getErrorClass(statusCode, response) {
+  if (statusCode === 409)
+    return SOLRVersionConflictError;
+
+  if (statusCode === 401 || statusCode === 403)
+    return SOLRAuthError;
+
+  if (statusCode === 404)
+    return SOLRNotFoundError;
+
+  if (statusCode >= 500)
+    return SOLRServerError;
+
+  let error     = (response && response.error) || {};
+  let metadata  = SOLRError.parseMetadata(error.metadata);
+  let message   = error.msg || '';
+
+  if (QUERY_PARSE_ERROR_CLASS.test(metadata['root-error-class'] || '') || QUERY_PARSE_ERROR_CLASS.test(metadata['error-class'] || ''))
+    return SOLRQueryParseError;
+
+  if (SCHEMA_ERROR_MESSAGE.test(message))
+    return SOLRSchemaError;
+
+  if (QUERY_PARSE_ERROR_MESSAGE.test(message))
+    return SOLRQueryParseError;
+
+  return SOLRError;
+}
+
+/// Create the typed error for a SOLR error response.
+///
+/// Return: <see>SOLRError</see>
+///   One of <see>SOLRVersionConflictError</see> (`409`),
+///   <see>SOLRAuthError</see> (`401` and `403`), <see>SOLRNotFoundError</see> (`404`),
+///   <see>SOLRServerError</see> (`5xx`), <see>SOLRQueryParseError</see> or
+///   <see>SOLRSchemaError</see> (based on the error reported by SOLR), or
+///   <see>SOLRError</see> for any other status code.
+///
+/// Arguments:
+///   message: string
+///     The error message.
+///   options: object
+///     `{ statusCode, response, url, method, query }`. See <see>SOLRError</see>.
+function createSOLRError(message, options) {
+  let ErrorClass = getErrorClass(options.statusCode, options.response);
+  return new ErrorClass(message, options);
+}
+
+module.exports = createSOLRError;
@@ -0,0 +1,21 @@
+'use strict';
+
+const createSOLRError           = require('./create-solr-error');
+const SOLRAuthError             = require('./solr-auth-error');
+const SOLRError                 = require('./solr-error');
+const SOLRNotFoundError         = require('./solr-not-found-error');
+const SOLRQueryParseError       = require('./solr-query-parse-error');
+const SOLRSchemaError           = require('./solr-schema-error');
+const SOLRServerError           = require('./solr-server-error');
+const SOLRVersionConflictError  = require('./solr-version-conflict-error');
+
+module.exports = {
+  createSOLRError,
+  SOLRAuthError,
+  SOLRError,
+  SOLRNotFoundError,
+  SOLRQueryParseError,
+  SOLRSchemaError,
+  SOLRServerError,
+  SOLRVersionConflictError,
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+const SOLRError = require('./solr-error');
+
+/// Thrown when SOLR rejects the credentials of a request (HTTP
+/// status code `401`), or the authenticated user isn't allowed
+/// to perform the request (HTTP status code `403`).
+///
+/// Extends: <see>SOLRError</see>
+class SOLRAuthError extends SOLRError {
+  constructor(message, options) {
+    super(message, options);
+
+    this.name = 'SOLRAuthError';
+  }
+}
+
+module.exports = SOLRAuthError;
@@ -0,0 +1,71 @@
+'use strict';
+
+const { Errors } = require('mythix-orm');
+
+/// The base class for all errors created from a SOLR
+/// error response (a non-2xx HTTP status code).
+///
+/// Properties:
+///   statusCode: number
+///     The HTTP status code of the response.
+///   solrMessage: string
+///     The `error.msg` reported by SOLR.
+///   code: number
+///     The `error.code` reported by SOLR.
+///   metadata: object
+///     The `error.metadata` reported by SOLR, converted from
+///     SOLR's `[ key, value, key, value, ... ]` format into an
+///     object, i.e. `{ 'error-class': '...', 'root-error-class': '...' }`.
+///   url: string
+///     The URL of the request that failed.
+///   method: string
+///     The HTTP method of the request that failed.
+///   query: string | object
+///     The query that was sent to SOLR (if any).
+///   response: any
+///     The body of the response from SOLR.
+///
+/// Extends: [MythixORMDatabaseBaseError](https://github.com/th317erd/mythix-orm/wiki/Errors)
+class SOLRError extends Errors.MythixORMDatabaseBaseError {
+  /// Convert SOLR error metadata from the
+  /// `[ key, value, key, value, ... ]` format
+  /// into an object.
+  ///
+  /// Return: object
+  ///
+  /// Arguments:
+  ///   metadata: Array<string> | object
+  ///     The metadata from the SOLR error response.
+  static parseMetadata(metadata) {
+    if (!metadata)
+      return {};
+
+    if (!Array.isArray(metadata))
+      return Object.assign({}, metadata);
+
+    let result = {};
+    for (let i = 0, il = metadata.length; i < il; i += 2)
+      result[metadata[i]] = metadata[i + 1];
+
+    return result;
+  }
+
+  constructor(message, _options) {
+    super(message);
+
+    let options = _options || {};
+    let error   = (options.response && options.response.error) || {};
+
+    this.name = 'SOLRError';
+    this.statusCode = options.statusCode;
+    this.solrMessage = error.msg;
+    this.code = error.code;
+    this.metadata = this.constructor.parseMetadata(error.metadata);
+    this.url = options.url;
+    this.method = options.method;
+    this.query = options.query;
+    this.response = options.response;
+  }
+}
+
+module.exports = SOLRError;
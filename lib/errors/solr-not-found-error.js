@@ -0,0 +1,17 @@
+'use strict';
+
+const SOLRError = require('./solr-error');
+
+/// Thrown when SOLR responds with a `404` status code, i.e.
+/// when the collection, core, or request handler doesn't exist.
+///
+/// Extends: <see>SOLRError</see>
+class SOLRNotFoundError extends SOLRError {
+  constructor(message, options) {
+    super(message, options);
+
+    this.name = 'SOLRNotFoundError';
+  }
+}
+
+module.exports = SOLRNotFoundError;
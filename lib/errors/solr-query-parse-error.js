@@ -0,0 +1,18 @@
+'use strict';
+
+const SOLRError = require('./solr-error');
+
+/// Thrown when SOLR fails to parse the query of a request, i.e.
+/// a Lucene syntax error in a raw query, or an invalid function
+/// in a facet.
+///
+/// Extends: <see>SOLRError</see>
+class SOLRQueryParseError extends SOLRError {
+  constructor(message, options) {
+    super(message, options);
+
+    this.name = 'SOLRQueryParseError';
+  }
+}
+
+module.exports = SOLRQueryParseError;
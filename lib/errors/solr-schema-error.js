@@ -0,0 +1,18 @@
+'use strict';
+
+const SOLRError = require('./solr-error');
+
+/// Thrown when a request conflicts with the schema of the
+/// collection, i.e. an undefined field is queried or indexed,
+/// or a single-valued field is given multiple values.
+///
+/// Extends: <see>SOLRError</see>
+class SOLRSchemaError extends SOLRError {
+  constructor(message, options) {
+    super(message, options);
+
+    this.name = 'SOLRSchemaError';
+  }
+}
+
+module.exports = SOLRSchemaError;
@@ -0,0 +1,16 @@
+'use strict';
+
+const SOLRError = require('./solr-error');
+
+/// Thrown when SOLR responds with a `5xx` status code.
+///
+/// Extends: <see>SOLRError</see>
+class SOLRServerError extends SOLRError {
+  constructor(message, options) {
+    super(message, options);
+
+    this.name = 'SOLRServerError';
+  }
+}
+
+module.exports = SOLRServerError;
@@ -0,0 +1,24 @@
+'use strict';
+
+const SOLRError = require('./solr-error');
+
+/// Thrown when SOLR rejects a write because the `_version_`
+/// sent with a document doesn't match the `_version_` of the
+/// stored document (HTTP status code `409`). This happens when
+/// the document was modified by someone else after it was loaded,
+/// or when inserting a document that already exists.
+///
+/// Callers can catch this error, reload the model, and retry.
+///
+/// Extends: <see>SOLRError</see>
+class SOLRVersionConflictError extends SOLRError {
+  constructor(message, _options) {
+    let options = _options || {};
+
+    super(message, Object.assign({}, options, { statusCode: options.statusCode || 409 }));
+
+    this.name = 'SOLRVersionConflictError';
+  }
+}
+
+module.exports = SOLRVersionConflictError;
@@ -5,11 +5,81 @@
 const Nife                      = require('nife');
 const http                      = require('node:http');
 const https                     = require('node:https');
+const zlib                      = require('node:zlib');
 const { URL, URLSearchParams }  = require('node:url');
-const { dataToQueryString }     = require('./http-utils');
+const {
+  dataToQueryString,
+  parseJSON,
+} = require('./http-utils');
+
+const TLS_OPTION_NAMES = [
+  'ca',
+  'cert',
+  'ciphers',
+  'crl',
+  'key',
+  'minVersion',
+  'maxVersion',
+  'passphrase',
+  'pfx',
+  'rejectUnauthorized',
+  'servername',
+];
+
+const AGENT_OPTION_NAMES = [
+  'keepAlive',
+  'keepAliveMsecs',
+  'maxFreeSockets',
+  'maxSockets',
+  'maxTotalSockets',
+  'scheduling',
+];
+
+const DEFAULT_AGENT_OPTIONS = {
+  keepAlive:      true,
+  keepAliveMsecs: 1000,
+  maxSockets:     50,
+  maxFreeSockets: 10,
+};
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts:          3,
+  baseDelay:            100,
+  maxDelay:             5000,
+  jitter:               true,
+  retryableStatusCodes: [ 408, 429, 502, 503, 504 ],
+  retryableErrorCodes:  [ 'ECONNRESET', 'ECONNREFUSED', 'ECONNTIMEDOUT', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH' ],
+  // Errors where the request never reached the server,
+  // so even non-idempotent requests are safe to retry
+  safeErrorCodes:       [ 'ECONNREFUSED', 'ECONNTIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH' ],
+};
+
+const CONTENT_DECODERS = {
+  'gzip':     () => zlib.createGunzip(),
+  'x-gzip':   () => zlib.createGunzip(),
+  'deflate':  () => zlib.createInflate(),
+  'br':       () => zlib.createBrotliDecompress(),
+};
+
+const ACCEPT_ENCODING = 'gzip, deflate, br';
+
+const IDEMPOTENT_METHODS = [ 'GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE' ];
+
+// Status codes that mean the node itself is
+// in trouble, rather than the request
+const NODE_FAILURE_STATUS_CODES = [ 502, 503, 504 ];
+
+function createRequestError(message, code) {
+  let error = new Error(message);
+  error.code = code;
+
+  return error;
+}
 
 class HTTPClient {
-  constructor() {
+  constructor(_options) {
+    let options = _options || {};
+
     Object.defineProperties(this, {
       'defaultURL': {
         writable:     true,
@@ -23,9 +93,249 @@ class HTTPClient {
         configurable: true,
         value:        {},
       },
+      'authProvider': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options.authProvider || null,
+      },
+      'tlsOptions': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        this.pickTLSOptions(options.tls),
+      },
+      'agentOptions': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        this.pickAgentOptions(options.agent),
+      },
+      'httpAgent': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options.httpAgent || null,
+      },
+      'httpsAgent': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options.httpsAgent || null,
+      },
+      'loadBalancer': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options.loadBalancer || null,
+      },
+      'retryOptions': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        this.buildRetryOptions(options.retry),
+      },
+      'decompress': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        (options.decompress !== false),
+      },
+      'compressionThreshold': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        (options.compressionThreshold != null) ? options.compressionThreshold : 1024,
+      },
+      'timeout': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options.timeout || 0,
+      },
+      'connectTimeout': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options.connectTimeout || 0,
+      },
     });
   }
 
+  pickAgentOptions(agentOptions) {
+    let result = Object.assign({}, DEFAULT_AGENT_OPTIONS);
+    if (!agentOptions)
+      return result;
+
+    for (let i = 0, il = AGENT_OPTION_NAMES.length; i < il; i++) {
+      let optionName  = AGENT_OPTION_NAMES[i];
+      let value       = agentOptions[optionName];
+
+      if (value !== undefined)
+        result[optionName] = value;
+    }
+
+    return result;
+  }
+
+  buildRetryOptions(retryOptions) {
+    if (retryOptions === false)
+      return Object.assign({}, DEFAULT_RETRY_OPTIONS, { maxAttempts: 1 });
+
+    return Object.assign({}, DEFAULT_RETRY_OPTIONS, retryOptions || {});
+  }
+
+  getRetryOptions() {
+    return this.retryOptions;
+  }
+
+  setRetryOptions(retryOptions) {
+    this.retryOptions = this.buildRetryOptions(retryOptions);
+  }
+
+  getDecompress() {
+    return this.decompress;
+  }
+
+  setDecompress(decompress) {
+    this.decompress = !!decompress;
+  }
+
+  getCompressionThreshold() {
+    return this.compressionThreshold;
+  }
+
+  setCompressionThreshold(threshold) {
+    this.compressionThreshold = threshold || 0;
+  }
+
+  // Decode the response body based on its
+  // "content-encoding" (if we know how to)
+  getDecodedResponseStream(response, requestOptions) {
+    if (!this.decompress || requestOptions.decompress === false)
+      return response;
+
+    let contentEncoding = ('' + (response.headers['content-encoding'] || '')).trim().toLowerCase();
+    let createDecoder   = CONTENT_DECODERS[contentEncoding];
+    if (!createDecoder)
+      return response;
+
+    return response.pipe(createDecoder());
+  }
+
+  isEncodedResponse(response) {
+    let contentEncoding = ('' + (response.headers['content-encoding'] || '')).trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(CONTENT_DECODERS, contentEncoding);
+  }
+
+  // Only compress request bodies if asked to,
+  // and the body is large enough to be worth it
+  shouldCompressRequestBody(requestOptions, data) {
+    if (!requestOptions.compress || !data)
+      return false;
+
+    return (Buffer.byteLength(data) >= this.compressionThreshold);
+  }
+
+  getAgentOptions() {
+    return this.agentOptions;
+  }
+
+  getTimeout() {
+    return this.timeout;
+  }
+
+  setTimeout(timeout) {
+    this.timeout = timeout || 0;
+  }
+
+  getConnectTimeout() {
+    return this.connectTimeout;
+  }
+
+  setConnectTimeout(timeout) {
+    this.connectTimeout = timeout || 0;
+  }
+
+  pickTLSOptions(tlsOptions) {
+    if (!tlsOptions)
+      return {};
+
+    let result = {};
+    for (let i = 0, il = TLS_OPTION_NAMES.length; i < il; i++) {
+      let optionName  = TLS_OPTION_NAMES[i];
+      let value       = tlsOptions[optionName];
+
+      if (value !== undefined)
+        result[optionName] = value;
+    }
+
+    return result;
+  }
+
+  getTLSOptions() {
+    return this.tlsOptions;
+  }
+
+  // All requests share a single agent (per protocol),
+  // so sockets (and TLS sessions) are kept alive and
+  // reused across requests
+  getHTTPAgent() {
+    if (!this.httpAgent)
+      this.httpAgent = new http.Agent(Object.assign({}, this.agentOptions));
+
+    return this.httpAgent;
+  }
+
+  getHTTPSAgent() {
+    if (!this.httpsAgent)
+      this.httpsAgent = new https.Agent(Object.assign({}, this.agentOptions, this.tlsOptions));
+
+    return this.httpsAgent;
+  }
+
+  getLoadBalancer() {
+    return this.loadBalancer;
+  }
+
+  setLoadBalancer(loadBalancer) {
+    this.loadBalancer = loadBalancer || null;
+  }
+
+  async probeNode(baseURL, options) {
+    let response = await this.makeAuthenticatedRequest(Object.assign({}, options || {}, {
+      method: 'GET',
+      url:    `${baseURL}/admin/info/system?wt=json`,
+    }));
+
+    if (response.statusCode < 200 || response.statusCode >= 300)
+      throw createRequestError(`Node ${baseURL} responded with status code ${response.statusCode}`, 'ENODEUNHEALTHY');
+
+    return response;
+  }
+
+  destroy() {
+    if (this.loadBalancer)
+      this.loadBalancer.stop();
+
+    if (this.httpAgent)
+      this.httpAgent.destroy();
+
+    if (this.httpsAgent)
+      this.httpsAgent.destroy();
+
+    this.httpAgent = null;
+    this.httpsAgent = null;
+  }
+
+  getAuthProvider() {
+    return this.authProvider;
+  }
+
+  setAuthProvider(authProvider) {
+    this.authProvider = authProvider || null;
+  }
+
   getDefaultURL() {
     return this.defaultURL;
   }
@@ -79,10 +389,182 @@ class HTTPClient {
     return newObj;
   }
 
-  makeRequest(requestOptions) {
+  async getAuthHeaders(requestOptions) {
+    let authProvider = this.authProvider;
+    if (!authProvider || requestOptions.auth === false)
+      return {};
+
+    return this.keysToLowerCase(await authProvider.getHeaders(requestOptions));
+  }
+
+  isIdempotentRequest(requestOptions) {
+    if (requestOptions.idempotent != null)
+      return !!requestOptions.idempotent;
+
+    return (IDEMPOTENT_METHODS.indexOf((requestOptions.method || 'GET').toUpperCase()) >= 0);
+  }
+
+  getRetryDelay(attempt, retryOptions, response) {
+    let delay = Math.min(retryOptions.maxDelay, retryOptions.baseDelay * Math.pow(2, attempt - 1));
+    if (retryOptions.jitter)
+      delay = Math.round(Math.random() * delay);
+
+    // Honor "Retry-After" (in seconds) if the server sent one
+    let retryAfter = (response && response.headers) ? parseInt(response.headers['retry-after'], 10) : NaN;
+    if (isFinite(retryAfter))
+      delay = Math.min(Math.max(delay, retryAfter * 1000), retryOptions.maxDelay);
+
+    return delay;
+  }
+
+  shouldRetry(requestOptions, retryOptions, error, response) {
+    let isIdempotent = this.isIdempotentRequest(requestOptions);
+
+    if (error) {
+      if (error.code === 'ABORT_ERR')
+        return false;
+
+      if (retryOptions.safeErrorCodes.indexOf(error.code) >= 0)
+        return true;
+
+      return (isIdempotent && retryOptions.retryableErrorCodes.indexOf(error.code) >= 0);
+    }
+
+    return (isIdempotent && retryOptions.retryableStatusCodes.indexOf(response.statusCode) >= 0);
+  }
+
+  waitForRetry(delay, signal) {
     return new Promise((resolve, reject) => {
+      if (signal && signal.aborted)
+        return reject(createRequestError('The request was aborted', 'ABORT_ERR'));
+
+      let onAbort;
+      let timer = setTimeout(() => {
+        if (signal)
+          signal.removeEventListener('abort', onAbort);
+
+        resolve();
+      }, delay);
+
+      if (signal) {
+        onAbort = () => {
+          clearTimeout(timer);
+          reject(createRequestError('The request was aborted', 'ABORT_ERR'));
+        };
+
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  isNodeFailure(error, response) {
+    if (error)
+      return (error.code !== 'ABORT_ERR');
+
+    return (NODE_FAILURE_STATUS_CODES.indexOf(response.statusCode) >= 0);
+  }
+
+  async makeRequest(requestOptions) {
+    let retryOptions  = (requestOptions.retry === false) ? this.buildRetryOptions(false) : this.retryOptions;
+    let maxAttempts   = Math.max(1, retryOptions.maxAttempts || 1);
+    let loadBalancer  = (this.isRelativeURL(requestOptions.url)) ? this.loadBalancer : null;
+    let failedNodes   = [];
+
+    for (let attempt = 1; ; attempt++) {
+      let attemptOptions  = requestOptions;
+      let node;
+      let response;
+      let error;
+
+      // Each attempt picks a node, so retries
+      // fail over to a different node
+      if (loadBalancer) {
+        node = loadBalancer.pickNode({ write: requestOptions.write, exclude: failedNodes });
+        attemptOptions = Object.assign({}, requestOptions, { url: `${node.url}${requestOptions.url}` });
+        loadBalancer.beginRequest(node);
+      }
+
+      try {
+        response = await this.makeAuthenticatedRequest(attemptOptions);
+      } catch (_error) {
+        error = _error;
+      }
+
+      if (node) {
+        loadBalancer.endRequest(node);
+
+        if (this.isNodeFailure(error, response)) {
+          loadBalancer.markFailure(node);
+          failedNodes.push(node.url);
+        } else {
+          loadBalancer.markSuccess(node);
+        }
+      }
+
+      if (attempt >= maxAttempts || !this.shouldRetry(requestOptions, retryOptions, error, response)) {
+        if (error)
+          throw error;
+
+        return response;
+      }
+
+      let delay = this.getRetryDelay(attempt, retryOptions, response);
+      if (requestOptions.logger)
+        requestOptions.logger.log(`Retrying request (attempt ${attempt + 1} of ${maxAttempts}) in ${delay}ms: ${(error) ? (error.code || error.message) : `status code ${response.statusCode}`}`);
+
+      await this.waitForRetry(delay, requestOptions.signal);
+    }
+  }
+
+  async makeAuthenticatedRequest(requestOptions) {
+    let authProvider  = this.authProvider;
+    let authHeaders   = await this.getAuthHeaders(requestOptions);
+    let response      = await this.sendRequest(requestOptions, authHeaders);
+
+    // If SOLR rejects our credentials, give the auth
+    // provider one chance to refresh them, and retry
+    if (response.statusCode === 401 && authProvider && requestOptions.auth !== false) {
+      let refreshed = await authProvider.refresh({ requestOptions, response });
+      if (refreshed) {
+        authHeaders = await this.getAuthHeaders(requestOptions);
+        response    = await this.sendRequest(requestOptions, authHeaders);
+      }
+    }
+
+    return response;
+  }
+
+  sendRequest(requestOptions, authHeaders) {
+    return new Promise((_resolve, _reject) => {
       if (Nife.isEmpty(requestOptions.url))
-        reject('"url" key not found and is required');
+        return _reject('"url" key not found and is required');
+
+      let signal = requestOptions.signal;
+      if (signal && signal.aborted)
+        return _reject(createRequestError('The request was aborted', 'ABORT_ERR'));
+
+      let timers = [];
+      let onAbort;
+
+      const cleanup = () => {
+        for (let i = 0, il = timers.length; i < il; i++)
+          clearTimeout(timers[i]);
+
+        timers = [];
+
+        if (signal && onAbort)
+          signal.removeEventListener('abort', onAbort);
+      };
+
+      const resolve = (value) => {
+        cleanup();
+        _resolve(value);
+      };
+
+      const reject = (error) => {
+        cleanup();
+        _reject(error);
+      };
 
       let method      = (requestOptions.method || 'GET').toUpperCase();
       let url         = new URL(requestOptions.url);
@@ -90,7 +572,7 @@ class HTTPClient {
       let extraConfig = {};
       let headers     = Object.assign({
         'user-agent': 'Mythix ORM SOLR driver',
-      }, this.keysToLowerCase(this.defaultHeaders || {}), this.keysToLowerCase(requestOptions.headers || {}));
+      }, (this.decompress && requestOptions.decompress !== false) ? { 'accept-encoding': ACCEPT_ENCODING } : {}, this.keysToLowerCase(this.defaultHeaders || {}), authHeaders || {}, this.keysToLowerCase(requestOptions.headers || {}));
 
       if (requestOptions.logger)
         requestOptions.logger.log(`Making request: ${method} ${url}`);
@@ -105,21 +587,24 @@ class HTTPClient {
             if (Nife.get(headers, 'content-type', '').match(/application\/json/i))
               data = JSON.stringify(data);
 
-            extraConfig = {
-              headers: {
-                'content-length': Buffer.byteLength(data),
-              },
-            };
+            extraConfig = { headers: {} };
+
+            if (this.shouldCompressRequestBody(requestOptions, data)) {
+              data = zlib.gzipSync(data);
+              extraConfig.headers['content-encoding'] = 'gzip';
+            }
+
+            extraConfig.headers['content-length'] = Buffer.byteLength(data);
           }
         } else {
           let queryString = dataToQueryString(data);
           if (queryString) {
             let newParams = new URLSearchParams(queryString);
-            let keys      = Array.from(newParams.keys());
+            let entries   = Array.from(newParams.entries());
 
-            for (let i = 0, il = keys.length; i < il; i++) {
-              let key = keys[i];
-              url.searchParams.set(key, newParams.get(key));
+            for (let i = 0, il = entries.length; i < il; i++) {
+              let [ key, value ] = entries[i];
+              url.searchParams.append(key, value);
             }
           }
 
@@ -127,6 +612,11 @@ class HTTPClient {
         }
       }
 
+      let isHTTPS         = (url.protocol === 'https:');
+      let tlsConfig       = (isHTTPS) ? Object.assign({}, this.tlsOptions) : {};
+      let timeout         = (requestOptions.timeout != null) ? requestOptions.timeout : this.timeout;
+      let connectTimeout  = (requestOptions.connectTimeout != null) ? requestOptions.connectTimeout : this.connectTimeout;
+
       const options = Nife.extend(true, {
         protocol: url.protocol,
         hostname: url.hostname,
@@ -134,29 +624,78 @@ class HTTPClient {
         path:     `${url.pathname}${url.search}`,
         method,
         headers,
-      }, requestOptions, extraConfig);
+      }, tlsConfig, requestOptions, extraConfig);
 
-      delete options.data;
+      options.agent = requestOptions.agent || ((isHTTPS) ? this.getHTTPSAgent() : this.getHTTPAgent());
 
-      const httpScope = (url.protocol === 'https:') ? https : http;
+      delete options.data;
+      delete options.auth;
+      delete options.logger;
+      delete options.signal;
+      delete options.timeout;
+      delete options.connectTimeout;
+      delete options.retry;
+      delete options.idempotent;
+      delete options.write;
+      delete options.compress;
+      delete options.decompress;
+      delete options.stream;
+
+      const httpScope = (isHTTPS) ? https : http;
       let thisRequest = httpScope.request(options, (response) => {
-        let responseData = Buffer.alloc(0);
+        let responseStream  = this.getDecodedResponseStream(response, requestOptions);
+        let chunks          = [];
+
+        response.requestURL = url.toString();
+
+        // In "stream" mode successful responses are handed over
+        // as-is, and the caller consumes the body. Timeouts and
+        // abort signals stay active until the body is done.
+        if (requestOptions.stream && response.statusCode >= 200 && response.statusCode < 300) {
+          if (responseStream !== response)
+            response.on('error', (error) => responseStream.destroy(error));
+
+          responseStream.once('close', () => {
+            cleanup();
 
-        response.on('data', (chunk) => {
-          responseData = Buffer.concat([ responseData, chunk ]);
+            if (!response.complete)
+              response.destroy();
+          });
+
+          response.body = responseStream;
+          _resolve(response);
+
+          return;
+        }
+
+        responseStream.on('data', (chunk) => {
+          chunks.push(chunk);
         });
 
         response.on('error', (error) => {
           reject(error);
         });
 
-        response.on('end', () => {
+        if (responseStream !== response) {
+          responseStream.on('error', (error) => {
+            reject(error);
+          });
+        }
+
+        responseStream.on('end', () => {
+          let responseData = Buffer.concat(chunks);
+
           response.rawBody = response.body = responseData;
 
+          // Bodies that are still encoded (decompression
+          // is disabled) are handed over as raw bytes
+          if (responseStream === response && this.isEncodedResponse(response))
+            return resolve(response);
+
           try {
             let contentType = response.headers['content-type'];
             if (contentType && contentType.match(/application\/json/i))
-              response.body = JSON.parse(responseData.toString('utf8'));
+              response.body = parseJSON(responseData.toString('utf8'));
             else if (contentType && contentType.match(/text\/(plain|html)/))
               response.body = responseData.toString('utf8');
           } catch (error) {
@@ -171,6 +710,34 @@ class HTTPClient {
         reject(error);
       });
 
+      if (signal) {
+        onAbort = () => thisRequest.destroy(createRequestError('The request was aborted', 'ABORT_ERR'));
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      // The response timeout covers the entire request,
+      // from connecting until the response is fully received
+      if (timeout > 0) {
+        timers.push(setTimeout(() => {
+          thisRequest.destroy(createRequestError(`Request timed out after ${timeout}ms: ${method} ${url}`, 'ETIMEDOUT'));
+        }, timeout));
+      }
+
+      if (connectTimeout > 0) {
+        thisRequest.once('socket', (socket) => {
+          // Reused keep-alive sockets are already connected
+          if (!socket.connecting)
+            return;
+
+          let connectTimer = setTimeout(() => {
+            thisRequest.destroy(createRequestError(`Connection timed out after ${connectTimeout}ms: ${method} ${url}`, 'ECONNTIMEDOUT'));
+          }, connectTimeout);
+
+          timers.push(connectTimer);
+          socket.once('connect', () => clearTimeout(connectTimer));
+        });
+      }
+
       if (data) {
         if (data.constructor.name === 'FormData') {
           data.pipe(thisRequest);
@@ -184,6 +751,10 @@ class HTTPClient {
     });
   }
 
+  isRelativeURL(url) {
+    return !(/^https?:\/\//i).test(url || '');
+  }
+
   getRequestOptions(_url, _options, method) {
     let url     = _url;
     let options = _options;
@@ -195,7 +766,9 @@ class HTTPClient {
 
     let finalOptions = Nife.extend({}, options || {}, { url });
 
-    if (this.defaultURL && !(/^https?:\/\//i).test(finalOptions.url))
+    // When load balancing, relative urls are
+    // resolved against a node per attempt
+    if (this.defaultURL && !this.loadBalancer && this.isRelativeURL(finalOptions.url))
       finalOptions.url = this.defaultURL + finalOptions.url;
 
     if (method)
@@ -0,0 +1,66 @@
+'use strict';
+
+const Nife = require('nife');
+
+function valueToQueryStringValue(value) {
+  if (value == null)
+    return '';
+
+  if (value instanceof Date)
+    return value.toISOString();
+
+  if (Nife.instanceOf(value, 'object'))
+    return JSON.stringify(value);
+
+  return ('' + value);
+}
+
+function dataToQueryString(data) {
+  if (data == null)
+    return '';
+
+  if (Nife.instanceOf(data, 'string'))
+    return data.replace(/^\?+/, '');
+
+  let keys  = Object.keys(data);
+  let parts = [];
+
+  for (let i = 0, il = keys.length; i < il; i++) {
+    let key   = keys[i];
+    let value = data[key];
+
+    if (value === undefined)
+      continue;
+
+    // Arrays are sent as repeated parameters
+    // (i.e. "fq=a&fq=b"), which is what SOLR expects
+    let values = (Array.isArray(value)) ? value : [ value ];
+    for (let j = 0, jl = values.length; j < jl; j++)
+      parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(valueToQueryStringValue(values[j]))}`);
+  }
+
+  return parts.join('&');
+}
+
+// Match strings (so they can be skipped), or integers
+const JSON_INTEGER_REGEXP = /("(?:[^"\\]|\\.)*")|(?<![\w.+-])(-?\d+)(?![.\deE])/g;
+
+// SOLR uses 64-bit integers (i.e. for "_version_"), which
+// JSON.parse would silently truncate. Any integers that
+// can not be safely represented as a number are
+// converted to strings before parsing.
+function parseJSON(text) {
+  let safeText = text.replace(JSON_INTEGER_REGEXP, (match, str, integer) => {
+    if (str || Number.isSafeInteger(Number(integer)))
+      return match;
+
+    return `"${integer}"`;
+  });
+
+  return JSON.parse(safeText);
+}
+
+module.exports = {
+  dataToQueryString,
+  parseJSON,
+};
@@ -1,9 +1,15 @@
 'use strict';
 
+const AuthProviders       = require('./auth-providers');
+const Errors              = require('./errors');
+const Literals            = require('./literals');
 const SOLRConnection      = require('./solr-connection');
 const SOLRQueryGenerator  = require('./solr-query-generator');
 
 module.exports = {
+  AuthProviders,
+  Errors,
+  Literals,
   SOLRConnection,
   SOLRQueryGenerator,
 };
@@ -0,0 +1,312 @@
+'use strict';
+
+const { StringDecoder } = require('node:string_decoder');
+const { parseJSON }     = require('./http-utils');
+
+/// An incremental JSON parser for SOLR responses.
+///
+/// Text is fed to the parser as it arrives (using `write`), and
+/// every item of the target array (`response.docs` by default) is
+/// parsed and returned as soon as it is complete. Everything else in
+/// the response (i.e. `responseHeader`, `numFound`, `nextCursorMark`)
+/// is kept, and is available from <see>JSONDocumentStreamParser.getResult</see>
+/// once the parser has ended (with the target array left empty).
+///
+/// Only the document currently being received is held in memory, so
+/// memory stays bounded no matter how many documents are in the response.
+///
+/// Arguments:
+///   options?: object
+///     | Option | Type | Default Value | Description |
+///     | ------ | ---- | ------------- | ----------- |
+///     | `path` | `Array<string>` | `[ 'response', 'docs' ]` | The path (object keys) to the array to stream the items of. |
+class JSONDocumentStreamParser {
+  constructor(_options) {
+    let options = _options || {};
+
+    Object.defineProperties(this, {
+      'path': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options.path || [ 'response', 'docs' ],
+      },
+      'decoder': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        new StringDecoder('utf8'),
+      },
+      'stack': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        [],
+      },
+      'inString': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        false,
+      },
+      'escape': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        false,
+      },
+      'keyBuffer': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        null,
+      },
+      'targetDepth': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        -1,
+      },
+      'documentBuffer': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        '',
+      },
+      'skeleton': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        '',
+      },
+      'documents': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        [],
+      },
+      'result': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        null,
+      },
+    });
+  }
+
+  isTargetPath() {
+    let path  = this.path;
+    let stack = this.stack;
+
+    if (stack.length !== path.length)
+      return false;
+
+    for (let i = 0, il = path.length; i < il; i++) {
+      if (stack[i].type !== 'object' || stack[i].key !== path[i])
+        return false;
+    }
+
+    return true;
+  }
+
+  flushDocument() {
+    let text = this.documentBuffer.trim();
+    this.documentBuffer = '';
+
+    if (text)
+      this.documents.push(parseJSON(text));
+  }
+
+  append(c) {
+    let targetDepth = this.targetDepth;
+    if (targetDepth >= 0 && this.stack.length >= targetDepth)
+      this.documentBuffer += c;
+    else
+      this.skeleton += c;
+  }
+
+  processText(text) {
+    for (let i = 0, il = text.length; i < il; i++) {
+      let c     = text.charAt(i);
+      let stack = this.stack;
+      let frame = stack[stack.length - 1];
+
+      if (this.inString) {
+        if (this.escape)
+          this.escape = false;
+        else if (c === '\\')
+          this.escape = true;
+        else if (c === '"')
+          this.inString = false;
+
+        if (!this.inString && this.keyBuffer != null) {
+          frame.key = this.keyBuffer;
+          this.keyBuffer = null;
+        } else if (this.keyBuffer != null) {
+          this.keyBuffer += c;
+        }
+
+        this.append(c);
+        continue;
+      }
+
+      // Items at the top level of the target array
+      if (this.targetDepth >= 0 && stack.length === this.targetDepth) {
+        if (c === ',') {
+          this.flushDocument();
+          continue;
+        }
+
+        if (c === ']') {
+          this.flushDocument();
+          stack.pop();
+          this.targetDepth = -1;
+          this.skeleton += c;
+          continue;
+        }
+
+        if (c !== '{' && c !== '[' && c !== '"') {
+          // Whitespace, or part of a primitive item
+          this.documentBuffer += c;
+          continue;
+        }
+      }
+
+      if (c === '{') {
+        stack.push({ type: 'object', key: null, expectKey: true });
+        this.append(c);
+      } else if (c === '[') {
+        let isTarget = (this.targetDepth < 0 && this.isTargetPath());
+
+        this.append(c);
+        stack.push({ type: 'array' });
+
+        if (isTarget)
+          this.targetDepth = stack.length;
+      } else if (c === '}' || c === ']') {
+        this.append(c);
+        stack.pop();
+
+        // An item of the target array just completed
+        if (this.targetDepth >= 0 && stack.length === this.targetDepth)
+          this.flushDocument();
+      } else if (c === '"') {
+        this.inString = true;
+
+        if (frame && frame.type === 'object' && frame.expectKey)
+          this.keyBuffer = '';
+
+        this.append(c);
+      } else if (c === ':') {
+        if (frame && frame.type === 'object')
+          frame.expectKey = false;
+
+        this.append(c);
+      } else if (c === ',') {
+        if (frame && frame.type === 'object')
+          frame.expectKey = true;
+
+        this.append(c);
+      } else {
+        this.append(c);
+      }
+    }
+  }
+
+  takeDocuments() {
+    let documents = this.documents;
+    this.documents = [];
+
+    return documents;
+  }
+
+  /// Feed more of the response to the parser.
+  ///
+  /// Return: Array<object>
+  ///   The documents completed by this chunk (if any).
+  ///
+  /// Arguments:
+  ///   chunk: Buffer | string
+  ///     The next chunk of the response.
+  write(chunk) {
+    this.processText((typeof chunk === 'string') ? chunk : this.decoder.write(chunk));
+    return this.takeDocuments();
+  }
+
+  /// Signal the end of the response.
+  ///
+  /// Return: Array<object>
+  ///   Any remaining documents.
+  end() {
+    this.processText(this.decoder.end());
+
+    let skeleton = this.skeleton.trim();
+    this.result = (skeleton) ? parseJSON(skeleton) : null;
+
+    return this.takeDocuments();
+  }
+
+  /// Get the parsed response, without the streamed documents.
+  /// This is only available after the parser has ended.
+  ///
+  /// Return: object | null
+  getResult() {
+    return this.result;
+  }
+
+  /// Parse a readable stream, yielding each document
+  /// as soon as it is complete.
+  ///
+  /// Return: AsyncGenerator<object>
+  ///
+  /// Arguments:
+  ///   stream: Readable
+  ///     The response stream.
+  async *parse(stream) {
+    for await (let chunk of stream) {
+      let documents = this.write(chunk);
+      for (let i = 0, il = documents.length; i < il; i++)
+        yield documents[i];
+    }
+
+    let documents = this.end();
+    for (let i = 0, il = documents.length; i < il; i++)
+      yield documents[i];
+  }
+}
+
+/// Parse a JSON Lines (one JSON value per line)
+/// readable stream, yielding each value as soon
+/// as its line is complete.
+///
+/// Return: AsyncGenerator<any>
+///
+/// Arguments:
+///   stream: Readable
+///     The response stream.
+async function *parseJSONLines(stream) {
+  let decoder = new StringDecoder('utf8');
+  let buffer  = '';
+
+  for await (let chunk of stream) {
+    buffer += (typeof chunk === 'string') ? chunk : decoder.write(chunk);
+
+    let lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (let i = 0, il = lines.length; i < il; i++) {
+      let line = lines[i].trim();
+      if (line)
+        yield parseJSON(line);
+    }
+  }
+
+  buffer = (buffer + decoder.end()).trim();
+  if (buffer)
+    yield parseJSON(buffer);
+}
+
+module.exports = {
+  JSONDocumentStreamParser,
+  parseJSONLines,
+};
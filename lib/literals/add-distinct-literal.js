@@ -0,0 +1,14 @@
+'use strict';
+
+const AtomicUpdateLiteralBase = require('./atomic-update-literal-base');
+
+/// Add the provided value(s) to a multi-valued field, only if
+/// they aren't already present, using the SOLR `add-distinct`
+/// atomic update operation.
+///
+/// Extends: <see>AtomicUpdateLiteralBase</see>
+class AddDistinctLiteral extends AtomicUpdateLiteralBase {
+  static operation = 'add-distinct';
+}
+
+module.exports = AddDistinctLiteral;
@@ -0,0 +1,13 @@
+'use strict';
+
+const AtomicUpdateLiteralBase = require('./atomic-update-literal-base');
+
+/// Add the provided value(s) to a multi-valued field, using the
+/// SOLR `add` atomic update operation.
+///
+/// Extends: <see>AtomicUpdateLiteralBase</see>
+class AddLiteral extends AtomicUpdateLiteralBase {
+  static operation = 'add';
+}
+
+module.exports = AddLiteral;
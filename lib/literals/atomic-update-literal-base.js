@@ -0,0 +1,108 @@
+'use strict';
+
+const { Literals } = require('mythix-orm');
+
+const LiteralBase = Literals.LiteralBase;
+
+/// The base class for all SOLR
+/// [atomic update](https://solr.apache.org/guide/solr/latest/indexing-guide/partial-document-updates.html#atomic-updates)
+/// literals.
+///
+/// Atomic update literals can be provided as attribute values
+/// to <see>SOLRConnection.updateAll</see>, and are converted into
+/// a SOLR atomic update operation, i.e. `{ "inc": 1 }`. This allows
+/// counters and multi-valued fields to be modified without a
+/// read-modify-write cycle.
+///
+/// Example:
+///   await User.where.id.EQ(userID).updateAll({
+///     loginCount: new IncLiteral(1),
+///   });
+///
+/// Extends: [LiteralBase](https://github.com/th317erd/mythix-orm/wiki/LiteralBase)
+class AtomicUpdateLiteralBase extends LiteralBase {
+  /// The SOLR atomic update operation name,
+  /// i.e. `set`, or `inc`. Child classes must
+  /// set this.
+  static operation = null;
+
+  static _isSOLRAtomicUpdateLiteral = true;
+
+  /// Check if the provided value is an
+  /// atomic update literal.
+  ///
+  /// Return: boolean
+  ///
+  /// Arguments:
+  ///   value: any
+  ///     The value to check.
+  static isAtomicUpdateLiteral(value) {
+    if (!value || !LiteralBase.isLiteral(value))
+      return false;
+
+    return (value instanceof AtomicUpdateLiteralBase || !!(value.constructor && value.constructor._isSOLRAtomicUpdateLiteral));
+  }
+
+  /// Get the SOLR atomic update operation name
+  /// for this literal.
+  ///
+  /// Return: string
+  getOperation() {
+    let operation = this.constructor.operation;
+    if (!operation)
+      throw new Error(`${this.constructor.name}::getOperation: No atomic update operation defined.`);
+
+    return operation;
+  }
+
+  /// Serialize the value of this literal
+  /// for the provided field, so that it can be
+  /// sent to SOLR.
+  ///
+  /// Arrays are serialized item by item, as
+  /// SOLR expects arrays for multi-valued fields.
+  ///
+  /// Return: any
+  ///
+  /// Arguments:
+  ///   connection: <see>SOLRConnection</see>
+  ///     The connection for the operation.
+  ///   field: <see>Field</see>
+  ///     The field being updated.
+  ///   value: any
+  ///     The value to serialize.
+  serializeValue(connection, field, value) {
+    if (Array.isArray(value))
+      return value.map((item) => this.serializeValue(connection, field, item));
+
+    if (!field || LiteralBase.isLiteral(value))
+      return value;
+
+    let result = connection.getQueryGenerator().getDocumentFieldValue(field, value);
+    return (result === undefined) ? null : result;
+  }
+
+  /// Convert this literal into a SOLR atomic
+  /// update operation for the provided field.
+  ///
+  /// Return: object
+  ///   The atomic update operation, i.e. `{ "inc": 1 }`.
+  ///
+  /// Arguments:
+  ///   connection: <see>SOLRConnection</see>
+  ///     The connection for the operation.
+  ///   field: <see>Field</see>
+  ///     The field being updated.
+  toAtomicUpdate(connection, field) {
+    return { [this.getOperation()]: this.serializeValue(connection, field, this.literal) };
+  }
+
+  toString(connection, options) {
+    if (!connection)
+      return `${this.constructor.name} {}`;
+
+    return connection.literalToString(this, options);
+  }
+}
+
+module.exports = AtomicUpdateLiteralBase;
@@ -0,0 +1,13 @@
+'use strict';
+
+const AtomicUpdateLiteralBase = require('./atomic-update-literal-base');
+
+/// Increment a numeric field by the provided amount, using the
+/// SOLR `inc` atomic update operation.
+///
+/// Extends: <see>AtomicUpdateLiteralBase</see>
+class IncLiteral extends AtomicUpdateLiteralBase {
+  static operation = 'inc';
+}
+
+module.exports = IncLiteral;
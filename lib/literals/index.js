@@ -0,0 +1,19 @@
+'use strict';
+
+const AddDistinctLiteral      = require('./add-distinct-literal');
+const AddLiteral              = require('./add-literal');
+const AtomicUpdateLiteralBase = require('./atomic-update-literal-base');
+const IncLiteral              = require('./inc-literal');
+const RemoveLiteral           = require('./remove-literal');
+const RemoveRegexLiteral      = require('./remove-regex-literal');
+const SetLiteral              = require('./set-literal');
+
+module.exports = {
+  AddDistinctLiteral,
+  AddLiteral,
+  AtomicUpdateLiteralBase,
+  IncLiteral,
+  RemoveLiteral,
+  RemoveRegexLiteral,
+  SetLiteral,
+};
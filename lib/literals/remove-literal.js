@@ -0,0 +1,14 @@
+'use strict';
+
+const AtomicUpdateLiteralBase = require('./atomic-update-literal-base');
+
+/// Remove all occurrences of the provided value(s) from a
+/// multi-valued field, using the SOLR `remove` atomic update
+/// operation.
+///
+/// Extends: <see>AtomicUpdateLiteralBase</see>
+class RemoveLiteral extends AtomicUpdateLiteralBase {
+  static operation = 'remove';
+}
+
+module.exports = RemoveLiteral;
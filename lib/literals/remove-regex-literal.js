@@ -0,0 +1,28 @@
+'use strict';
+
+const AtomicUpdateLiteralBase = require('./atomic-update-literal-base');
+
+/// Remove all values matching the provided regular expression(s)
+/// from a multi-valued field, using the SOLR `removeregex` atomic
+/// update operation.
+///
+/// Values can be provided as `RegExp` instances, or as strings.
+/// Only the source of a `RegExp` is sent to SOLR, so any flags
+/// are ignored.
+///
+/// Extends: <see>AtomicUpdateLiteralBase</see>
+class RemoveRegexLiteral extends AtomicUpdateLiteralBase {
+  static operation = 'removeregex';
+
+  serializeValue(connection, field, value) {
+    if (Array.isArray(value))
+      return value.map((item) => this.serializeValue(connection, field, item));
+
+    if (value instanceof RegExp)
+      return value.source;
+
+    return ('' + value);
+  }
+}
+
+module.exports = RemoveRegexLiteral;
@@ -0,0 +1,13 @@
+'use strict';
+
+const AtomicUpdateLiteralBase = require('./atomic-update-literal-base');
+
+/// Set (replace) the value of a field, using the SOLR `set`
+/// atomic update operation.
+///
+/// Extends: <see>AtomicUpdateLiteralBase</see>
+class SetLiteral extends AtomicUpdateLiteralBase {
+  static operation = 'set';
+}
+
+module.exports = SetLiteral;
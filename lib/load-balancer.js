@@ -0,0 +1,239 @@
+'use strict';
+
+const Nife = require('nife');
+
+const STRATEGIES = [ 'round-robin', 'least-outstanding' ];
+
+/// Distribute requests across multiple SOLR nodes,
+/// similar to SolrJ's `LBHttpSolrClient`.
+///
+/// Nodes are marked unhealthy after `failureThreshold` consecutive
+/// failures, and are skipped until their `coolDown` has expired. While
+/// a node is unhealthy it is periodically probed (using the provided
+/// `probe` method), and is marked healthy again as soon as a probe
+/// succeeds. If every node is unhealthy, then the node that failed the
+/// longest time ago is used, so requests are never refused outright.
+///
+/// Arguments:
+///   options: object
+///     | Option | Type | Default Value | Description |
+///     | ------ | ---- | ------------- | ----------- |
+///     | `coolDown` | `number` | `30000` | The number of milliseconds an unhealthy node is skipped for. |
+///     | `failureThreshold` | `number` | `1` | The number of consecutive failures before a node is marked unhealthy. |
+///     | `nodes` | `Array<string>` | *required* | The base URLs of the SOLR nodes, i.e. `[ 'http://solr1:8983/solr', 'http://solr2:8983/solr' ]`. |
+///     | `probe` | `async function` | `undefined` | Called with a node URL to check if an unhealthy node is back up. Should throw if the node is still down. |
+///     | `probeInterval` | `number` | `10000` | The number of milliseconds between probes of unhealthy nodes. |
+///     | `strategy` | `string` | `'round-robin'` | How reads are distributed across healthy nodes, either `'round-robin'` or `'least-outstanding'` (the node with the least in-flight requests). |
+class LoadBalancer {
+  constructor(_options) {
+    let options = Object.assign({
+      coolDown:         30000,
+      failureThreshold: 1,
+      probeInterval:    10000,
+      strategy:         'round-robin',
+    }, _options || {});
+
+    if (Nife.isEmpty(options.nodes))
+      throw new Error(`${this.constructor.name}::constructor: A "nodes" option is required.`);
+
+    if (STRATEGIES.indexOf(options.strategy) < 0)
+      throw new Error(`${this.constructor.name}::constructor: Unknown strategy "${options.strategy}". Supported strategies are ${STRATEGIES.map((name) => `"${name}"`).join(', ')}.`);
+
+    Object.defineProperties(this, {
+      'options': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options,
+      },
+      'nodes': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        Nife.toArray(options.nodes).map((url) => {
+          return {
+            url:            ('' + url).replace(/\/+$/, ''),
+            healthy:        true,
+            failures:       0,
+            outstanding:    0,
+            unhealthyUntil: 0,
+            lastFailure:    0,
+          };
+        }),
+      },
+      'roundRobinIndex': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        0,
+      },
+      'probeTimer': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        null,
+      },
+    });
+  }
+
+  getOptions() {
+    return this.options;
+  }
+
+  /// Get all nodes, and their current state.
+  ///
+  /// Return: Array<{ url: string; healthy: boolean; failures: number; outstanding: number; }>
+  getNodes() {
+    return this.nodes;
+  }
+
+  getNode(url) {
+    let nodes = this.nodes;
+    for (let i = 0, il = nodes.length; i < il; i++) {
+      if (nodes[i].url === url)
+        return nodes[i];
+    }
+  }
+
+  /// Get the nodes that requests can currently be sent to.
+  /// Unhealthy nodes whose cool-down has expired are included,
+  /// so they get a chance to prove they are healthy again.
+  ///
+  /// Return: Array<object>
+  getAvailableNodes() {
+    let now = Date.now();
+    return this.nodes.filter((node) => (node.healthy || node.unhealthyUntil <= now));
+  }
+
+  /// Pick the node to send the next request to.
+  ///
+  /// Return: object
+  ///   The picked node. `node.url` is the base URL of the node.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `exclude` | `Array<string>` | `[]` | Node URLs to avoid if possible (i.e. nodes that have already failed this request). |
+  ///     | `write` | `boolean` | `false` | If `true`, then only healthy nodes are considered (nodes still recovering from a cool-down are skipped), if any are available. |
+  pickNode(_options) {
+    let options   = _options || {};
+    let exclude   = options.exclude || [];
+    let available = this.getAvailableNodes();
+
+    if (options.write) {
+      let healthy = available.filter((node) => node.healthy);
+      if (healthy.length > 0)
+        available = healthy;
+    }
+
+    if (exclude.length > 0) {
+      let filtered = available.filter((node) => (exclude.indexOf(node.url) < 0));
+      if (filtered.length > 0)
+        available = filtered;
+    }
+
+    if (available.length === 0) {
+      // Every node is down, so use the one
+      // that failed the longest time ago
+      return this.nodes.slice().sort((a, b) => (a.lastFailure - b.lastFailure))[0];
+    }
+
+    if (this.options.strategy === 'least-outstanding') {
+      let bestNode = available[0];
+      for (let i = 1, il = available.length; i < il; i++) {
+        if (available[i].outstanding < bestNode.outstanding)
+          bestNode = available[i];
+      }
+
+      return bestNode;
+    }
+
+    let index = this.roundRobinIndex++ % available.length;
+    if (this.roundRobinIndex >= Number.MAX_SAFE_INTEGER)
+      this.roundRobinIndex = 0;
+
+    return available[index];
+  }
+
+  beginRequest(node) {
+    node.outstanding++;
+  }
+
+  endRequest(node) {
+    node.outstanding = Math.max(0, node.outstanding - 1);
+  }
+
+  /// Mark a node as healthy.
+  ///
+  /// Arguments:
+  ///   node: object
+  ///     The node that succeeded.
+  markSuccess(node) {
+    node.healthy = true;
+    node.failures = 0;
+    node.unhealthyUntil = 0;
+  }
+
+  /// Record a failure for a node. The node is marked unhealthy
+  /// once it reaches `failureThreshold` consecutive failures.
+  ///
+  /// Arguments:
+  ///   node: object
+  ///     The node that failed.
+  markFailure(node) {
+    let now = Date.now();
+
+    node.failures++;
+    node.lastFailure = now;
+
+    if (node.failures >= this.options.failureThreshold) {
+      node.healthy = false;
+      node.unhealthyUntil = now + this.options.coolDown;
+    }
+  }
+
+  /// Probe all unhealthy nodes, and mark any
+  /// that respond successfully as healthy.
+  ///
+  /// Return: Promise<void>
+  async probeUnhealthyNodes() {
+    let probe = this.options.probe;
+    if (typeof probe !== 'function')
+      return;
+
+    let unhealthyNodes = this.nodes.filter((node) => !node.healthy);
+    await Promise.all(unhealthyNodes.map(async (node) => {
+      try {
+        await probe(node.url);
+        this.markSuccess(node);
+      } catch (error) {
+        node.lastFailure = Date.now();
+      }
+    }));
+  }
+
+  /// Start periodically probing unhealthy nodes.
+  start() {
+    if (this.probeTimer || typeof this.options.probe !== 'function' || !(this.options.probeInterval > 0))
+      return;
+
+    this.probeTimer = setInterval(() => this.probeUnhealthyNodes(), this.options.probeInterval);
+
+    // Don't keep the process alive just for probes
+    if (typeof this.probeTimer.unref === 'function')
+      this.probeTimer.unref();
+  }
+
+  /// Stop probing unhealthy nodes.
+  stop() {
+    if (this.probeTimer)
+      clearInterval(this.probeTimer);
+
+    this.probeTimer = null;
+  }
+}
+
+module.exports = {
+  LoadBalancer,
+};
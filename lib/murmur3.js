@@ -0,0 +1,121 @@
+'use strict';
+
+/* global Buffer */
+
+// 32-bit MurmurHash3 (x86 variant), exactly as implemented
+// by SOLR (org.apache.solr.common.util.Hash.murmurhash3_x86_32).
+// The input string is hashed as UTF-8 bytes, and the result is a
+// signed 32-bit integer, which is what SOLR shard ranges use.
+function murmurHash3(value, seed) {
+  let bytes   = Buffer.from(('' + value), 'utf8');
+  let length  = bytes.length;
+  let c1      = 0xcc9e2d51;
+  let c2      = 0x1b873593;
+  let h1      = seed | 0;
+  let blocks  = length & ~3;
+  let k1;
+
+  for (let i = 0; i < blocks; i += 4) {
+    k1 = (bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24));
+    k1 = Math.imul(k1, c1);
+    k1 = (k1 << 15) | (k1 >>> 17);
+    k1 = Math.imul(k1, c2);
+
+    h1 ^= k1;
+    h1 = (h1 << 13) | (h1 >>> 19);
+    h1 = (Math.imul(h1, 5) + 0xe6546b64) | 0;
+  }
+
+  k1 = 0;
+
+  switch (length & 3) {
+    case 3:
+      k1 = (bytes[blocks + 2] & 0xff) << 16;
+    // fall through
+    case 2:
+      k1 |= (bytes[blocks + 1] & 0xff) << 8;
+    // fall through
+    case 1:
+      k1 |= (bytes[blocks] & 0xff);
+      k1 = Math.imul(k1, c1);
+      k1 = (k1 << 15) | (k1 >>> 17);
+      k1 = Math.imul(k1, c2);
+      h1 ^= k1;
+    // fall through
+    default:
+      break;
+  }
+
+  h1 ^= length;
+  h1 ^= h1 >>> 16;
+  h1 = Math.imul(h1, 0x85ebca6b);
+  h1 ^= h1 >>> 13;
+  h1 = Math.imul(h1, 0xc2b2ae35);
+  h1 ^= h1 >>> 16;
+
+  return h1 | 0;
+}
+
+// Masks used for each part of a composite id,
+// i.e. "tenant!user!doc" (see SOLR's CompositeIdRouter)
+const COMPOSITE_ID_DEFAULT_BITS = {
+  2: [ 16, 16 ],
+  3: [ 8, 8, 16 ],
+};
+
+function bitsToMask(bits, shift) {
+  if (bits <= 0)
+    return 0;
+
+  let mask = (bits >= 32) ? -1 : (((1 << bits) - 1) << (32 - bits));
+  return (mask >>> shift) | 0;
+}
+
+// Hash a document id the same way SOLR's
+// compositeId router does. Ids without a "!"
+// are simply hashed. Ids with a "!" are split
+// into parts, and the hash of each part is used
+// for a slice of the final hash, so that documents
+// with the same prefix end up on the same shard.
+function compositeIdHash(_id) {
+  let id    = ('' + _id);
+  let parts = id.split('!');
+
+  if (parts.length < 2 || parts.length > 3)
+    return murmurHash3(id, 0);
+
+  let bits = COMPOSITE_ID_DEFAULT_BITS[parts.length].slice();
+
+  // Explicit bits, i.e. "tenant/4!doc"
+  for (let i = 0, il = parts.length - 1; i < il; i++) {
+    let match = parts[i].match(/^(.*)\/(\d+)$/);
+    if (!match)
+      continue;
+
+    parts[i] = match[1];
+    bits[i] = Math.min(32, parseInt(match[2], 10));
+  }
+
+  let lastIndex = parts.length - 1;
+  let usedBits  = 0;
+  for (let i = 0; i < lastIndex; i++)
+    usedBits += bits[i];
+
+  bits[lastIndex] = Math.max(0, 32 - usedBits);
+
+  let hash  = 0;
+  let shift = 0;
+
+  for (let i = 0, il = parts.length; i < il; i++) {
+    let mask = bitsToMask(bits[i], shift);
+    hash |= (murmurHash3(parts[i], 0) & mask);
+    shift += bits[i];
+  }
+
+  return hash | 0;
+}
+
+module.exports = {
+  compositeIdHash,
+  murmurHash3,
+};
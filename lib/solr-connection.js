@@ -1,15 +1,36 @@
 'use strict';
 
-const Nife                  = require('nife');
-const { DateTime }          = require('luxon');
+const Nife                          = require('nife');
+const { URL }                       = require('node:url');
+const { DateTime }                  = require('luxon');
 
 const {
   Literals,
   ConnectionBase,
+  Model: ModelBase,
+  QueryEngine,
+  Types,
+  Utils,
 } = require('mythix-orm');
 
-const SOLRQueryGenerator    = require('./solr-query-generator');
-const { HTTPClient }        = require('./http-client');
+const SOLRQueryGenerator            = require('./solr-query-generator');
+const SOLRLiterals                  = require('./literals');
+const AuthProviders                 = require('./auth-providers');
+const { createSOLRError }           = require('./errors');
+const { HTTPClient }                = require('./http-client');
+const { LoadBalancer }              = require('./load-balancer');
+const { ClusterState }              = require('./cluster-state');
+const { JSONDocumentStreamParser }  = require('./json-stream');
+const { dataToQueryString }         = require('./http-utils');
+
+const LUCENE_SPECIAL_CHARACTERS = /[\s+\-&|!(){}[\]^"~*?:\\/]/g;
+const DefaultHelpers            = Types.DefaultHelpers;
+
+// Request errors that mean the cached
+// SolrCloud cluster state is likely stale
+const STALE_CLUSTER_STATE_ERROR_CODES   = [ 'ECONNREFUSED', 'ECONNRESET', 'ECONNTIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH' ];
+const STALE_CLUSTER_STATE_STATUS_CODES  = [ 404, 503 ];
+const STALE_CLUSTER_STATE_MESSAGE       = /not the leader|ClusterState says we are the leader|no servers hosting shard|stale state|not a leader/i;
 
 /// Mythix ORM connection driver for SOLR.
 ///
@@ -17,81 +38,1777 @@ const { HTTPClient }        = require('./http-client');
 class SOLRConnection extends ConnectionBase {
   static dialect = 'solr';
 
-  static DefaultQueryGenerator = SOLRQueryGenerator;
+  static DefaultQueryGenerator = SOLRQueryGenerator;
+
+  static Literals = Object.assign({}, ConnectionBase.Literals, SOLRLiterals);
+
+  /// Get a literal class by its name. The SOLR atomic update
+  /// literals (i.e. `inc`, `add`, `removeRegex`) are checked first, and
+  /// then the default Mythix ORM literals are checked.
+  ///
+  /// Return: class <see>LiteralBase</see>
+  ///
+  /// Arguments:
+  ///   name: string
+  ///     The name of the literal class to find, i.e. `IncLiteral`, or `inc`.
+  static getLiteralClassByName(_name) {
+    if (!_name)
+      return;
+
+    let Klass = SOLRLiterals[_name];
+    if (Klass)
+      return Klass;
+
+    let name          = `${_name.toLowerCase().replace(/[^a-z]/g, '')}literal`;
+    let literalNames  = Object.keys(SOLRLiterals);
+
+    for (let i = 0, il = literalNames.length; i < il; i++) {
+      let literalName = literalNames[i];
+      if (literalName.toLowerCase() === name)
+        return SOLRLiterals[literalName];
+    }
+
+    return super.getLiteralClassByName(_name);
+  }
+
+  /// Create a new `SOLRConnection` instance.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Options to provide to the connection. All options are optional, though `models`
+  ///     is required before the connection is used. If not provided here to the constructor,
+  ///     the application models can always be provided at a later time using the
+  ///     [Connection.registerModels](https://github.com/th317erd/mythix-orm/wiki/ConnectionBase#method-registerModels) method.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `agent` | `object` | `{ keepAlive: true, keepAliveMsecs: 1000, maxSockets: 50, maxFreeSockets: 10 }` | Options for the keep-alive `http.Agent`/`https.Agent` pool shared by every request. Supported options are `keepAlive`, `keepAliveMsecs`, `maxSockets`, `maxFreeSockets`, `maxTotalSockets`, and `scheduling`. |
+  ///     | `auth` | <see>AuthProviderBase</see> \| `object` \| `function` | `undefined` | The auth provider used to authenticate every request. This can be an auth provider instance, an object such as `{ type: 'basic', username, password }`, `{ type: 'bearer', token }`, or `{ type: 'custom', getCredentials }`, or an async `getCredentials` function (see <see>CustomAuthProvider</see>). |
+  ///     | `bindModels` | `boolean` | `true` | Bind the models provided to this connection (see the Mythix ORM [Connection Binding](https://github.com/th317erd/mythix-orm/wiki/ConnectionBinding) article for more information). |
+  ///     | `compression` | `object` | `{ response: true, request: false, threshold: 1024 }` | Compression options. If `response` is `true`, then gzip, deflate, and brotli compressed responses are requested from SOLR, and transparently decoded. If `request` is `true`, then request bodies sent to the `/update` handler that are at least `threshold` bytes are gzip compressed (note: SOLR must be configured to accept compressed request bodies). |
+  ///     | `connectTimeout` | `number` | `0` | The default number of milliseconds to wait for a connection to SOLR to be established. `0` means no timeout. |
+  ///     | `cloud` | `boolean` \| `object` | `false` | If enabled, then the SolrCloud cluster state is read (using the Collections API `CLUSTERSTATUS` action), and cached per collection. Updates are then sent directly to the leader of the shard that owns each document, and reads to an active replica. Provide `{ ttl: number }` to control how long (in milliseconds) the cluster state is cached for (default `60000`). See <see>ClusterState</see>. |
+  ///     | `collections` | `object` | `undefined` | A map of model names to SOLR collection (or core) names, i.e. `{ User: 'users_v2' }`. Models not listed here use their table name as their collection name. |
+  ///     | `defaultParams` | `object` | `undefined` | Query parameters to send with every request made to SOLR, i.e. `{ wt: 'json' }`. |
+  ///     | `headers` | `object` | `undefined` | HTTP headers to send with every request made to SOLR. |
+  ///     | `logger` | Logger Interface | `undefined` | Assign a logger to the connection. If a logger is assigned, then every query (and every error) will be logged using this logger. |
+  ///     | `models` | `Array<Model>` | `undefined` | Models to register with the connection (these models will be bound to the connection if the `boundModels` option is `true`).
+  ///     | `loadBalancer` | `object` | `{ strategy: 'round-robin', failureThreshold: 1, coolDown: 30000, probeInterval: 10000 }` | Options for the <see>LoadBalancer</see> used when more than one node is provided in `nodes`. |
+  ///     | `nodes` | `Array<string>` | `undefined` | A list of SOLR node URLs. This can be provided instead of `url`. If more than one node is provided, then requests are load balanced across the nodes, and failed nodes are skipped until they recover (see <see>LoadBalancer</see>). |
+  ///     | `password` | `string` | `undefined` | The password to use for HTTP Basic authentication. This is shorthand for the `auth` option. |
+  ///     | `ping` | `boolean` | `true` | If `true`, then <see>SOLRConnection.ping</see> will be called when the connection is started, so a misconfigured connection will fail early. |
+  ///     | `queryGenerator` | [QueryGenerator](https://github.com/th317erd/mythix-orm/wiki/QueryGeneratorBase) | <see>SOLRQueryGenerator</see> | Provide an alternate `QueryGenerator` interface for generating Lucene statements for SOLR. This is not usually needed, as the `SOLRConnection` itself will provide its own generator interface. However, if you want to customize the default query generator, or want to provide your own, you can do so using this option. |
+  ///     | `retry` | `object` \| `false` | `{ maxAttempts: 3, baseDelay: 100, maxDelay: 5000, jitter: true }` | The retry policy for transient failures (network errors, and `408`, `429`, `502`, `503`, and `504` status codes). Failed requests are retried with exponential backoff (with full jitter). Supported options are `maxAttempts`, `baseDelay`, `maxDelay`, `jitter`, `retryableStatusCodes`, `retryableErrorCodes`, and `safeErrorCodes`. Non-idempotent requests (i.e. inserts, and `inc` or `add` atomic updates) are only retried when the request never reached SOLR (`safeErrorCodes`). Set to `false` to disable retries. |
+  ///     | `timeout` | `number` | `0` | The default number of milliseconds to wait for a request to SOLR to complete. `0` means no timeout. |
+  ///     | `tls` | `object` | `undefined` | TLS options for `https:` SOLR urls, used for every request. Supported options are `ca`, `cert`, `key`, `pfx`, `passphrase`, `servername`, `rejectUnauthorized`, `ciphers`, `crl`, `minVersion`, and `maxVersion` (see Node's [tls.connect](https://nodejs.org/api/tls.html#tlsconnectoptions-callback)). Provide `cert` and `key` (or `pfx`) for mutual TLS. |
+  ///     | `typeField` | `string` | `'mythix_model_s'` | The SOLR field used to store the model name of each document when multiple models share the same collection. See <see>SOLRConnection.getModelTypeDiscriminator</see>. |
+  ///     | `url` | `string` | `undefined` | The base URL of SOLR, i.e. `http://localhost:8983/solr`. Either this or `nodes` is required. |
+  ///     | `username` | `string` | `undefined` | The username to use for HTTP Basic authentication. This is shorthand for the `auth` option. |
+  constructor(_options) {
+    super(_options);
+
+    if (!(_options && _options.queryGenerator))
+      this.setQueryGenerator(new SOLRQueryGenerator(this));
+
+    Object.defineProperties(this, {
+      'httpClient': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        null,
+      },
+      'clusterState': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        null,
+      },
+      'solrMode': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        null,
+      },
+    });
+  }
+
+  /// Check to see if `start` has already been called
+  /// on this connection. This is used to know if a
+  /// connection is "active" or not.
+  ///
+  /// Return: boolean
+  isStarted() {
+    return !!this.httpClient;
+  }
+
+  /// Get the list of SOLR node URLs from the
+  /// `url` and `nodes` connection options. Trailing
+  /// slashes are removed from each URL.
+  ///
+  /// Return: Array<string>
+  getNodeURLs() {
+    let options = this.getOptions();
+    let urls    = Nife.toArray(options.nodes).concat(Nife.toArray(options.url)).filter(Boolean);
+
+    return Nife.uniq(urls.map((url) => ('' + url).replace(/\/+$/, '')));
+  }
+
+  /// Validate the connection options. This is called
+  /// by <see>SOLRConnection.start</see>, and will throw
+  /// an exception if the options are invalid.
+  ///
+  /// Return: undefined
+  validateOptions() {
+    let options = this.getOptions();
+    let urls    = this.getNodeURLs();
+
+    if (Nife.isEmpty(urls))
+      throw new Error(`${this.constructor.name}::validateOptions: A "url" or "nodes" option is required.`);
+
+    for (let i = 0, il = urls.length; i < il; i++) {
+      let url = urls[i];
+      let parsedURL;
+
+      try {
+        parsedURL = new URL(url);
+      } catch (error) {
+        throw new Error(`${this.constructor.name}::validateOptions: Invalid SOLR url "${url}".`);
+      }
+
+      if (!(/^https?:$/).test(parsedURL.protocol))
+        throw new Error(`${this.constructor.name}::validateOptions: Invalid SOLR url "${url}". Only "http:" and "https:" urls are supported.`);
+    }
+
+    if (options.collections && !Nife.instanceOf(options.collections, 'object'))
+      throw new TypeError(`${this.constructor.name}::validateOptions: "collections" option must be an object.`);
+
+    if (options.defaultParams && !Nife.instanceOf(options.defaultParams, 'object'))
+      throw new TypeError(`${this.constructor.name}::validateOptions: "defaultParams" option must be an object.`);
+
+    if (options.headers && !Nife.instanceOf(options.headers, 'object'))
+      throw new TypeError(`${this.constructor.name}::validateOptions: "headers" option must be an object.`);
+
+    if (options.password && !options.username)
+      throw new Error(`${this.constructor.name}::validateOptions: A "password" was provided without a "username".`);
+
+    if (options.auth && options.username)
+      throw new Error(`${this.constructor.name}::validateOptions: The "auth" and "username" options can not be used together.`);
+
+    let timeoutOptionNames = [ 'timeout', 'connectTimeout' ];
+    for (let i = 0, il = timeoutOptionNames.length; i < il; i++) {
+      let optionName  = timeoutOptionNames[i];
+      let value       = options[optionName];
+
+      if (value != null && !(Nife.instanceOf(value, 'number') && isFinite(value) && value >= 0))
+        throw new TypeError(`${this.constructor.name}::validateOptions: "${optionName}" option must be a non-negative number of milliseconds.`);
+    }
+
+    if (options.retry != null && options.retry !== false) {
+      if (!Nife.instanceOf(options.retry, 'object'))
+        throw new TypeError(`${this.constructor.name}::validateOptions: "retry" option must be an object, or "false".`);
+
+      let maxAttempts = options.retry.maxAttempts;
+      if (maxAttempts != null && !(Nife.instanceOf(maxAttempts, 'number') && maxAttempts >= 1))
+        throw new TypeError(`${this.constructor.name}::validateOptions: "retry.maxAttempts" option must be a number greater than or equal to 1.`);
+    }
+
+    if (options.cloud && options.cloud !== true && !Nife.instanceOf(options.cloud, 'object'))
+      throw new TypeError(`${this.constructor.name}::validateOptions: "cloud" option must be a boolean, or an object.`);
+
+    if (options.compression && !Nife.instanceOf(options.compression, 'object'))
+      throw new TypeError(`${this.constructor.name}::validateOptions: "compression" option must be an object.`);
+
+    if (options.loadBalancer && !Nife.instanceOf(options.loadBalancer, 'object'))
+      throw new TypeError(`${this.constructor.name}::validateOptions: "loadBalancer" option must be an object.`);
+
+    if (options.agent && !Nife.instanceOf(options.agent, 'object'))
+      throw new TypeError(`${this.constructor.name}::validateOptions: "agent" option must be an object.`);
+
+    let tls = options.tls;
+    if (tls) {
+      if (!Nife.instanceOf(tls, 'object'))
+        throw new TypeError(`${this.constructor.name}::validateOptions: "tls" option must be an object.`);
+
+      if (!tls.pfx && (!!tls.cert !== !!tls.key))
+        throw new Error(`${this.constructor.name}::validateOptions: Both "tls.cert" and "tls.key" must be provided for mutual TLS.`);
+    }
+  }
+
+  /// Get the default headers to send with every
+  /// request to SOLR (the `headers` connection option).
+  ///
+  /// Return: object
+  getDefaultHeaders() {
+    return Object.assign({}, this.getOptions().headers || {});
+  }
+
+  /// Create the auth provider for this connection from
+  /// the `auth`, `username`, and `password` connection options.
+  ///
+  /// Return: <see>AuthProviderBase</see> | undefined
+  ///   The auth provider, or `undefined` if no authentication
+  ///   was configured.
+  createAuthProvider() {
+    let options = this.getOptions();
+    let auth    = options.auth;
+
+    if (!auth && options.username)
+      auth = { type: 'basic', username: options.username, password: options.password };
+
+    if (!auth)
+      return;
+
+    if (AuthProviders.AuthProviderBase.isAuthProvider(auth))
+      return auth;
+
+    if (typeof auth === 'function')
+      return new AuthProviders.CustomAuthProvider({ getCredentials: auth });
+
+    if (!Nife.instanceOf(auth, 'object'))
+      throw new TypeError(`${this.constructor.name}::createAuthProvider: "auth" option must be an auth provider, an object, or a function.`);
+
+    let type = ('' + (auth.type || '')).toLowerCase();
+    if (type === 'basic')
+      return new AuthProviders.BasicAuthProvider(auth);
+    else if (type === 'bearer' || type === 'jwt')
+      return new AuthProviders.BearerAuthProvider(auth);
+    else if (type === 'custom')
+      return new AuthProviders.CustomAuthProvider(auth);
+
+    throw new Error(`${this.constructor.name}::createAuthProvider: Unknown auth type "${auth.type}". Supported types are "basic", "bearer", and "custom".`);
+  }
+
+  /// Create the load balancer for this connection. A
+  /// load balancer is only created if more than one
+  /// SOLR node was provided.
+  ///
+  /// Return: <see>LoadBalancer</see> | undefined
+  ///
+  /// Arguments:
+  ///   httpClient: <see>HTTPClient</see>
+  ///     The HTTP client used to probe unhealthy nodes.
+  createLoadBalancer(httpClient) {
+    let nodes = this.getNodeURLs();
+    if (nodes.length < 2)
+      return;
+
+    let loadBalancer = new LoadBalancer(Object.assign({}, this.getOptions().loadBalancer || {}, {
+      nodes,
+      probe: (url) => httpClient.probeNode(url, { retry: false }),
+    }));
+
+    loadBalancer.start();
+
+    return loadBalancer;
+  }
+
+  /// Start the connection. The connection options are validated,
+  /// the HTTP client is created, and then (unless the `ping`
+  /// connection option is `false`) SOLR is pinged to ensure
+  /// it is reachable.
+  ///
+  /// Return: Promise<void>
+  async start() {
+    this.validateOptions();
+
+    let options     = this.getOptions();
+    let compression = options.compression || {};
+    let httpClient  = new HTTPClient({
+      authProvider:         this.createAuthProvider(),
+      tls:                  options.tls,
+      agent:                options.agent,
+      retry:                options.retry,
+      timeout:              options.timeout,
+      connectTimeout:       options.connectTimeout,
+      decompress:           (compression.response !== false),
+      compressionThreshold: compression.threshold,
+    });
+    httpClient.setDefaultURL(this.getNodeURLs()[0]);
+    httpClient.setDefaultHeaders(this.getDefaultHeaders());
+    httpClient.setLoadBalancer(this.createLoadBalancer(httpClient));
+
+    this.httpClient = httpClient;
+    this.clusterState = this.createClusterState();
+
+    if (options.ping === false)
+      return;
+
+    try {
+      await this.ping();
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+  }
+
+  async stop() {
+    if (this.httpClient)
+      this.httpClient.destroy();
+
+    this.httpClient = null;
+    this.clusterState = null;
+    this.solrMode = null;
+  }
+
+  /// Create the SolrCloud cluster state cache for this
+  /// connection, if the `cloud` connection option is enabled.
+  ///
+  /// Return: <see>ClusterState</see> | undefined
+  createClusterState() {
+    let cloud = this.getOptions().cloud;
+    if (!cloud)
+      return;
+
+    return new ClusterState(Object.assign({}, (cloud === true) ? {} : cloud, {
+      fetchClusterStatus: (collectionName) => {
+        return this.makeRequest({
+          method:     'GET',
+          url:        '/admin/collections',
+          params:     { action: 'CLUSTERSTATUS', collection: collectionName, wt: 'json' },
+          idempotent: true,
+        });
+      },
+    }));
+  }
+
+  /// Get the SolrCloud cluster state cache for this
+  /// connection. This is only available when the `cloud`
+  /// connection option is enabled, and the connection
+  /// has been started.
+  ///
+  /// Return: <see>ClusterState</see> | null
+  getClusterState() {
+    return this.clusterState;
+  }
+
+  /// Check if the provided request error indicates
+  /// that the cached SolrCloud cluster state is stale
+  /// (i.e. the node is gone, or is no longer the leader).
+  ///
+  /// Return: boolean
+  ///
+  /// Arguments:
+  ///   error: Error
+  ///     The error thrown by the request.
+  isStaleClusterStateError(error) {
+    if (!error)
+      return false;
+
+    if (STALE_CLUSTER_STATE_ERROR_CODES.indexOf(error.code) >= 0)
+      return true;
+
+    if (STALE_CLUSTER_STATE_STATUS_CODES.indexOf(error.statusCode) >= 0)
+      return true;
+
+    return STALE_CLUSTER_STATE_MESSAGE.test(error.message || '');
+  }
+
+  /// Get the cached SolrCloud layout of the collection
+  /// for the provided model. If the cluster state can not
+  /// be fetched, then the error is logged, and `undefined`
+  /// is returned, so requests fall back to being sent to
+  /// the configured node(s).
+  ///
+  /// Return: Promise<object | undefined>
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see> | string
+  ///     The model (or collection name) to get the layout for.
+  async getCollectionState(Model) {
+    let clusterState = this.clusterState;
+    if (!clusterState)
+      return;
+
+    let collectionName = (Nife.instanceOf(Model, 'string')) ? Model : this.getCollectionName(Model);
+
+    try {
+      return await clusterState.getCollectionState(collectionName);
+    } catch (error) {
+      let logger = this.getOptions().logger;
+      if (logger && typeof logger.error === 'function')
+        logger.error(error);
+    }
+  }
+
+  /// Send a read request (i.e. to the `/select` handler)
+  /// to the collection that belongs to the provided model.
+  ///
+  /// If the `cloud` connection option is enabled, then the
+  /// request is sent to an active replica of the collection.
+  /// If the request fails because the cached cluster state is
+  /// stale, then the cluster state is refreshed, and the request
+  /// is retried once.
+  ///
+  /// Return: Promise<object>
+  ///   The response from SOLR.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see> | string
+  ///     The model (or collection name) to send the request to.
+  ///   handler: string
+  ///     The request handler, i.e. `/select`.
+  ///   requestOptions: object
+  ///     The options for the request (see <see>SOLRConnection.makeRequest</see>).
+  ///   options?: object
+  ///     Options for the operation.
+  async sendReadRequest(Model, handler, requestOptions, options) {
+    let requestPath = this.getCollectionRequestPath(Model, handler);
+
+    for (let attempt = 0; ; attempt++) {
+      let collectionState = await this.getCollectionState(Model);
+      let replica         = (collectionState) ? this.clusterState.pickReadReplica(collectionState) : null;
+      let url             = (replica) ? `${replica.baseURL}${requestPath}` : requestPath;
+
+      try {
+        return await this.makeRequest(Object.assign({}, requestOptions, { url }), options);
+      } catch (error) {
+        if (!replica || attempt > 0 || !this.isStaleClusterStateError(error))
+          throw error;
+
+        this.clusterState.invalidate(collectionState.name);
+      }
+    }
+  }
+
+  /// Ping SOLR to ensure it is reachable, and that
+  /// the connection is configured correctly.
+  ///
+  /// If a model or collection name is provided, then the
+  /// `/admin/ping` handler of that collection is used. Otherwise,
+  /// the `/admin/info/system` handler of the node is used.
+  ///
+  /// Return: Promise<object>
+  ///   The response from SOLR.
+  ///
+  /// Arguments:
+  ///   Model?: class <see>Model</see> | string
+  ///     The model (or collection name) to ping.
+  ///   options?: object
+  ///     The `signal`, `timeout`, and `connectTimeout` options of
+  ///     <see>SOLRConnection.makeRequest</see> are supported.
+  async ping(Model, options) {
+    let url = (Model) ? this.getCollectionRequestPath(Model, '/admin/ping') : '/admin/info/system';
+
+    return await this.makeRequest({
+      method: 'GET',
+      url,
+      params: { wt: 'json' },
+    }, options);
+  }
+
+  /// Escape a single Lucene term, so that it can be used
+  /// unquoted in a Lucene statement. All Lucene special
+  /// characters (including whitespace) are escaped with
+  /// a backslash.
+  ///
+  /// Return: string
+  ///
+  /// Arguments:
+  ///   value: string
+  ///     The term to escape.
+  escapeTerm(value) {
+    return ('' + value).replace(LUCENE_SPECIAL_CHARACTERS, (m) => `\\${m}`);
+  }
+
+  _escape(value) {
+    if (Nife.instanceOf(value, 'string'))
+      return `"${value.replace(/[\\"]/g, (m) => `\\${m}`)}"`;
+
+    return this.escapeTerm(value);
+  }
+
+  _escapeID(value) {
+    return this.escapeTerm(value);
+  }
+
+  /// Escape a value for use in a Lucene statement.
+  ///
+  /// The value is first serialized using the type of the
+  /// provided `field`. Strings are quoted as a Lucene phrase,
+  /// and arrays are converted into an `OR` group of values,
+  /// i.e. `("value1" OR "value2")`. Literals are converted to
+  /// strings, and are not escaped.
+  ///
+  /// Return: string
+  ///
+  /// Arguments:
+  ///   field: <see>Field</see>
+  ///     The field that owns the value. The field's `type` is used
+  ///     to serialize the value.
+  ///   value: any
+  ///     The value to escape.
+  ///   options?: object
+  ///     Options for the operation.
+  escape(field, _value, options) {
+    let value = _value;
+    if (Literals.LiteralBase.isLiteral(value))
+      return value.toString(this, options);
+
+    if (Array.isArray(value)) {
+      let arrayValue = this.prepareArrayValues(value);
+      if (Nife.isEmpty(arrayValue))
+        return '';
+
+      return `(${arrayValue.map((item) => this.escape(field, item, options)).join(' OR ')})`;
+    }
+
+    value = field.type.serialize(value, this);
+
+    if (value === true)
+      return 'true';
+    else if (value === false)
+      return 'false';
+    else if (typeof value === 'bigint')
+      return value.toString();
+
+    return this._escape(value);
+  }
+
+  /// Flatten the provided array, and filter it down
+  /// to only unique values that can be matched against
+  /// in SOLR.
+  ///
+  /// Return: Array<any>
+  ///
+  /// Arguments:
+  ///   array: Array<any>
+  ///     The array of values to prepare.
+  prepareArrayValues(_array) {
+    let array = Nife.arrayFlatten(_array);
+
+    array = array.filter((item) => {
+      if (item === null)
+        return true;
+
+      if (Literals.LiteralBase.isLiteral(item))
+        return true;
+
+      if (DateTime.isDateTime(item) || item instanceof Date)
+        return true;
+
+      if (!Nife.instanceOf(item, 'string', 'number', 'bigint', 'boolean'))
+        return false;
+
+      return true;
+    });
+
+    return Nife.uniq(array);
+  }
+
+  /// Convert a date into a value SOLR understands.
+  ///
+  /// SOLR requires all dates to be in ISO 8601 format,
+  /// in the UTC timezone, i.e. `2022-12-01T15:30:00.000Z`.
+  ///
+  /// Return: string
+  ///
+  /// Arguments:
+  ///   value: `DateTime` | `Date` | number | string
+  ///     The date to convert.
+  ///   type: <see>Type</see>
+  ///     The field type of the value being converted.
+  // eslint-disable-next-line no-unused-vars
+  convertDateToDBTime(value, type) {
+    let dateTime;
+
+    if (Nife.instanceOf(value, 'number'))
+      dateTime = DateTime.fromMillis(value);
+    else if (Nife.instanceOf(value, 'bigint'))
+      dateTime = DateTime.fromMillis(Number(value).valueOf());
+    else if (DateTime.isDateTime(value))
+      dateTime = value;
+    else if (value instanceof Date || (value && value.constructor && value.constructor.name === 'Date'))
+      dateTime = DateTime.fromJSDate(value);
+    else if (Nife.instanceOf(value, 'string'))
+      dateTime = DateTime.fromISO(value);
+    else
+      return value;
+
+    return dateTime.toUTC().toISO();
+  }
+
+  /// Get the default value for the specified default value type.
+  ///
+  /// SOLR has no concept of column defaults, so "remote" defaults
+  /// are resolved locally at the time the document is written.
+  /// `DATETIME_NOW` and `DATE_NOW` resolve to the current time (in UTC),
+  /// and `AUTO_INCREMENT` will throw an exception, as SOLR has no
+  /// support for auto-incrementing fields.
+  ///
+  /// Return: any
+  ///   The default value to use for the field.
+  ///
+  /// Arguments:
+  ///   type: string
+  ///     The default value type, i.e. `DATETIME_NOW`, or `AUTO_INCREMENT`.
+  ///   context: object
+  ///     The default value context, as provided by the default value helper.
+  // eslint-disable-next-line no-unused-vars
+  getDefaultFieldValue(type, context) {
+    switch (type) {
+      case 'AUTO_INCREMENT':
+        throw new Error(`${this.constructor.name}::getDefaultFieldValue: SOLR does not support auto-incrementing fields. Please use a UUID or XID primary key instead.`);
+      case 'DATETIME_NOW':
+      case 'DATETIME_NOW_LOCAL':
+        return DateTime.now().toUTC();
+      case 'DATE_NOW':
+      case 'DATE_NOW_LOCAL':
+        return DateTime.now().toUTC().startOf('day');
+      default:
+        return;
+    }
+  }
+
+  /// Resolve "remote" default values (such as `Types.DATETIME.Default.NOW`)
+  /// for fields that have no value when a model is being inserted.
+  ///
+  /// SQL databases would apply these defaults themselves, but
+  /// SOLR can't, so the value is generated locally, and
+  /// reported back to the model as a dirty field value.
+  ///
+  /// Return: any
+  ///   The default value for the field, or `undefined` if the field
+  ///   isn't dirty.
+  ///
+  /// Arguments:
+  ///   context: object
+  ///     The dirty field context provided by <see>Model._getDirtyFields</see>.
+  dirtyFieldHelper({ options, fieldData, field, fieldName }) {
+    if (!options || !options.insert)
+      return;
+
+    if (fieldData[fieldName] != null)
+      return;
+
+    if (!DefaultHelpers.checkDefaultValueFlags(field.defaultValue, [ 'remote' ]))
+      return;
+
+    return this.getQueryGenerator().getFieldDefaultValue(field, fieldName, { remoteOnly: true, rawLiterals: true });
+  }
+
+  /// Convert the provided literal to a string.
+  ///
+  /// SOLR atomic update literals are converted into the JSON string
+  /// of their atomic update operation, i.e. `{"inc":1}`. All other
+  /// literals are handled by the base connection.
+  ///
+  /// Return: string
+  ///
+  /// Arguments:
+  ///   literal: <see>LiteralBase</see>
+  ///     The literal to convert to a string.
+  ///   options?: object
+  ///     Options for the conversion.
+  literalToString(literal, options) {
+    if (SOLRLiterals.AtomicUpdateLiteralBase.isAtomicUpdateLiteral(literal))
+      return JSON.stringify(literal.toAtomicUpdate(this));
+
+    return super.literalToString(literal, options);
+  }
+
+  /// Convert a "BIGINT" field type to a SOLR field type (`plong`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _bigintTypeToString(type) {
+    return 'plong';
+  }
+
+  /// Convert a "BLOB" field type to a SOLR field type (`binary`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _blobTypeToString(type) {
+    return 'binary';
+  }
+
+  /// Convert a "BOOLEAN" field type to a SOLR field type (`boolean`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _booleanTypeToString(type) {
+    return 'boolean';
+  }
+
+  /// Convert a "CHAR" field type to a SOLR field type (`string`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _charTypeToString(type) {
+    return 'string';
+  }
+
+  /// Convert a "DATE" field type to a SOLR field type (`pdate`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _dateTypeToString(type) {
+    return 'pdate';
+  }
+
+  /// Convert a "DATETIME" field type to a SOLR field type (`pdate`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _datetimeTypeToString(type) {
+    return 'pdate';
+  }
+
+  /// Convert a "NUMERIC" field type to a SOLR field type (`pdouble`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _numericTypeToString(type) {
+    return 'pdouble';
+  }
+
+  /// Convert a "REAL" field type to a SOLR field type (`pdouble`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _realTypeToString(type) {
+    return 'pdouble';
+  }
+
+  /// Convert a "INTEGER" field type to a SOLR field type (`plong`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  ///
+  /// Note:
+  ///   `plong` is used instead of `pint`, because JavaScript
+  ///   integers (i.e. millisecond timestamps) commonly exceed 32 bits.
+  // eslint-disable-next-line no-unused-vars
+  _integerTypeToString(type) {
+    return 'plong';
+  }
+
+  /// Convert a "STRING" field type to a SOLR field type (`string`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _stringTypeToString(type) {
+    return 'string';
+  }
+
+  /// Convert a "TEXT" field type to a SOLR field type (`text_general`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _textTypeToString(type) {
+    return 'text_general';
+  }
+
+  /// Convert a "UUIDV1" field type to a SOLR field type (`string`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _uuidV1TypeToString(type) {
+    return 'string';
+  }
+
+  /// Convert a "UUIDV3" field type to a SOLR field type (`string`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _uuidV3TypeToString(type) {
+    return 'string';
+  }
+
+  /// Convert a "UUIDV4" field type to a SOLR field type (`string`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _uuidV4TypeToString(type) {
+    return 'string';
+  }
+
+  /// Convert a "UUIDV5" field type to a SOLR field type (`string`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _uuidV5TypeToString(type) {
+    return 'string';
+  }
+
+  /// Convert a "XID" field type to a SOLR field type (`string`).
+  ///
+  /// Return: string
+  ///   The SOLR field type name.
+  ///
+  /// Arguments:
+  ///   type: <see>Type</see>
+  ///     The field type to convert.
+  // eslint-disable-next-line no-unused-vars
+  _xidTypeToString(type) {
+    return 'string';
+  }
+
+  /// Get the SOLR collection (or core) name for
+  /// the provided model.
+  ///
+  /// Return: string
+  ///   The name of the collection/core. This will be the
+  ///   name specified for the model in the `collections`
+  ///   connection option, or the table name of the model.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model to get the collection name for.
+  getCollectionName(Model) {
+    let collections     = this.getOptions().collections;
+    let collectionName  = (collections) ? collections[Model.getModelName()] : null;
+    if (collectionName)
+      return collectionName;
+
+    return Model.getTableName(this);
+  }
+
+  /// Get the type discriminator for the provided model.
+  ///
+  /// When multiple registered models share the same collection
+  /// (i.e. they have the same table name), then the model name is
+  /// stored on each document in the `typeField` (as provided to the
+  /// connection options), and all queries, deletes, and truncates are
+  /// filtered by this field, so each model only sees its own documents.
+  ///
+  /// Return: { fieldName: string; value: string; } | undefined
+  ///   The discriminator field name and value, or `undefined`
+  ///   if the model doesn't share its collection with any other model.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model to get the type discriminator for.
+  getModelTypeDiscriminator(Model) {
+    if (!Model)
+      return;
+
+    let modelName       = Model.getModelName();
+    let collectionName  = this.getCollectionName(Model);
+    let models          = this.getModels() || {};
+    let modelNames      = Object.keys(models);
+    let isShared        = false;
+
+    for (let i = 0, il = modelNames.length; i < il; i++) {
+      let otherModelName = modelNames[i];
+      if (otherModelName === modelName)
+        continue;
+
+      if (this.getCollectionName(models[otherModelName]) === collectionName) {
+        isShared = true;
+        break;
+      }
+    }
+
+    if (!isShared)
+      return;
+
+    return {
+      fieldName:  this.getOptions().typeField || 'mythix_model_s',
+      value:      modelName,
+    };
+  }
+
+  /// Get the request path for a SOLR request handler
+  /// on the collection that belongs to the provided model,
+  /// i.e. `/users/select`.
+  ///
+  /// Return: string
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see> | string
+  ///     The model to get the collection for, or the
+  ///     collection name itself.
+  ///   handler: string
+  ///     The request handler path, i.e. `/select`, or `/update`.
+  getCollectionRequestPath(Model, handler) {
+    let collectionName = (Nife.instanceOf(Model, 'string')) ? Model : this.getCollectionName(Model);
+    return `/${encodeURIComponent(collectionName)}${handler || ''}`;
+  }
+
+  /// Make an HTTP request to SOLR.
+  ///
+  /// The `logger` provided to the request (or to the connection,
+  /// if any) is used to log every request, and every error. If SOLR
+  /// responds with a non-2xx status code, then an exception will be
+  /// thrown. The exception will be a <see>SOLRError</see> (or one of its
+  /// child classes, based on the status code and the error reported by SOLR),
+  /// i.e. a `409` status code will throw a <see>SOLRVersionConflictError</see>.
+  /// See <see>createSOLRError</see>.
+  ///
+  /// Return: Promise<any>
+  ///   The body of the response from SOLR.
+  ///
+  /// Arguments:
+  ///   options: object
+  ///     The request options, i.e. `{ method: 'POST', url: '/users/select', data: { ... } }`.
+  ///     JSON is always sent as the content type for request data, unless
+  ///     a `content-type` header is specified. A `params` object can also be
+  ///     provided, which will be appended to the url as query parameters.
+  ///   operationOptions?: object
+  ///     The options of the operation making the request. The request control
+  ///     options (see <see>SOLRConnection.getRequestControlOptions</see>) are
+  ///     picked from these options, and applied to the request.
+  async makeRequest(_options, operationOptions) {
+    if (!this.httpClient)
+      throw new Error(`${this.constructor.name}::makeRequest: Connection not started. Did you forget to call "start"?`);
+
+    let options = Object.assign({ method: 'GET' }, this.getRequestControlOptions(operationOptions), _options || {});
+    let logger  = options.logger || this.getOptions().logger;
+
+    options.headers = Object.assign({ 'content-type': 'application/json' }, options.headers || {});
+
+    let defaultParams = this.getOptions().defaultParams;
+    if (defaultParams)
+      options.params = Object.assign({}, defaultParams, options.params || {});
+
+    if (options.params) {
+      let queryString = dataToQueryString(options.params);
+      if (queryString)
+        options.url = `${options.url}${(options.url.indexOf('?') >= 0) ? '&' : '?'}${queryString}`;
+
+      delete options.params;
+    }
+
+    if (logger)
+      options.logger = logger;
+
+    let response;
+
+    try {
+      response = await this.httpClient.request(options);
+    } catch (error) {
+      if (logger && typeof logger.error === 'function')
+        logger.error(error);
+
+      throw error;
+    }
+
+    let body = response.body;
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      let message = (body && body.error && body.error.msg) || `Request failed with status code ${response.statusCode}`;
+      let error   = createSOLRError(`${this.constructor.name}::makeRequest: ${message}`, {
+        statusCode: response.statusCode,
+        response:   body,
+        url:        response.requestURL || options.url,
+        method:     options.method,
+        query:      this.getQueryFromRequestData(options.data, _options && _options.params),
+      });
+
+      if (logger && typeof logger.error === 'function')
+        logger.error(error);
+
+      throw error;
+    }
+
+    return body;
+  }
+
+  /// Get the query that was sent with a request, so that
+  /// it can be reported with any error from SOLR.
+  ///
+  /// Return: string | object | undefined
+  ///
+  /// Arguments:
+  ///   data: any
+  ///     The data sent with the request.
+  ///   params?: object
+  ///     The query parameters sent with the request.
+  getQueryFromRequestData(data, params) {
+    if (Nife.instanceOf(data, 'object')) {
+      if (data.query !== undefined)
+        return data.query;
+
+      if (data.delete && data.delete.query !== undefined)
+        return data.delete.query;
+    }
+
+    if (params && params.q !== undefined)
+      return params.q;
+  }
+
+  /// Get the request control options from the options
+  /// of an operation. These options can be provided to any
+  /// operation that makes a request to SOLR (i.e. `select`,
+  /// `insert`, `count`, `query`), and are applied to every
+  /// request the operation makes.
+  ///
+  /// Return: object
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `connectTimeout` | `number` | The `connectTimeout` connection option | The number of milliseconds to wait for a connection to SOLR to be established. |
+  ///     | `retry` | `boolean` | `true` | If `false`, then failed requests will not be retried, regardless of the `retry` connection option. |
+  ///     | `signal` | `AbortSignal` | `undefined` | A signal that can be used to abort the request(s). |
+  ///     | `timeout` | `number` | The `timeout` connection option | The number of milliseconds to wait for each request to complete. |
+  getRequestControlOptions(options) {
+    let result = {};
+    if (!options)
+      return result;
+
+    if (options.signal)
+      result.signal = options.signal;
+
+    if (options.timeout != null)
+      result.timeout = options.timeout;
+
+    if (options.connectTimeout != null)
+      result.connectTimeout = options.connectTimeout;
+
+    if (options.retry === false)
+      result.retry = false;
+
+    return result;
+  }
+
+  /// Check if sending the provided data to the SOLR `/update`
+  /// handler more than once would have the same effect as
+  /// sending it once. This is used to decide if a failed
+  /// update request is safe to retry.
+  ///
+  /// Deletes and full document overwrites are idempotent. Inserts
+  /// (documents with a `_version_` constraint) and the `inc` and `add`
+  /// atomic update operations are not.
+  ///
+  /// Return: boolean
+  ///
+  /// Arguments:
+  ///   data: Array<object> | object
+  ///     The data being sent to the `/update` handler.
+  isIdempotentUpdate(data) {
+    if (!Array.isArray(data))
+      return true;
+
+    for (let i = 0, il = data.length; i < il; i++) {
+      let document = data[i];
+      if (!document)
+        continue;
+
+      if (document._version_ != null && document._version_ !== 0)
+        return false;
+
+      let keys = Object.keys(document);
+      for (let j = 0, jl = keys.length; j < jl; j++) {
+        let value = document[keys[j]];
+        if (Nife.instanceOf(value, 'object') && (Object.prototype.hasOwnProperty.call(value, 'inc') || Object.prototype.hasOwnProperty.call(value, 'add')))
+          return false;
+      }
+    }
+
+    return true;
+  }
+
+  /// Get the commit parameters for a request to
+  /// the SOLR `/update` handler from the provided options.
+  ///
+  /// Return: object
+  ///   The query parameters to send with the update request.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `commit` | `boolean` | `undefined` | If `true`, then SOLR will perform a hard commit after the update. |
+  ///     | `commitWithin` | `number` | `undefined` | The number of milliseconds within which SOLR should commit the update. |
+  ///     | `softCommit` | `boolean` | `undefined` | If `true`, then SOLR will perform a soft commit after the update. |
+  getUpdateRequestParams(_options) {
+    let options = _options || {};
+    let params  = {};
+
+    if (options.commit === true)
+      params.commit = true;
+
+    if (options.softCommit === true)
+      params.softCommit = true;
+
+    if (Nife.instanceOf(options.commitWithin, 'number') && options.commitWithin >= 0)
+      params.commitWithin = options.commitWithin;
+
+    return params;
+  }
+
+  /// Send the provided JSON documents (or update commands)
+  /// to the SOLR `/update` handler for the collection that
+  /// belongs to the provided model.
+  ///
+  /// Return: Promise<object>
+  ///   The response from SOLR.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model that owns the collection being updated.
+  ///   data: Array<object> | object
+  ///     The documents, or update commands to send to SOLR.
+  ///   options?: object
+  ///     Options for the operation. See <see>SOLRConnection.getUpdateRequestParams</see>
+  ///     for the commit options available.
+  ///
+  /// Note:
+  ///   If the `cloud` connection option is enabled, then documents (and
+  ///   deletes by id) are grouped by the shard that owns them, and each group
+  ///   is sent directly to the leader of its shard. If sending to a leader
+  ///   fails because the cached cluster state is stale, then the cluster state
+  ///   is refreshed, and the group is sent to the configured node(s) instead,
+  ///   which will forward it to the correct leader.
+  async sendUpdateRequest(Model, data, options) {
+    let requestOptions = {
+      method:     'POST',
+      params:     Object.assign(this.getUpdateRequestParams(options), { versions: true }),
+      idempotent: this.isIdempotentUpdate(data),
+      write:      true,
+      compress:   !!(this.getOptions().compression || {}).request,
+    };
+
+    let requestPath = this.getCollectionRequestPath(Model, '/update');
+    let groups      = await this.groupUpdateDataByLeader(Model, data);
+    if (!groups)
+      return await this.makeRequest(Object.assign({}, requestOptions, { url: requestPath, data }), options);
 
-  /// Create a new `SOLRConnection` instance.
+    let responses = await Promise.all(groups.map(async ({ leader, data: groupData }) => {
+      let groupOptions = Object.assign({}, requestOptions, { data: groupData });
+      if (!leader)
+        return await this.makeRequest(Object.assign(groupOptions, { url: requestPath }), options);
+
+      try {
+        return await this.makeRequest(Object.assign({}, groupOptions, { url: `${leader.coreURL}/update` }), options);
+      } catch (error) {
+        if (!this.isStaleClusterStateError(error))
+          throw error;
+
+        this.clusterState.invalidate(this.getCollectionName(Model));
+        return await this.makeRequest(Object.assign(groupOptions, { url: requestPath }), options);
+      }
+    }));
+
+    // Merge the responses, so callers see a single response
+    let response = Object.assign({}, responses[responses.length - 1]);
+    let adds     = [];
+
+    for (let i = 0, il = responses.length; i < il; i++) {
+      let thisResponse = responses[i];
+      if (thisResponse && Array.isArray(thisResponse.adds))
+        adds = adds.concat(thisResponse.adds);
+    }
+
+    if (adds.length > 0)
+      response.adds = adds;
+
+    return response;
+  }
+
+  /// Group the provided update data by the leader of
+  /// the shard that owns each document (or id, for deletes).
+  /// This is used to route updates directly to shard leaders
+  /// when the `cloud` connection option is enabled.
+  ///
+  /// Return: Promise<Array<{ leader: object | null; data: Array<object> | object; }> | undefined>
+  ///   The groups, or `undefined` if the data can not be routed
+  ///   (i.e. cloud routing is disabled, or this is a delete by query).
+  ///   The `leader` of a group is `null` for documents whose shard
+  ///   has no known leader.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model that owns the collection being updated.
+  ///   data: Array<object> | object
+  ///     The documents, or update commands to send to SOLR.
+  async groupUpdateDataByLeader(Model, data) {
+    let isDeleteByID = (data && !Array.isArray(data) && Array.isArray(data.delete));
+    if (!this.clusterState || (!Array.isArray(data) && !isDeleteByID))
+      return;
+
+    let pkField = Model.getPrimaryKeyField();
+    if (!pkField)
+      return;
+
+    let collectionState = await this.getCollectionState(Model);
+    if (!collectionState)
+      return;
+
+    let routeField  = collectionState.routeField || this.getQueryGenerator().getEscapedColumnName(Model, pkField, { raw: true });
+    let items       = (isDeleteByID) ? data.delete : data;
+    let groupMap    = new Map();
+
+    // Deletes can only be routed by id if the
+    // collection is routed by the primary key
+    if (isDeleteByID && collectionState.routeField)
+      return;
+
+    for (let i = 0, il = items.length; i < il; i++) {
+      let item    = items[i];
+      let routeID = (isDeleteByID) ? item : (item && item[routeField]);
+      let shard   = this.clusterState.getShardForID(collectionState, routeID);
+      let leader  = (shard && shard.leader) || null;
+      let key     = (leader) ? leader.coreURL : null;
+      let group   = groupMap.get(key);
+
+      if (!group) {
+        group = { leader, items: [] };
+        groupMap.set(key, group);
+      }
+
+      group.items.push(item);
+    }
+
+    return Array.from(groupMap.values()).map(({ leader, items: groupItems }) => {
+      return { leader, data: (isDeleteByID) ? { delete: groupItems } : groupItems };
+    });
+  }
+
+  /// Get the SOLR `_version_` that was loaded
+  /// with (or last written for) the provided model.
+  ///
+  /// Return: string | number | undefined
+  ///   The `_version_` of the document, or `undefined` if unknown.
+  ///   Versions larger than `Number.MAX_SAFE_INTEGER` are
+  ///   stored as strings, so they don't lose precision.
+  ///
+  /// Arguments:
+  ///   model: <see>Model</see>
+  ///     The model to get the version for.
+  getModelVersion(model) {
+    if (!model)
+      return;
+
+    return model._solrVersion;
+  }
+
+  /// Set the SOLR `_version_` for the provided model.
+  /// The version is stored as a non-enumerable
+  /// property on the model.
+  ///
+  /// Arguments:
+  ///   model: <see>Model</see>
+  ///     The model to set the version on.
+  ///   version: string | number
+  ///     The `_version_` of the document.
+  setModelVersion(model, version) {
+    Object.defineProperty(model, '_solrVersion', {
+      writable:     true,
+      enumerable:   false,
+      configurable: true,
+      value:        version,
+    });
+  }
+
+  /// Update the `_version_` of the provided models from
+  /// the response of an `/update` request. SOLR reports
+  /// the new version of each written document in the `adds`
+  /// property of the response, as a flat list of
+  /// `[ id, version, id, version, ... ]`.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model class of the models that were written.
+  ///   models: Array<Model>
+  ///     The models that were written.
+  ///   response: object
+  ///     The response from SOLR.
+  updateModelVersionsFromResponse(Model, models, response) {
+    let adds = (response && response.adds);
+    if (!Array.isArray(adds) || adds.length === 0)
+      return;
+
+    let pkField = Model.getPrimaryKeyField();
+    if (!pkField)
+      return;
+
+    let versions = new Map();
+    for (let i = 0, il = adds.length; i < il; i += 2)
+      versions.set(('' + adds[i]), adds[i + 1]);
+
+    let queryGenerator = this.getQueryGenerator();
+    for (let i = 0, il = models.length; i < il; i++) {
+      let model   = models[i];
+      let id      = queryGenerator.getDocumentFieldValue(pkField, model.getDataValue(pkField.fieldName));
+      let version = versions.get(('' + id));
+
+      if (version != null)
+        this.setModelVersion(model, version);
+    }
+  }
+
+  /// Convert the documents returned from a SOLR select
+  /// request into model instances.
+  ///
+  /// SOLR field names (column names) are mapped back to
+  /// model field names. Any SOLR fields that aren't model fields
+  /// are ignored.
+  ///
+  /// Return: Array<Model>
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model class to use to construct each model.
+  ///   documents: Array<object>
+  ///     The SOLR documents to convert into models.
+  ///   startOrder?: number
+  ///     The `__order` of the first model. Defaults to `0`.
+  buildModelsFromDocuments(Model, documents, startOrder) {
+    if (Nife.isEmpty(documents))
+      return [];
+
+    let fieldMap = this.getDocumentFieldMap(Model);
+    return documents.map((document, index) => this.buildModelFromDocument(Model, document, (startOrder || 0) + index, fieldMap));
+  }
+
+  /// Get the mapping of SOLR field names (column names)
+  /// to model field names for the provided model.
+  ///
+  /// Return: Array<{ fieldName: string; columnName: string; }>
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model to get the field mapping for.
+  getDocumentFieldMap(Model) {
+    let queryGenerator  = this.getQueryGenerator();
+    let fieldMap        = [];
+
+    Model.iterateFields(({ field, fieldName }) => {
+      if (field.type.isVirtual())
+        return;
+
+      fieldMap.push({ fieldName, columnName: queryGenerator.getEscapedColumnName(Model, field, { raw: true }) });
+    });
+
+    return fieldMap;
+  }
+
+  /// Convert a single document returned from a SOLR
+  /// select request into a model instance.
+  ///
+  /// Return: Model
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model class to use to construct the model.
+  ///   document: object
+  ///     The SOLR document to convert into a model.
+  ///   index: number
+  ///     The index of the document in the results.
+  ///   fieldMap?: Array<object>
+  ///     The field mapping to use, as returned by <see>SOLRConnection.getDocumentFieldMap</see>.
+  buildModelFromDocument(Model, document, index, _fieldMap) {
+    let fieldMap  = _fieldMap || this.getDocumentFieldMap(Model);
+    let data      = {};
+
+    for (let i = 0, il = fieldMap.length; i < il; i++) {
+      let { fieldName, columnName } = fieldMap[i];
+      if (!Object.prototype.hasOwnProperty.call(document, columnName))
+        continue;
+
+      data[fieldName] = document[columnName];
+    }
+
+    let model = new Model(data, { connection: this });
+
+    if (document._version_ != null)
+      this.setModelVersion(model, document._version_);
+
+    model.clearDirty();
+    model._persisted = true;
+    model.__order = index || 0;
+
+    return model;
+  }
+
+  /// Check if SOLR is running in SolrCloud mode.
+  ///
+  /// If the `cloud` connection option is enabled, then this is
+  /// always `true`. Otherwise, the `mode` reported by the
+  /// `/admin/info/system` handler is used (and cached
+  /// until the connection is stopped).
+  ///
+  /// Return: Promise<boolean>
   ///
   /// Arguments:
   ///   options?: object
-  ///     Options to provide to the connection. All options are optional, though `models`
-  ///     is required before the connection is used. If not provided here to the constructor,
-  ///     the application models can always be provided at a later time using the
-  ///     [Connection.registerModels](https://github.com/th317erd/mythix-orm/wiki/ConnectionBase#method-registerModels) method.
+  ///     Options for the operation.
+  async isCloudMode(options) {
+    if (this.getOptions().cloud)
+      return true;
+
+    if (!this.solrMode) {
+      let result = await this.makeRequest({
+        method:     'GET',
+        url:        '/admin/info/system',
+        params:     { wt: 'json' },
+        idempotent: true,
+      }, options);
+
+      this.solrMode = (result && result.mode) || 'std';
+    }
+
+    return (this.solrMode === 'solrcloud');
+  }
+
+  /// Check if the collection (or core, when not running
+  /// in SolrCloud mode) for the provided model exists.
+  ///
+  /// Return: Promise<boolean>
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see> | string
+  ///     The model (or collection name) to check.
+  ///   options?: object
+  ///     Options for the operation.
+  async collectionExists(Model, options) {
+    let collectionName = (Nife.instanceOf(Model, 'string')) ? Model : this.getCollectionName(Model);
+
+    if (await this.isCloudMode(options)) {
+      let result = await this.makeRequest({
+        method:     'GET',
+        url:        '/admin/collections',
+        params:     { action: 'LIST', wt: 'json' },
+        idempotent: true,
+      }, options);
+
+      return ((result && result.collections) || []).indexOf(collectionName) >= 0;
+    }
+
+    let result = await this.makeRequest({
+      method:     'GET',
+      url:        '/admin/cores',
+      params:     { action: 'STATUS', core: collectionName, wt: 'json' },
+      idempotent: true,
+    }, options);
+
+    let status = (result && result.status && result.status[collectionName]);
+    return (!!status && !Nife.isEmpty(status));
+  }
+
+  /// Create the collection (or core, when not running
+  /// in SolrCloud mode) for the provided model.
+  ///
+  /// Return: Promise<object>
+  ///   The response from SOLR.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see> | string
+  ///     The model (or collection name) to create the collection for.
+  ///   options?: object
+  ///     Options for the operation.
   ///     | Option | Type | Default Value | Description |
   ///     | ------ | ---- | ------------- | ----------- |
-  ///     | `bindModels` | `boolean` | `true` | Bind the models provided to this connection (see the Mythix ORM [Connection Binding](https://github.com/th317erd/mythix-orm/wiki/ConnectionBinding) article for more information). |
-  ///     | `logger` | Logger Interface | `undefined` | Assign a logger to the connection. If a logger is assigned, then every query (and every error) will be logged using this logger. |
-  ///     | `models` | `Array<Model>` | `undefined` | Models to register with the connection (these models will be bound to the connection if the `boundModels` option is `true`).
-  ///     | `queryGenerator` | [QueryGenerator](https://github.com/th317erd/mythix-orm/wiki/QueryGeneratorBase) | <see>SOLRQueryGenerator</see> | Provide an alternate `QueryGenerator` interface for generating Lucene statements for SOLR. This is not usually needed, as the `SOLRConnection` itself will provide its own generator interface. However, if you want to customize the default query generator, or want to provide your own, you can do so using this option. |
-  constructor(_options) {
-    super(_options);
+  ///     | `configSet` | `string` | `'_default'` | The configset to create the collection (or core) from. It should use a managed schema, so that fields can be added with the Schema API. |
+  ///     | `numShards` | `number` | `1` | The number of shards (SolrCloud only). |
+  ///     | `replicationFactor` | `number` | `1` | The number of replicas of each shard (SolrCloud only). |
+  async createCollection(Model, _options) {
+    let options         = _options || {};
+    let collectionName  = (Nife.instanceOf(Model, 'string')) ? Model : this.getCollectionName(Model);
+    let configSet       = options.configSet || '_default';
 
-    if (!(_options && _options.queryGenerator))
-      this.setQueryGenerator(new SOLRQueryGenerator(this));
+    if (await this.isCloudMode(options)) {
+      return await this.makeRequest({
+        method: 'GET',
+        url:    '/admin/collections',
+        params: {
+          'action':                 'CREATE',
+          'name':                   collectionName,
+          'numShards':              options.numShards || 1,
+          'replicationFactor':      options.replicationFactor || 1,
+          'collection.configName':  configSet,
+          'wt':                     'json',
+        },
+      }, options);
+    }
 
-    Object.defineProperties(this, {
-      'httpClient': {
-        writable:     true,
-        enumerable:   false,
-        configurable: true,
-        value:        null,
-      },
-    });
+    return await this.makeRequest({
+      method: 'GET',
+      url:    '/admin/cores',
+      params: { action: 'CREATE', name: collectionName, configSet, wt: 'json' },
+    }, options);
   }
 
-  /// Check to see if `start` has already been called
-  /// on this connection. This is used to know if a
-  /// connection is "active" or not.
+  /// Fetch the current schema of the collection
+  /// for the provided model, using the Schema API.
   ///
-  /// Return: boolean
-  isStarted() {
-    return !!this.httpClient;
-  }
+  /// Return: Promise<object>
+  ///   The schema, i.e. `{ name, uniqueKey, fieldTypes, fields, dynamicFields, copyFields }`.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see> | string
+  ///     The model (or collection name) to fetch the schema for.
+  ///   options?: object
+  ///     Options for the operation.
+  async getSchema(Model, options) {
+    let result = await this.makeRequest({
+      method:     'GET',
+      url:        this.getCollectionRequestPath(Model, '/schema'),
+      params:     { wt: 'json' },
+      idempotent: true,
+    }, options);
 
-  async start() {
-    this.httpClient = new HTTPClient();
+    return (result && result.schema) || {};
   }
 
-  async stop() {
-    this.httpClient = null;
+  /// Send Schema API commands to the collection
+  /// for the provided model.
+  ///
+  /// Return: Promise<object | undefined>
+  ///   The response from SOLR, or `undefined` if
+  ///   there were no commands to send.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see> | string
+  ///     The model (or collection name) to update the schema of.
+  ///   commands: object
+  ///     The Schema API commands, i.e. `{ "add-field": [ ... ] }`.
+  ///   options?: object
+  ///     Options for the operation.
+  async updateSchema(Model, commands, options) {
+    if (Nife.isEmpty(commands))
+      return;
+
+    return await this.makeRequest({
+      method: 'POST',
+      url:    this.getCollectionRequestPath(Model, '/schema'),
+      params: { wt: 'json' },
+      data:   commands,
+    }, options);
   }
 
-  /// Drop a table/bucket from the database.
+  /// Detect drift between the provided models, and the live
+  /// SOLR schemas of their collections.
+  ///
+  /// The schema of each collection is fetched (using the Schema API),
+  /// and compared with the fields of every provided model that uses
+  /// that collection. Missing fields, extra fields, type mismatches,
+  /// and attribute differences are reported, as are missing or extra
+  /// combined index fields and the copy fields that fill them, along
+  /// with the Schema API commands needed to reconcile the schema with
+  /// the models. See
+  /// <see>SOLRQueryGenerator.generateSchemaDiff</see> for the
+  /// format of the report for each collection.
+  ///
+  /// By default this is a dry-run, and nothing is changed. Pass
+  /// `{ dryRun: false }` to send the reconciling commands to SOLR.
+  ///
+  /// Return: Promise<object>
+  ///   An object mapping each collection name to its report. Each report also
+  ///   has an `exists` property (`false` if the collection doesn't exist, in which case
+  ///   every field is reported as missing), and an `applied` property (`true` if the
+  ///   commands were sent to SOLR).
   ///
-  /// This uses the provided `Model` class to
-  /// find the table/bucket name to drop, and then
-  /// will drop it from the underlying database.
+  /// Arguments:
+  ///   Models: Array<class <see>Model</see>> | { [key: string]: class <see>Model</see> }
+  ///     The models to compare. If not provided, then all models
+  ///     registered with the connection are compared.
+  ///   options?: object
+  ///     Options for the operation. All options of <see>SOLRQueryGenerator.generateSchemaDiff</see>
+  ///     are supported.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `allowReindexRequired` | `boolean` | `false` | If `true`, then apply commands even if they require a collection to be reindexed. Otherwise an exception is thrown before anything is applied. |
+  ///     | `dryRun` | `boolean` | `true` | If `false`, then the reconciling commands are sent to SOLR. Collections that don't exist are skipped (use <see>SOLRConnection.createTable</see> to create them). |
+  async diffSchema(_Models, _options) {
+    let options         = _options || {};
+    let queryGenerator  = this.getQueryGenerator();
+    let Models          = _Models || this.getModels() || {};
+    let collections     = {};
+    let collectionNames = [];
+    let reports         = {};
+
+    Models = (Nife.instanceOf(Models, 'array', 'function')) ? Nife.toArray(Models).filter(Boolean) : Object.values(Models);
+
+    for (let i = 0, il = Models.length; i < il; i++) {
+      let Model           = Models[i];
+      let collectionName  = this.getCollectionName(Model);
+
+      if (!collections[collectionName]) {
+        collections[collectionName] = [];
+        collectionNames.push(collectionName);
+      }
+
+      collections[collectionName].push(Model);
+    }
+
+    for (let i = 0, il = collectionNames.length; i < il; i++) {
+      let collectionName  = collectionNames[i];
+      let exists          = await this.collectionExists(collectionName, options);
+      let schema          = (exists) ? await this.getSchema(collectionName, options) : {};
+      let report          = queryGenerator.generateSchemaDiff(collections[collectionName], schema, options);
+
+      reports[collectionName] = Object.assign(report, { exists, applied: false });
+    }
+
+    if (options.dryRun !== false)
+      return reports;
+
+    if (options.allowReindexRequired !== true) {
+      let reindexCollectionNames = collectionNames.filter((collectionName) => (reports[collectionName].exists && reports[collectionName].reindexRequired));
+      if (reindexCollectionNames.length > 0)
+        throw new Error(`${this.constructor.name}::diffSchema: Reconciling the schema of ${reindexCollectionNames.map((collectionName) => `"${collectionName}"`).join(', ')} requires a reindex. Pass the "allowReindexRequired" option to apply the changes anyway.`);
+    }
+
+    for (let i = 0, il = collectionNames.length; i < il; i++) {
+      let collectionName  = collectionNames[i];
+      let report          = reports[collectionName];
+
+      if (!report.exists || Nife.isEmpty(report.commands))
+        continue;
+
+      await this.updateSchema(collectionName, report.commands, options);
+      report.applied = true;
+    }
+
+    return reports;
+  }
+
+  /// Drop the collection for the provided model class.
   ///
-  /// The `options` argument is database specific,
-  /// but might contain options such as `ifExists`,
-  /// or `cascade`, for example.
+  /// When running in SolrCloud mode the collection is deleted
+  /// with the Collections API `DELETE` action. Otherwise, the core
+  /// is unloaded with the CoreAdmin API `UNLOAD` action, and its
+  /// index is deleted. Configsets are left intact, unless the
+  /// `dropConfigSet` option is `true`.
   ///
-  /// Return: any
-  ///   A database specific return value for the drop table
-  ///   operation.
+  /// Return: Promise<object | undefined>
+  ///   The response from SOLR, or `undefined` if the collection
+  ///   doesn't exist, and the `ifExists` option is `true`.
   ///
   /// Arguments:
   ///   Model: class <see>Model</see>
-  ///     The model to drop from the database. The method <see name="Model.getTableName">Model.static getTableName</see>
-  ///     is called on the model class to figure out what table/bucket to
-  ///     drop from the database.
+  ///     The model to drop the collection of. See <see>SOLRConnection.getCollectionName</see>.
   ///   options?: object
-  ///     Database specific operations for dropping the table/bucket. Please
-  ///     refer to the documentation of the driver you are using for further
-  ///     information.
-  // eslint-disable-next-line no-unused-vars
-  async dropTable(Model, options) {
-    throw new Error(`${this.constructor.name}::dropTable: This operation is not supported for this connection type.`);
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `dropConfigSet` | `boolean` | `false` | If `true`, then the configset of the collection is also deleted (SolrCloud), or the instance directory of the core is deleted (standalone). The `_default` configset is never deleted. |
+  ///     | `ifExists` | `boolean` | `false` | If `true`, then do nothing if the collection doesn't exist. Otherwise an exception is thrown. |
+  async dropTable(Model, _options) {
+    let options         = _options || {};
+    let collectionName  = this.getCollectionName(Model);
+
+    if (!(await this.collectionExists(Model, options))) {
+      if (options.ifExists === true)
+        return;
+
+      throw new Error(`${this.constructor.name}::dropTable: Collection "${collectionName}" does not exist.`);
+    }
+
+    if (!(await this.isCloudMode(options))) {
+      return await this.makeRequest({
+        method: 'GET',
+        url:    '/admin/cores',
+        params: {
+          action:             'UNLOAD',
+          core:               collectionName,
+          deleteIndex:        true,
+          deleteInstanceDir:  (options.dropConfigSet === true),
+          wt:                 'json',
+        },
+      }, options);
+    }
+
+    let configSet;
+    if (options.dropConfigSet === true) {
+      let status = await this.makeRequest({
+        method:     'GET',
+        url:        '/admin/collections',
+        params:     { action: 'CLUSTERSTATUS', collection: collectionName, wt: 'json' },
+        idempotent: true,
+      }, options);
+
+      let collectionStatus = status && status.cluster && status.cluster.collections && status.cluster.collections[collectionName];
+      configSet = collectionStatus && collectionStatus.configName;
+    }
+
+    let result = await this.makeRequest({
+      method: 'GET',
+      url:    '/admin/collections',
+      params: { action: 'DELETE', name: collectionName, wt: 'json' },
+    }, options);
+
+    if (this.clusterState)
+      this.clusterState.invalidate(collectionName);
+
+    if (configSet && configSet !== '_default') {
+      await this.makeRequest({
+        method: 'GET',
+        url:    '/admin/configs',
+        params: { action: 'DELETE', name: configSet, wt: 'json' },
+      }, options);
+    }
+
+    return result;
   }
 
   /// Drop all specified tables/buckets from the database.
@@ -111,23 +1828,23 @@ class SOLRConnection extends ConnectionBase {
   /// constraints in play will play nicely with the operation
   /// and not throw errors.
   ///
-  /// This method simply calls <see>ConnectionBase.dropTable</see> for every
+  /// This method simply calls <see>SOLRConnection.dropTable</see> for every
   /// model provided--after sorting the models based on their
-  /// foreign keys.
+  /// foreign keys. Models that share a collection (or core) with
+  /// a model that was already dropped by this call are skipped,
+  /// so each collection is only dropped once.
   ///
-  /// Return: any
-  ///   A database specific return value for the drop tables
-  ///   operation.
+  /// Return: Promise<Array<any>>
+  ///   The result of <see>SOLRConnection.dropTable</see> for
+  ///   each collection that was dropped.
   ///
   /// Arguments:
   ///   Models: Array<class <see>Model</see>>
-  ///     All the models to drop from the database. The method <see name="Model.getTableName">Model.static getTableName</see>
-  ///     is called on each model class to figure out what table/bucket to
+  ///     All the models to drop from the database. The method <see>SOLRConnection.getCollectionName</see>
+  ///     is called on each model class to figure out what collection to
   ///     drop from the database.
   ///   options?: object
-  ///     Database specific operations for dropping the table/bucket. Please
-  ///     refer to the documentation of the driver you are using for further
-  ///     information.
+  ///     Options for the operation. See <see>SOLRConnection.dropTable</see>.
   async dropTables(_Models, options) {
     if (!_Models)
       return;
@@ -150,28 +1867,42 @@ class SOLRConnection extends ConnectionBase {
     // Second we sort the model names in creation order,
     // and going in reverse of that order we destroy
     // each table.
-    let modelNames        = Object.keys(modelMap);
-    let sortedModelNames  = Utils.sortModelNamesByCreationOrder(this, modelNames);
-    let results           = [];
+    let modelNames          = Object.keys(modelMap);
+    let sortedModelNames    = Utils.sortModelNamesByCreationOrder(this, modelNames);
+    let droppedCollections  = new Set();
+    let results             = [];
 
     for (let i = sortedModelNames.length - 1; i >= 0; i--) {
-      let modelName = sortedModelNames[i];
-      let Model     = modelMap[modelName];
+      let modelName       = sortedModelNames[i];
+      let Model           = modelMap[modelName];
+      let collectionName  = this.getCollectionName(Model);
 
+      // Models can share a collection, which
+      // must only be dropped once
+      if (droppedCollections.has(collectionName))
+        continue;
+
+      droppedCollections.add(collectionName);
       results.push(await this.dropTable(Model, options));
     }
 
     return results;
   }
 
-  /// Create a table/bucket using the provided model class.
+  /// Create the collection and schema fields for the provided model class.
   ///
-  /// The provided `options` are database specific,
-  /// but might contain things like `ifNotExists`, for
-  /// example.
+  /// If the collection (or core, when not running in SolrCloud mode) for
+  /// the model doesn't exist, then it is created first (see <see>SOLRConnection.createCollection</see>).
+  /// The current schema of the collection is then fetched, and every concrete field
+  /// of the model that is missing from the schema is added with the Schema API
+  /// `add-field` command (along with any missing field types, using `add-field-type`).
+  /// See <see>SOLRQueryGenerator.generateCreateTableStatement</see>.
+  /// Finally, the indexes declared on the model fields are created
+  /// (see <see>SOLRConnection.defineIndexes</see>).
   ///
-  /// Return: any
-  ///   A connection specific return value for the operation.
+  /// Return: Promise<object>
+  ///   The Schema API commands that were sent to SOLR. This will be
+  ///   an empty object if the schema already had every field and index.
   ///
   /// Arguments:
   ///   Model: class <see>Model</see>
@@ -182,11 +1913,39 @@ class SOLRConnection extends ConnectionBase {
   ///     in the underlying database. Any "virtual" or "relational" fields will
   ///     be skipped.
   ///   options?: object
-  ///     Database specific operations for creating the table/bucket. Please
-  ///     refer to the documentation of the driver you are using for further
-  ///     information.
-  async createTable(Model, options) {
-    throw new Error(`${this.constructor.name}::createTable: This operation is not supported for this connection type.`);
+  ///     Options for the operation. All options of <see>SOLRConnection.createCollection</see>
+  ///     are supported.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `createCollection` | `boolean` | `true` | If `false`, then the collection is never created, and an exception is thrown if it doesn't exist. |
+  ///
+  /// Note:
+  ///   Fields that already exist in the schema are never modified.
+  ///   Use <see>SOLRConnection.alterColumn</see> to change existing fields.
+  async createTable(Model, _options) {
+    let options         = _options || {};
+    let collectionName  = this.getCollectionName(Model);
+
+    if (!(await this.collectionExists(Model, options))) {
+      if (options.createCollection === false)
+        throw new Error(`${this.constructor.name}::createTable: Collection "${collectionName}" does not exist.`);
+
+      await this.createCollection(Model, options);
+
+      if (this.clusterState)
+        this.clusterState.invalidate(collectionName);
+    }
+
+    let queryGenerator  = this.getQueryGenerator();
+    let schema          = await this.getSchema(Model, options);
+    let commands        = queryGenerator.generateCreateTableStatement(Model, schema, options);
+
+    await this.updateSchema(Model, commands, options);
+
+    // Indexes are created once the fields exist
+    let indexCommands = await this.defineIndexes(Model, options);
+
+    return queryGenerator.mergeSchemaCommands(commands, indexCommands);
   }
 
   /// Create all specified tables/buckets in the database.
@@ -270,8 +2029,28 @@ class SOLRConnection extends ConnectionBase {
     throw new Error(`${this.constructor.name}::defineConstraints: This operation is not supported for this connection type.`);
   }
 
-  async defineIndexes() {
-    throw new Error(`${this.constructor.name}::defineIndexes: This operation is not supported for this connection type.`);
+  /// Create every index declared on the fields of the provided
+  /// model (using the `index` property of each field) in the SOLR
+  /// schema. See <see>SOLRConnection.addIndex</see> for how indexes
+  /// are translated into SOLR concepts.
+  ///
+  /// This is called by <see>SOLRConnection.createTable</see>.
+  ///
+  /// Return: Promise<object>
+  ///   The Schema API commands that were sent to SOLR.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model to create the indexes of.
+  ///   options?: object
+  ///     Options for the operation.
+  async defineIndexes(Model, options) {
+    let schema    = await this.getSchema(Model, options);
+    let commands  = this.getQueryGenerator().generateCreateIndexStatements(Model, schema, options);
+
+    await this.updateSchema(Model, commands, options);
+
+    return commands;
   }
 
   // Alter operations
@@ -298,147 +2077,224 @@ class SOLRConnection extends ConnectionBase {
     throw new Error(`${this.constructor.name}::renameTable: This operation is not supported for this connection type.`);
   }
 
-  /// Drop the specified column/field from the database.
+  /// Drop the specified field from the SOLR schema, using
+  /// the Schema API `delete-field` command. Any copy fields that
+  /// use the field are deleted first.
   ///
-  /// The table/bucket to drop the field from is known
+  /// The collection to drop the field from is known
   /// by the `Model` property (model class) on the field
   /// itself.
   ///
-  /// The provided `options` are specific to the database
-  /// you are using.
-  /// Please refer to the documentation of the database driver
-  /// you are using for more information.
+  /// Return: Promise<object | undefined>
+  ///   The Schema API commands that were sent to SOLR, or `undefined`
+  ///   if the field doesn't exist, and the `ifExists` option is `true`.
   ///
-  /// Return: any
-  ///   A database specific return value for the operation completed.
+  /// Arguments:
+  ///   Field: <see>Field</see>
+  ///     The field to drop from the schema.
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `ifExists` | `boolean` | `false` | If `true`, then do nothing if the field doesn't exist in the schema. Otherwise an exception is thrown. |
+  ///
+  /// Note:
+  ///   The values of the field are not removed from existing documents until they are reindexed.
+  async dropColumn(Field, _options) {
+    let options         = _options || {};
+    let Model           = Field.Model;
+    let queryGenerator  = this.getQueryGenerator();
+    let fieldName       = queryGenerator.getEscapedColumnName(Model, Field, { raw: true });
+    let schema          = await this.getSchema(Model, options);
+
+    if (!queryGenerator.getSchemaField(schema, fieldName, false)) {
+      if (options.ifExists === true)
+        return;
+
+      throw new Error(`${this.constructor.name}::dropColumn: Field "${fieldName}" does not exist in the schema of collection "${this.getCollectionName(Model)}".`);
+    }
+
+    let commands = queryGenerator.generateDropColumnStatement(Field, schema, options);
+    await this.updateSchema(Model, commands, options);
+
+    return commands;
+  }
+
+  /// Alter the specified field in the SOLR schema, using
+  /// the Schema API `replace-field` command.
+  ///
+  /// The current definition of the field is fetched from the
+  /// schema, and compared with the definition generated for the
+  /// new field. Only if something differs is the field replaced.
+  /// See <see>SOLRQueryGenerator.generateAlterColumnStatement</see>.
   ///
-  /// Arguments:
-  ///   Field: <see>Field</see>
-  ///     The column/field to drop from the database.
-  /// options?: object
-  ///   Database specific option for the operation. Please refer to the
-  ///   documentation of the database driver you are using for more information.
-  async dropColumn(Field, options) {
-    throw new Error(`${this.constructor.name}::dropColumn: This operation is not supported for this connection type.`);
-  }
-
-  /// Alter the specified column/field in the database.
-  ///
-  /// This will take the two fields, `Field` and `NewField`,
-  /// and will compare them. It will generate multiple alter
-  /// table statements internally, and will alter the column/field
-  /// based on the differences it detects between the two fields.
-  ///
-  /// If `NewField` is provided as a raw object, then it will be
-  /// converted into a <see>Field</see>.
-  ///
-  /// This method will check for the following differences between
-  /// the two fields, in this order:
-  /// 1. `allowNull`
-  /// 2. `type`
-  /// 3. `defaultValue`
-  /// 4. `primaryKey`
-  /// 5. `unique`
-  /// 6. `index` (will calculate index differences, and do the minimum work required)
-  /// 7. `columnName`
+  /// Changing the `type` of a field (or its `indexed`, `stored`, `docValues`,
+  /// or `multiValued` attributes), or renaming the field (changing its `columnName`)
+  /// only applies to documents indexed after the change. Because of this,
+  /// these changes are refused (an exception is thrown), unless the
+  /// `allowReindexRequired` option is `true`.
   ///
-  /// Return: Promise<void>
+  /// Return: Promise<object>
+  ///   `{ commands, changes, reindexRequired }`, where `commands` are the Schema API
+  ///   commands that were sent to SOLR, and `changes` is a list of the attribute
+  ///   changes that were detected, i.e. `[ { attribute: 'type', from: 'string', to: 'plong', reindexRequired: true } ]`.
   ///
   /// Arguments:
   ///   Field: <see>Field</see>
-  ///     The current column/field (as it is in the database) that we are changing.
+  ///     The current field (as it is in the database) that we are changing.
   ///   NewField: <see>Field</see> | object
-  ///     The new field properties to compare. Only the provided properties will be compared.
-  ///     For example, if you only supply a `defaultValue` property, then only that will be
-  ///     altered (if it differs from `Field`).
+  ///     The new field, or the field attributes to change, i.e. `{ type: Types.BIGINT }`.
+  ///     Attributes that aren't provided are copied from `Field`.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  async alterColumn(Field, newFieldAttributes, options) {
-    throw new Error(`${this.constructor.name}::alterColumn: This operation is not supported for this connection type.`);
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `allowReindexRequired` | `boolean` | `false` | If `true`, then allow changes that require the collection to be reindexed. |
+  async alterColumn(Field, newFieldAttributes, _options) {
+    let options = _options || {};
+    let Model   = Field.Model;
+    let NewField;
+
+    if (Field.constructor.isField(newFieldAttributes)) {
+      NewField = newFieldAttributes;
+    } else {
+      NewField = Field.clone();
+      Object.assign(NewField, newFieldAttributes || {});
+
+      if (newFieldAttributes && newFieldAttributes.type) {
+        NewField.type = Types.Type.instantiateType(newFieldAttributes.type);
+        NewField.type.setField(NewField);
+        NewField.type.setModel(Model);
+      }
+    }
+
+    let schema  = await this.getSchema(Model, options);
+    let result  = this.getQueryGenerator().generateAlterColumnStatement(Field, NewField, schema, options);
+
+    if (result.reindexRequired && options.allowReindexRequired !== true) {
+      let attributeNames = result.changes.filter((change) => change.reindexRequired).map((change) => `"${change.attribute}"`).join(', ');
+      throw new Error(`${this.constructor.name}::alterColumn: Changing ${attributeNames} of field "${Field.fieldName}" requires the collection "${this.getCollectionName(Model)}" to be reindexed. Pass the "allowReindexRequired" option to alter the field anyway.`);
+    }
+
+    await this.updateSchema(Model, result.commands, options);
+
+    return result;
   }
 
-  /// Add the column/field specified to the database.
+  /// Add the specified field to the SOLR schema, using
+  /// the Schema API `add-field` command. The field type of the
+  /// field is also added (using `add-field-type`) if it is missing
+  /// from the schema.
   ///
-  /// The table/bucket to add the field to is fetched from the
+  /// The collection to add the field to is fetched from the
   /// `Model` property on the supplied field.
   ///
-  /// Return: Promise<void>
+  /// Return: Promise<object | undefined>
+  ///   The Schema API commands that were sent to SOLR, or `undefined`
+  ///   if the field already exists, and the `ifNotExists` option is `true`.
   ///
   /// Arguments:
   ///   Field: <see>Field</see>
-  ///     The new field to add to the underlying database.
+  ///     The new field to add to the schema.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  async addColumn(Field, options) {
-    throw new Error(`${this.constructor.name}::addColumn: This operation is not supported for this connection type.`);
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `ifNotExists` | `boolean` | `false` | If `true`, then do nothing if the field already exists in the schema. Otherwise an exception is thrown. |
+  async addColumn(Field, _options) {
+    let options         = _options || {};
+    let Model           = Field.Model;
+    let queryGenerator  = this.getQueryGenerator();
+    let fieldName       = queryGenerator.getEscapedColumnName(Model, Field, { raw: true });
+    let schema          = await this.getSchema(Model, options);
+
+    if (queryGenerator.getSchemaField(schema, fieldName, false)) {
+      if (options.ifNotExists === true)
+        return;
+
+      throw new Error(`${this.constructor.name}::addColumn: Field "${fieldName}" already exists in the schema of collection "${this.getCollectionName(Model)}".`);
+    }
+
+    let commands = queryGenerator.generateAddColumnStatement(Field, schema, options);
+    await this.updateSchema(Model, commands, options);
+
+    return commands;
   }
 
-  /// Create an index (or combo index) in the database.
+  /// Create an index (or combo index) in the SOLR schema.
   ///
-  /// This will create a new index for the field(s) specified.
-  /// The `indexFields` argument must be an array of field names
-  /// as strings. It can contain more than one field. If it does
-  /// contain more than one field, then a combo index will be created
-  /// for all specified fields (if the database you are using supports
-  /// combined indexes).
+  /// SOLR has no standalone indexes, so indexes are translated
+  /// into SOLR concepts (see <see>SOLRQueryGenerator.generateCreateIndexStatement</see>):
+  ///   1. A single field index, i.e. `[ 'firstName' ]`, makes sure the field is
+  ///      `indexed`, and has `docValues` (if its field type supports them).
+  ///   2. A combo index, i.e. `[ 'firstName', 'lastName' ]`, creates a multi-valued
+  ///      `string` field named like `idx_users_firstName_lastName`, and a copy field
+  ///      to it from each of the index fields, so all the fields can be searched at once.
   ///
   /// All the provided field names must exist on the provided `Model`.
   /// If they don't, then an exception will be thrown. The field names
   /// can be fully qualified, but they don't need to be. If they are
   /// fully qualified, then they must all still be owned by the provided
-  /// `Model`. You can not for example use a fully qualified field name
-  /// from another model.
-  ///
-  /// Combo indexes are created by combining two or more fields to create
-  /// the index. For example, you could create a combo index for Users
-  /// like `[ 'firstName', 'lastName', 'email' ]` if it is common for your
-  /// application to query on all three of these fields at once.
-  ///
-  /// If you just want to index a single column/field, simply provide only
-  /// one field name, i.e. `[ 'firstName' ]`.
+  /// `Model`.
   ///
-  /// Return: Promise<void>
+  /// Return: Promise<object>
+  ///   The Schema API commands that were sent to SOLR. This will be
+  ///   empty if the index already exists.
   ///
   /// Arguments:
   ///   Model: class <see>Model</see>
   ///     The model that owns the specified fields.
   ///   indexFields: Array<string>
-  ///     The field names to use to create the index. One field name
-  ///     is valid if you only wish to index a single field. These are
-  ///     used to generate the index name, along with which fields to
-  ///     index.
+  ///     The field names to create the index for.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
+  ///     Options for the operation.
+  ///
+  /// Note:
+  ///   Changes to the `indexed` and `docValues` attributes of a field, and new
+  ///   copy fields, only apply to documents indexed after the change. Existing
+  ///   documents must be reindexed.
   async addIndex(Model, indexFields, options) {
-    throw new Error(`${this.constructor.name}::addIndex: This operation is not supported for this connection type.`);
+    let schema    = await this.getSchema(Model, options);
+    let commands  = this.getQueryGenerator().generateCreateIndexStatement(Model, indexFields, schema, options);
+
+    await this.updateSchema(Model, commands, options);
+
+    return commands;
   }
 
-  /// Drop the index from the database based on the specified fields.
+  /// Drop the index from the SOLR schema based on the specified fields.
   ///
-  /// This is the exact inverse of <see>ConnectionBase.addIndex</see>,
-  /// and it functions nearly identically, except that it will drop
-  /// the specified index instead of creating it.
+  /// This is the exact inverse of <see>SOLRConnection.addIndex</see>.
+  /// For a single field index the field is no longer `indexed` (its
+  /// `docValues` are kept). For a combo index, the combined field, and
+  /// its copy fields are deleted.
   ///
-  /// Return: Promise<void>
+  /// Return: Promise<object>
+  ///   The Schema API commands that were sent to SOLR. This will be
+  ///   empty if the index doesn't exist.
   ///
   /// Arguments:
   ///   Model: class <see>Model</see>
   ///     The model that owns the specified fields.
   ///   indexFields: Array<string>
-  ///     The field names to used to drop the index. These are used
-  ///     to generate the index name, which will then be dropped.
+  ///     The field names of the index to drop.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  async dropIndex(Model, indexFields, options) {
-    throw new Error(`${this.constructor.name}::addIndex: This operation is not supported for this connection type.`);
+  ///     Options for the operation.
+  ///
+  /// Note:
+  ///   An exception is thrown if the index of the primary key (the
+  ///   unique key of the schema), or the route field of the collection
+  ///   (when the `cloud` connection option is enabled) would be dropped.
+  async dropIndex(Model, indexFields, _options) {
+    let options         = _options || {};
+    let schema          = await this.getSchema(Model, options);
+    let collectionState = await this.getCollectionState(Model);
+    let routeField      = (collectionState) ? collectionState.routeField : undefined;
+    let commands        = this.getQueryGenerator().generateDropIndexStatement(Model, indexFields, schema, this.stackAssign(options, { routeField }));
+
+    await this.updateSchema(Model, commands, options);
+
+    return commands;
   }
 
   /// Insert the specified models into the specified
@@ -507,9 +2363,52 @@ class SOLRConnection extends ConnectionBase {
   ///     | ------------- | ---- | ------------- | ----------- |
   ///     | `skipHooks` | `boolean` &#124; `object` | `undefined` | Skip specific hooks. See <see>ConnectionBase.runSaveHooks</see> for more information. |
   ///     | `batchSize` | `number` | `500` | The size of each batch during a multi-model insert operation. |
-  // eslint-disable-next-line no-unused-vars
+  ///
+  ///     The following options are specific to SOLR:
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------------- | ---- | ------------- | ----------- |
+  ///     | `commit` | `boolean` | `undefined` | If `true`, then SOLR will perform a hard commit after each batch. |
+  ///     | `commitWithin` | `number` | `undefined` | The number of milliseconds within which SOLR should commit each batch. |
+  ///     | `softCommit` | `boolean` | `undefined` | If `true`, then SOLR will perform a soft commit after each batch. |
+  ///
+  /// Note:
+  ///   Every document is sent with `_version_` set to `-1`, so SOLR will reject
+  ///   the insert if a document with the same unique key already exists. Use
+  ///   <see>SOLRConnection.upsert</see> if you wish to overwrite existing documents.
   async insert(Model, models, _options) {
-    throw new Error(`${this.constructor.name}::insert: This operation is not supported for this connection type.`);
+    return await this.bulkModelOperation(
+      Model,
+      models,
+      Object.assign({}, _options || {}, { skipPersisted: true, isInsertOperation: true }),
+      // Before model operation handler
+      async (Model, models, options) => {
+        await this.runSaveHooks(Model, models, 'onBeforeCreate', 'onBeforeSave', options);
+      },
+      // Operation handler
+      async (Model, preparedModels, options, queryGenerator) => {
+        let documents = queryGenerator.generateInsertDocuments(Model, preparedModels, options);
+        let response  = await this.sendUpdateRequest(Model, documents, options);
+
+        this.updateModelVersionsFromResponse(Model, preparedModels.models, response);
+      },
+      // After model operation handler
+      async (Model, models, options) => {
+        await this.runSaveHooks(Model, models, 'onAfterCreate', 'onAfterSave', options);
+      },
+      // After all operations handler
+      async (PrimaryModel, dirtyModels, options, queryGenerator) => {
+        // Persisted models that were modified while
+        // storing related models are written back in full
+        let upsertOptions = this.stackAssign(options, { isUpsertOperation: true });
+        for (let dirtyModel of dirtyModels) {
+          let Model     = dirtyModel.getModel();
+          let documents = queryGenerator.generateInsertDocuments(Model, [ dirtyModel ], upsertOptions);
+          let response  = await this.sendUpdateRequest(Model, documents, options);
+
+          this.updateModelVersionsFromResponse(Model, [ dirtyModel ], response);
+        }
+      },
+    );
   }
 
   /// Insert or update (upsert) models into the database.
@@ -549,9 +2448,58 @@ class SOLRConnection extends ConnectionBase {
   ///     | ------------- | ---- | ------------- | ----------- |
   ///     | `skipHooks` | `boolean` &#124; `object` | `undefined` | Skip specific hooks. See <see>ConnectionBase.runSaveHooks</see> for more information. |
   ///     | `batchSize` | `number` | `500` | The size of each batch during a multi-model upsert operation. |
-  // eslint-disable-next-line no-unused-vars
+  ///
+  ///     The `commit`, `commitWithin`, and `softCommit` options
+  ///     of <see>SOLRConnection.insert</see> are also supported.
+  ///
+  /// Note:
+  ///   SOLR replaces the entire document on write, so every concrete field of
+  ///   each model is sent, not just the dirty fields. Be careful when upserting
+  ///   models that were loaded with a partial projection, as any fields not
+  ///   loaded will be removed from the stored document.
+  ///
+  /// Note:
+  ///   Models that have not yet been persisted will run the `onBeforeCreate`
+  ///   and `onAfterCreate` hooks, and receive insert default values. Persisted
+  ///   models will run the `onBeforeUpdate` and `onAfterUpdate` hooks instead.
   async upsert(Model, models, _options) {
-    throw new Error(`${this.constructor.name}::upsert: This operation is not supported for this connection type.`);
+    const runUpsertHooks = async (Model, models, createHookName, updateHookName, saveHookName, options) => {
+      let newModels       = [];
+      let persistedModels = [];
+
+      for (let i = 0, il = models.length; i < il; i++) {
+        let model = models[i];
+
+        if (model.isPersisted())
+          persistedModels.push(model);
+        else
+          newModels.push(model);
+      }
+
+      await this.runSaveHooks(Model, newModels, createHookName, saveHookName, options);
+      await this.runSaveHooks(Model, persistedModels, updateHookName, saveHookName, options);
+    };
+
+    return await this.bulkModelOperation(
+      Model,
+      models,
+      Object.assign({}, _options || {}, { isUpsertOperation: true }),
+      // Before model operation handler
+      async (Model, models, options) => {
+        await runUpsertHooks(Model, models, 'onBeforeCreate', 'onBeforeUpdate', 'onBeforeSave', options);
+      },
+      // Operation handler
+      async (Model, preparedModels, options, queryGenerator) => {
+        let documents = queryGenerator.generateInsertDocuments(Model, preparedModels, options);
+        let response  = await this.sendUpdateRequest(Model, documents, options);
+
+        this.updateModelVersionsFromResponse(Model, preparedModels.models, response);
+      },
+      // After model operation handler
+      async (Model, models, options) => {
+        await runUpsertHooks(Model, models, 'onAfterCreate', 'onAfterUpdate', 'onAfterSave', options);
+      },
+    );
   }
 
   /// Update the specified models in the database.
@@ -591,9 +2539,57 @@ class SOLRConnection extends ConnectionBase {
   ///     | ------------- | ---- | ------------- | ----------- |
   ///     | `skipHooks` | `boolean` &#124; `object` | `undefined` | Skip specific hooks. See <see>ConnectionBase.runSaveHooks</see> for more information. |
   ///     | `batchSize` | `number` | `500` | The size of each batch during a multi-model update operation. |
-  // eslint-disable-next-line no-unused-vars
+  ///
+  ///     The `commit`, `commitWithin`, and `softCommit` options
+  ///     of <see>SOLRConnection.insert</see> are also supported.
+  ///
+  /// Note:
+  ///   Only the dirty fields of each model are sent to SOLR, using
+  ///   SOLR [atomic updates](https://solr.apache.org/guide/solr/latest/indexing-guide/partial-document-updates.html#atomic-updates).
+  ///   Each batch of models is sent to SOLR in a single request.
+  ///
+  /// Note:
+  ///   If a model was loaded with a `_version_`, then it is sent back to
+  ///   SOLR with the update. If the document has been modified since the model
+  ///   was loaded, then SOLR will reject the update, and a <see>SOLRVersionConflictError</see>
+  ///   will be thrown. The model's version is updated after every successful write.
   async update(Model, models, _options) {
-    throw new Error(`${this.constructor.name}::update: This operation is not supported for this connection type.`);
+    let options = _options || {};
+
+    let primaryKeyFieldName = Model.getPrimaryKeyFieldName();
+    if (Nife.isEmpty(primaryKeyFieldName))
+      throw new Error(`${this.constructor.name}::update: Model has no primary key field.`);
+
+    return await this.bulkModelOperation(
+      Model,
+      models,
+      Object.assign({}, options, { isUpdateOperation: true }),
+      // Before model operation handler
+      async (Model, models, options) => {
+        await this.runSaveHooks(Model, models, 'onBeforeUpdate', 'onBeforeSave', options);
+      },
+      // Operation handler
+      async (Model, preparedModels, options, queryGenerator) => {
+        let models    = preparedModels.models;
+        let documents = [];
+
+        for (let i = 0, il = models.length; i < il; i++) {
+          let document = queryGenerator.generateUpdateDocument(Model, models[i], options);
+          if (document)
+            documents.push(document);
+        }
+
+        if (documents.length === 0)
+          return;
+
+        let response = await this.sendUpdateRequest(Model, documents, options);
+        this.updateModelVersionsFromResponse(Model, models, response);
+      },
+      // After model operation handler
+      async (Model, models, options) => {
+        await this.runSaveHooks(Model, models, 'onAfterUpdate', 'onAfterSave', options);
+      },
+    );
   }
 
   /// Update multiple models at the same time (bulk update).
@@ -622,11 +2618,18 @@ class SOLRConnection extends ConnectionBase {
   ///   If you need to update each row to different values per-row,
   ///   then use the <see>ConnectionBase.update</see> method instead.
   ///
-  /// Return: Promise<any>
-  ///   A database specific result from the `UPDATE` statement.
-  ///   In the future all "database specific" results will be
-  ///   abstracted away. So in the future, this will likely return
-  ///   the number of rows updated as a `number` (**HELP WANTED**).
+  /// Note:
+  ///   SOLR has no "update by query", so the primary keys of all
+  ///   matching documents are first selected, and then a SOLR
+  ///   [atomic update](https://solr.apache.org/guide/solr/latest/indexing-guide/partial-document-updates.html#atomic-updates)
+  ///   is sent for each batch of matching documents.
+  ///
+  /// Note:
+  ///   Atomic update literals, such as <see>IncLiteral</see>, or <see>AddLiteral</see>,
+  ///   can be provided as attribute values, i.e. `{ loginCount: new IncLiteral(1) }`.
+  ///
+  /// Return: Promise<number>
+  ///   The number of documents updated.
   ///
   /// Arguments:
   ///   query: <see>QueryEngine</see>
@@ -636,12 +2639,58 @@ class SOLRConnection extends ConnectionBase {
   ///   attributes: object | Model
   ///     The attributes to set across all updated rows.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  // eslint-disable-next-line no-unused-vars
-  async updateAll(_queryEngine, model, _options) {
-    throw new Error(`${this.constructor.name}::updateAll: This operation is not supported for this connection type.`);
+  ///     Operation specific options.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `batchSize` | `number` | `500` | The number of documents to update per request. |
+  ///
+  ///     The `commit`, `commitWithin`, and `softCommit` options
+  ///     of <see>SOLRConnection.insert</see> are also supported.
+  async updateAll(_queryEngine, attributes, _options) {
+    let queryEngine = this.toQueryEngine(_queryEngine);
+    if (!queryEngine)
+      throw new Error(`${this.constructor.name}::updateAll: Model class or query is required to update.`);
+
+    let options = Object.assign({}, _options || {}, { isUpdateOperation: true });
+    queryEngine = await this.finalizeQuery('update', queryEngine, options);
+
+    let Model = queryEngine.getOperationContext().rootModel;
+    if (!Model)
+      throw new Error(`${this.constructor.name}::updateAll: Root model not found, and is required to update.`);
+
+    let pkField = Model.getPrimaryKeyField();
+    if (!pkField)
+      throw new Error(`${this.constructor.name}::updateAll: Model has no primary key field.`);
+
+    let queryGenerator  = this.getQueryGenerator();
+    let operations      = queryGenerator.generateUpdateAllOperations(Model, attributes, options);
+    if (Nife.isEmpty(operations))
+      return 0;
+
+    let batchSize     = options.batchSize || 500;
+    let pkColumnName  = queryGenerator.getEscapedColumnName(Model, pkField, { raw: true });
+    let idQuery       = queryEngine.clone().PROJECT(`${Model.getModelName()}:${pkField.fieldName}`);
+    let totalUpdated  = 0;
+    let documents     = [];
+
+    const sendBatch = async () => {
+      await this.sendUpdateRequest(Model, documents, options);
+
+      totalUpdated += documents.length;
+      documents = [];
+    };
+
+    for await (let document of this.select(idQuery, Object.assign(this.getRequestControlOptions(options), { batchSize, raw: true }))) {
+      documents.push(Object.assign({ [pkColumnName]: document[pkColumnName] }, operations));
+
+      if (documents.length >= batchSize)
+        await sendBatch();
+    }
+
+    if (documents.length > 0)
+      await sendBatch();
+
+    return totalUpdated;
   }
 
   /// Destroy the provided models.
@@ -669,10 +2718,11 @@ class SOLRConnection extends ConnectionBase {
   ///   argument for `truncate` operations. When doing so they will also
   ///   deliberately supply the `{ truncate: true }` option.
   ///
-  /// Return: Promise<Array<Model> | Model>
+  /// Return: Promise<Array<Model> | Model | number>
   ///   If you provide an array of models, then an array of models will be
   ///   returned. If you provide only a single model, then a single
-  ///   model will be returned.
+  ///   model will be returned. For `{ truncate: true }` operations, the
+  ///   number of documents deleted is returned instead (see <see>SOLRConnection.destroy</see>).
   ///
   /// Arguments:
   ///   Model: class <see>Model</see>
@@ -691,9 +2741,55 @@ class SOLRConnection extends ConnectionBase {
   ///     | Option | Type | Default Value | Description |
   ///     | ------------- | ---- | ------------- | ----------- |
   ///     | `batchSize` | `number` | `500` | The size of each batch during a multi-model destroy operation. |
-  // eslint-disable-next-line no-unused-vars
+  ///
+  ///     The `commit`, `commitWithin`, and `softCommit` options
+  ///     of <see>SOLRConnection.insert</see> are also supported.
+  ///
+  /// Note:
+  ///   Models are deleted from SOLR by their primary key, one request per batch.
   async destroyModels(Model, _models, _options) {
-    throw new Error(`${this.constructor.name}::destroyModels: This operation is not supported for this connection type.`);
+    if (!ModelBase.isModelClass(Model))
+      throw new Error(`${this.constructor.name}::destroyModels: You must provide a model class as the first argument.`);
+
+    let options = _options || {};
+    if (_models == null) {
+      if (options.truncate !== true)
+        return;
+
+      let query = await this.finalizeQuery('delete', Model.where(this).unscoped(), options);
+      return await this.destroy(query, options);
+    }
+
+    let pkField = Model.getPrimaryKeyField();
+    if (!pkField)
+      throw new Error(`${this.constructor.name}::destroyModels: Model has no primary key field. You must supply a query to delete models with no primary key.`);
+
+    return await this.bulkModelOperation(
+      Model,
+      _models,
+      Object.assign({}, options, { isDeleteOperation: true }),
+      // Before model operation handler
+      null,
+      // Operation handler
+      async (Model, preparedModels, options, queryGenerator) => {
+        let models  = preparedModels.models;
+        let pkIDs   = [];
+
+        for (let i = 0, il = models.length; i < il; i++) {
+          let model = models[i];
+          let pkID  = queryGenerator.getDocumentFieldValue(pkField, model.getDataValue(pkField.fieldName), options);
+          if (pkID == null)
+            throw new Error(`${this.constructor.name}::destroyModels: Model's primary key is empty. Models being destroyed must have a valid primary key.`);
+
+          pkIDs.push(('' + pkID));
+        }
+
+        if (Nife.isEmpty(pkIDs))
+          return;
+
+        await this.sendUpdateRequest(Model, { delete: pkIDs }, options);
+      },
+    );
   }
 
   /// Destroy multiple models by query, or by the
@@ -735,9 +2831,65 @@ class SOLRConnection extends ConnectionBase {
   ///     | Option | Type | Default Value | Description |
   ///     | ------------- | ---- | ------------- | ----------- |
   ///     | `batchSize` | `number` | `500` | The size of each batch during a multi-model destroy operation. |
-  // eslint-disable-next-line no-unused-vars
+  ///
+  ///     The `commit`, `commitWithin`, and `softCommit` options
+  ///     of <see>SOLRConnection.insert</see> are also supported.
+  ///
+  /// Note:
+  ///   A query is sent to SOLR as a delete-by-query. However, SOLR
+  ///   delete-by-query has no support for a limit or offset, so if the
+  ///   query has a `LIMIT` or `OFFSET`, then the primary keys of the
+  ///   matching documents are selected first, and deleted by id instead.
+  ///
+  /// Note:
+  ///   The number of documents deleted by a query is counted before the
+  ///   delete is sent to SOLR, so it may be inaccurate if the collection is
+  ///   being modified at the same time.
   async destroy(_queryEngineOrModel, modelsOrOptions, _options) {
-    throw new Error(`${this.constructor.name}::destroy: This operation is not supported for this connection type.`);
+    let queryEngineOrModel = _queryEngineOrModel;
+
+    if (QueryEngine.isQuery(modelsOrOptions))
+      queryEngineOrModel = modelsOrOptions;
+    else if (queryEngineOrModel && ModelBase.isModelClass(queryEngineOrModel))
+      return await this.destroyModels(queryEngineOrModel, modelsOrOptions, _options);
+    else if (!QueryEngine.isQuery(queryEngineOrModel))
+      throw new Error(`${this.constructor.name}::destroy: Please provide a query, or a model class and a list of models to destroy.`);
+
+    let queryEngine = this.toQueryEngine(queryEngineOrModel);
+    if (!queryEngine)
+      throw new Error(`${this.constructor.name}::destroy: Model class or query is required to destroy.`);
+
+    let options = Object.assign({}, (QueryEngine.isQuery(modelsOrOptions)) ? _options : modelsOrOptions, { isDeleteOperation: true });
+    queryEngine = await this.finalizeQuery('delete', queryEngine, options);
+
+    let queryContext  = queryEngine.getOperationContext();
+    let Model         = queryContext.rootModel;
+    if (!Model)
+      throw new Error(`${this.constructor.name}::destroy: Root model not found, and is required to destroy.`);
+
+    let hasLimit = (Nife.instanceOf(queryContext.limit, 'number') && isFinite(queryContext.limit));
+    if (hasLimit || queryContext.offset) {
+      let pkField = Model.getPrimaryKeyField();
+      if (!pkField)
+        throw new Error(`${this.constructor.name}::destroy: Model has no primary key field, and a "LIMIT" or "OFFSET" was specified on the query. SOLR can not delete by query with a limit or offset.`);
+
+      let models          = await Utils.collect(this.select(queryEngine.clone().PROJECT(`${Model.getModelName()}:${pkField.fieldName}`), Object.assign(this.getRequestControlOptions(options), { batchSize: options.batchSize })));
+      let destroyedModels = await this.destroyModels(Model, models, options);
+
+      return destroyedModels.length;
+    }
+
+    let queryGenerator  = this.getQueryGenerator();
+    let deleteQuery     = queryGenerator.generateDeleteQuery(queryEngine, options);
+    let result          = await this.sendReadRequest(Model, '/select', {
+      method:     'POST',
+      data:       { query: deleteQuery, limit: 0 },
+      idempotent: true,
+    }, options);
+
+    await this.sendUpdateRequest(Model, { delete: { query: deleteQuery } }, options);
+
+    return (result && result.response && result.response.numFound) || 0;
   }
 
   /// Select data from the underlying database.
@@ -772,12 +2924,188 @@ class SOLRConnection extends ConnectionBase {
   ///     instance will then be converted to a query, or generated code to
   ///     interact with the underlying database.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  // eslint-disable-next-line no-unused-vars, require-yield
+  ///     Operation specific options.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `batchSize` | `number` | `500` | The number of documents to fetch from SOLR per request. |
+  ///     | `raw` | `boolean` | `false` | If `true`, then yield the raw SOLR documents instead of model instances. |
+  ///     | `reverseOrder` | `boolean` | `false` | Reverse the order of the query. |
+  ///     | `streamResponse` | `boolean` | `true` | If `true`, then each response from SOLR is parsed incrementally as it arrives, and documents are yielded as soon as they are received, instead of buffering the entire response first. |
+  ///     | `useCursor` | `boolean` | `true` | If `true`, and the query has no offset, then page through results using a SOLR `cursorMark` instead of an offset. |
+  ///
+  /// Notes:
+  ///   1. When no offset is specified on the query, SOLR [cursorMark](https://solr.apache.org/guide/solr/latest/query-guide/pagination-of-results.html#fetching-a-large-number-of-sorted-results-cursors)
+  ///      paging is used, and the primary key of the root model is appended to the sort as a tiebreak.
+  ///      This keeps deep pagination fast and stable, regardless of the size of the collection.
+  ///      Pass `{ useCursor: false }` to always use offset paging instead.
+  ///   2. Models without a primary key will always use offset paging.
+  ///   3. Responses are streamed (see the `streamResponse` option), so memory use is bounded
+  ///      by a single document, rather than an entire batch.
   async *select(_queryEngine, _options) {
-    throw new Error(`${this.constructor.name}::select: This operation is not supported for this connection type.`);
+    let queryEngine = this.toQueryEngine(_queryEngine);
+    if (!queryEngine)
+      throw new TypeError(`${this.constructor.name}::select: First argument must be a model class or a query.`);
+
+    let options = _options || {};
+    queryEngine = await this.finalizeQuery('read', queryEngine, options);
+
+    let queryContext    = queryEngine.getOperationContext();
+    let Model           = queryContext.rootModel;
+    let queryGenerator  = this.getQueryGenerator();
+    let batchSize       = options.batchSize || 500;
+    let startIndex      = queryContext.offset || 0;
+    let limit           = queryContext.limit;
+    let hasLimit        = (Nife.instanceOf(limit, 'number') && isFinite(limit));
+    let useCursor       = (options.useCursor !== false && !startIndex && !!Model.getPrimaryKeyField());
+    let cursorMark      = (useCursor) ? '*' : undefined;
+    let streamResponse  = (options.streamResponse !== false);
+    let fieldMap        = (options.raw === true) ? null : this.getDocumentFieldMap(Model);
+    let totalFetched    = 0;
+
+    if (batchSize < 1)
+      throw new Error(`${this.constructor.name}::select: "batchSize" can not be less than 1.`);
+
+    while (true) {
+      let thisBatchSize = (hasLimit) ? Math.min(batchSize, limit - totalFetched) : batchSize;
+      if (thisBatchSize <= 0)
+        break;
+
+      let query = queryEngine.clone().LIMIT(thisBatchSize);
+      if (!useCursor)
+        query = query.OFFSET(startIndex);
+
+      let body        = queryGenerator.generateSelectStatement(query, (useCursor) ? this.stackAssign(options, { cursorMark }) : options);
+      let result      = await this.sendReadRequest(Model, '/select', { method: 'POST', data: body, idempotent: true, stream: streamResponse }, options);
+      let batchCount  = 0;
+
+      for await (let document of this.iterateResponseDocuments(result, streamResponse, (_result) => (result = _result))) {
+        yield (fieldMap) ? this.buildModelFromDocument(Model, document, totalFetched + batchCount, fieldMap) : document;
+        batchCount++;
+      }
+
+      if (batchCount === 0)
+        break;
+
+      startIndex += batchCount;
+      totalFetched += batchCount;
+
+      if (batchCount < thisBatchSize)
+        break;
+
+      if (useCursor) {
+        // SOLR returns the same cursorMark when there are no more results
+        let nextCursorMark = result.nextCursorMark;
+        if (!nextCursorMark || nextCursorMark === cursorMark)
+          break;
+
+        cursorMark = nextCursorMark;
+      }
+    }
+  }
+
+  /// Iterate the documents of a response from SOLR.
+  ///
+  /// If the response is a stream, then it is parsed
+  /// incrementally using a <see>JSONDocumentStreamParser</see>,
+  /// and documents are yielded as soon as they arrive. If the
+  /// caller stops iterating early, then the rest of the response
+  /// is discarded.
+  ///
+  /// Return: AsyncGenerator<object>
+  ///
+  /// Arguments:
+  ///   response: object | Readable
+  ///     The response body from SOLR.
+  ///   isStream: boolean
+  ///     If `true`, then `response` is a stream.
+  ///   onResult?: (result: object) => void
+  ///     Called once the response has been fully received, with the
+  ///     parsed response (for streams, without the documents). This can
+  ///     be used to get other parts of the response, i.e. `nextCursorMark`.
+  async *iterateResponseDocuments(response, isStream, onResult) {
+    if (!isStream) {
+      let documents = (response && response.response && response.response.docs) || [];
+      if (typeof onResult === 'function')
+        onResult(response);
+
+      for (let i = 0, il = documents.length; i < il; i++)
+        yield documents[i];
+
+      return;
+    }
+
+    let parser = new JSONDocumentStreamParser();
+
+    try {
+      for await (let document of parser.parse(response))
+        yield document;
+    } finally {
+      if (!parser.getResult())
+        response.destroy();
+    }
+
+    if (typeof onResult === 'function')
+      onResult(parser.getResult());
+  }
+
+  /// Stream the entire result set of a query using the SOLR
+  /// [/export](https://solr.apache.org/guide/solr/latest/query-guide/exporting-result-sets.html)
+  /// handler.
+  ///
+  /// Unlike <see>SOLRConnection.select</see>, this sends a single request,
+  /// and SOLR streams every matching document back in one response. The
+  /// response is parsed incrementally, so memory use stays bounded no matter
+  /// how large the result set is.
+  ///
+  /// Return: AsyncGenerator<Model>
+  ///
+  /// Arguments:
+  ///   query: <see>QueryEngine</see>
+  ///     The query to export the results of.
+  ///   options?: object
+  ///     Operation specific options.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `raw` | `boolean` | `false` | If `true`, then yield the raw SOLR documents instead of model instances. |
+  ///
+  /// Notes:
+  ///   1. The `/export` handler requires every field that is exported or sorted on
+  ///      to have `docValues` enabled in the SOLR schema.
+  ///   2. A sort is required. If the query has no `ORDER`, then the primary key of the
+  ///      root model is used.
+  ///   3. Offsets are not supported. A `LIMIT` is applied client-side, by closing the
+  ///      response once enough documents have been received.
+  async *export(_queryEngine, _options) {
+    let queryEngine = this.toQueryEngine(_queryEngine);
+    if (!queryEngine)
+      throw new TypeError(`${this.constructor.name}::export: First argument must be a model class or a query.`);
+
+    let options = _options || {};
+    queryEngine = await this.finalizeQuery('read', queryEngine, options);
+
+    let queryContext  = queryEngine.getOperationContext();
+    let Model         = queryContext.rootModel;
+    let limit         = queryContext.limit;
+    let hasLimit      = (Nife.instanceOf(limit, 'number') && isFinite(limit));
+    let fieldMap      = (options.raw === true) ? null : this.getDocumentFieldMap(Model);
+    let count         = 0;
+
+    if (queryContext.offset)
+      throw new Error(`${this.constructor.name}::export: The "/export" handler does not support offsets.`);
+
+    if (hasLimit && limit <= 0)
+      return;
+
+    let body    = this.getQueryGenerator().generateExportStatement(queryEngine, options);
+    let result  = await this.sendReadRequest(Model, '/export', { method: 'POST', data: body, idempotent: true, stream: true }, options);
+
+    for await (let document of this.iterateResponseDocuments(result, true)) {
+      yield (fieldMap) ? this.buildModelFromDocument(Model, document, count, fieldMap) : document;
+      count++;
+
+      if (hasLimit && count >= limit)
+        break;
+    }
   }
 
   /// Aggregate data across rows.
@@ -807,12 +3135,47 @@ class SOLRConnection extends ConnectionBase {
   ///     <see>CountLiteral</see> is provided, then the count of all rows
   ///     matching the provided query will be the result.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  // eslint-disable-next-line no-unused-vars
+  ///     Operation specific options.
+  ///
+  /// Note:
+  ///   Aggregates are calculated with a `rows=0` query. A `count` with no field
+  ///   uses the `numFound` of the response, and all other aggregates use
+  ///   [JSON facet](https://solr.apache.org/guide/solr/latest/query-guide/json-facet-api.html)
+  ///   functions (`sum()`, `min()`, `max()`, `avg()`, `countvals()`, and `unique()`
+  ///   for a `count` on a `DISTINCT` query). See <see>SOLRQueryGenerator.generateAggregateStatement</see>.
+  ///
+  /// Note:
+  ///   `null` is returned for `sum`, `min`, `max`, and `average` if no documents match.
   async aggregate(_queryEngine, _literal, options) {
-    throw new Error(`${this.constructor.name}::aggregate: This operation is not supported for this connection type.`);
+    let literal = _literal;
+    if (!Literals.LiteralBase.isLiteral(literal))
+      throw new Error(`${this.constructor.name}::aggregate: Second argument must be a Literal instance.`);
+
+    let queryEngine = this.toQueryEngine(_queryEngine);
+    if (!queryEngine)
+      throw new TypeError(`${this.constructor.name}::aggregate: First argument must be a model class or a query.`);
+
+    queryEngine = await this.finalizeQuery('read', queryEngine, options);
+
+    let Model           = queryEngine.getOperationContext().rootModel;
+    let queryGenerator  = this.getQueryGenerator();
+    let body            = queryGenerator.generateAggregateStatement(queryEngine, literal, options);
+    let result          = await this.sendReadRequest(Model, '/select', {
+      method:     'POST',
+      data:       body,
+      idempotent: true,
+    }, options);
+
+    if (!body.facet)
+      return (result && result.response && result.response.numFound) || 0;
+
+    // SOLR omits the facet function from the
+    // result when there are no matching documents
+    let value = (result && result.facets) ? result.facets.result : undefined;
+    if (value === undefined)
+      return (Literals.CountLiteral.isLiteralType(literal)) ? 0 : null;
+
+    return value;
   }
 
   /// Get the average for a single column, spanning all matching rows.
@@ -830,12 +3193,18 @@ class SOLRConnection extends ConnectionBase {
   ///     A field instance, or a fully qualified field name, used as the target
   ///     column in the underlying database to calculate an average across all matching values.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  // eslint-disable-next-line no-unused-vars
+  ///     Operation specific options.
   async average(_queryEngine, _field, options) {
-    throw new Error(`${this.constructor.name}::average: This operation is not supported for this connection type.`);
+    let queryEngine = this.toQueryEngine(_queryEngine);
+    if (!queryEngine)
+      throw new TypeError(`${this.constructor.name}::average: First argument must be a model class or a query.`);
+
+    queryEngine = await this.finalizeQuery('read', queryEngine, options);
+
+    let rootModel = queryEngine.getOperationContext().rootModel;
+    let field     = Utils.fieldToFullyQualifiedName(_field, rootModel);
+
+    return await this.aggregate(queryEngine, new Literals.AverageLiteral(field), options);
   }
 
   /// Get the number of rows matching the query.
@@ -859,12 +3228,18 @@ class SOLRConnection extends ConnectionBase {
   ///     column in the underlying database to count the rows. If not specified,
   ///     then most database drivers will count across all columns (i.e. `COUNT(*)`).
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  // eslint-disable-next-line no-unused-vars
+  ///     Operation specific options.
   async count(_queryEngine, _field, options) {
-    throw new Error(`${this.constructor.name}::count: This operation is not supported for this connection type.`);
+    let queryEngine = this.toQueryEngine(_queryEngine);
+    if (!queryEngine)
+      throw new TypeError(`${this.constructor.name}::count: First argument must be a model class or a query.`);
+
+    queryEngine = await this.finalizeQuery('read', queryEngine, options);
+
+    let rootModel = queryEngine.getOperationContext().rootModel;
+    let field     = (_field) ? Utils.fieldToFullyQualifiedName(_field, rootModel) : null;
+
+    return await this.aggregate(queryEngine, new Literals.CountLiteral(field), options);
   }
 
   /// Get the minimum value for a column, spanning all matching rows.
@@ -882,12 +3257,18 @@ class SOLRConnection extends ConnectionBase {
   ///     A field instance, or a fully qualified field name, used as the target
   ///     column in the underlying database to find the minimum across all matching values.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  // eslint-disable-next-line no-unused-vars
+  ///     Operation specific options.
   async min(_queryEngine, _field, options) {
-    throw new Error(`${this.constructor.name}::min: This operation is not supported for this connection type.`);
+    let queryEngine = this.toQueryEngine(_queryEngine);
+    if (!queryEngine)
+      throw new TypeError(`${this.constructor.name}::min: First argument must be a model class or a query.`);
+
+    queryEngine = await this.finalizeQuery('read', queryEngine, options);
+
+    let rootModel = queryEngine.getOperationContext().rootModel;
+    let field     = Utils.fieldToFullyQualifiedName(_field, rootModel);
+
+    return await this.aggregate(queryEngine, new Literals.MinLiteral(field), options);
   }
 
   /// Get the maximum value for a column, spanning all matching rows.
@@ -905,12 +3286,18 @@ class SOLRConnection extends ConnectionBase {
   ///     A field instance, or a fully qualified field name, used as the target
   ///     column in the underlying database to find the maximum across all matching values.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  // eslint-disable-next-line no-unused-vars
+  ///     Operation specific options.
   async max(_queryEngine, _field, options) {
-    throw new Error(`${this.constructor.name}::max: This operation is not supported for this connection type.`);
+    let queryEngine = this.toQueryEngine(_queryEngine);
+    if (!queryEngine)
+      throw new TypeError(`${this.constructor.name}::max: First argument must be a model class or a query.`);
+
+    queryEngine = await this.finalizeQuery('read', queryEngine, options);
+
+    let rootModel = queryEngine.getOperationContext().rootModel;
+    let field     = Utils.fieldToFullyQualifiedName(_field, rootModel);
+
+    return await this.aggregate(queryEngine, new Literals.MaxLiteral(field), options);
   }
 
   /// Get the sum of all values for a column, spanning all matching rows.
@@ -928,12 +3315,18 @@ class SOLRConnection extends ConnectionBase {
   ///     A field instance, or a fully qualified field name, used as the target
   ///     column in the underlying database to find the sum of all matching values.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  // eslint-disable-next-line no-unused-vars
+  ///     Operation specific options.
   async sum(_queryEngine, _field, options) {
-    throw new Error(`${this.constructor.name}::sum: This operation is not supported for this connection type.`);
+    let queryEngine = this.toQueryEngine(_queryEngine);
+    if (!queryEngine)
+      throw new TypeError(`${this.constructor.name}::sum: First argument must be a model class or a query.`);
+
+    queryEngine = await this.finalizeQuery('read', queryEngine, options);
+
+    let rootModel = queryEngine.getOperationContext().rootModel;
+    let field     = Utils.fieldToFullyQualifiedName(_field, rootModel);
+
+    return await this.aggregate(queryEngine, new Literals.SumLiteral(field), options);
   }
 
   /// Pluck only specific columns/fields from the
@@ -983,9 +3376,74 @@ class SOLRConnection extends ConnectionBase {
   ///     If `true`, then each row in the returned array will be an object instead of
   ///     raw column values, where the property of each "row object" will be the fully
   ///     qualified names of each field provided as the `fields` argument.
-  // eslint-disable-next-line no-unused-vars
+  ///     The `batchSize` option of <see>SOLRConnection.select</see> is also supported.
+  ///
+  /// Note:
+  ///   Only the requested fields are fetched from SOLR (using the `fl` parameter), and
+  ///   the raw values of each document are returned as-is, without constructing models.
+  ///   Documents are fetched in batches, in the same way as <see>SOLRConnection.select</see>.
   async pluck(_queryEngine, _fields, _options) {
-    throw new Error(`${this.constructor.name}::pluck: This operation is not supported for this connection type.`);
+    if (_options && !Nife.instanceOf(_options, 'object'))
+      throw new TypeError(`${this.constructor.name}::pluck: "options" isn't an object. Did you pass a field by accident?`);
+
+    let options                   = _options || {};
+    let moreThanOneFieldRequested = (Array.isArray(_fields) && _fields.length > 1);
+    let fields                    = Nife.arrayFlatten(Nife.toArray(_fields)).filter(Boolean);
+
+    if (Nife.isEmpty(fields))
+      throw new Error(`${this.constructor.name}::pluck: You must supply "fields" to pluck.`);
+
+    let queryEngine = this.toQueryEngine(_queryEngine);
+    if (!queryEngine)
+      throw new TypeError(`${this.constructor.name}::pluck: First argument must be a model class or a query.`);
+
+    queryEngine = await this.finalizeQuery('read', queryEngine, options);
+
+    let rootModel       = queryEngine.getOperationContext().rootModel;
+    let queryGenerator  = this.getQueryGenerator();
+    let columnNames     = [];
+
+    // remap fields so they have fully qualified names
+    fields = fields.map((_field) => {
+      let field = _field;
+      if (!Nife.instanceOf(field, 'string'))
+        field = Utils.fieldToFullyQualifiedName(field, rootModel);
+
+      let def = this.parseQualifiedName(field);
+      if (!def.modelName)
+        def.modelName = rootModel.getModelName();
+
+      if (Nife.isEmpty(def.fieldNames))
+        throw new Error(`${this.constructor.name}::pluck: Do not know how to map to field "${field}".`);
+
+      let modelField = (def.modelName === rootModel.getModelName()) ? rootModel.getField(def.fieldNames[0]) : null;
+      if (!modelField)
+        throw new Error(`${this.constructor.name}::pluck: Field "${def.modelName}:${def.fieldNames[0]}" not found on root model. SOLR can only pluck fields from the root model of the query.`);
+
+      columnNames.push(queryGenerator.getEscapedColumnName(rootModel, modelField, { raw: true }));
+
+      return `${def.modelName}:${def.fieldNames[0]}`;
+    });
+
+    let query         = queryEngine.clone().PROJECT(fields);
+    let finalResults  = [];
+
+    for await (let document of this.select(query, Object.assign({}, options, { raw: true }))) {
+      if (options.mapToObjects) {
+        let obj = {};
+        for (let i = 0, il = fields.length; i < il; i++)
+          obj[fields[i]] = document[columnNames[i]];
+
+        finalResults.push(obj);
+      } else {
+        finalResults.push(columnNames.map((columnName) => document[columnName]));
+      }
+    }
+
+    if (!moreThanOneFieldRequested && !options.mapToObjects)
+      finalResults = finalResults.map((row) => row[0]);
+
+    return finalResults;
   }
 
   /// Check if any rows match the provided `query`.
@@ -997,12 +3455,13 @@ class SOLRConnection extends ConnectionBase {
   ///   query: <see>QueryEngine</see>
   ///     The query used to select rows, to check if said rows exist in the database.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  // eslint-disable-next-line no-unused-vars
+  ///     Operation specific options.
+  ///
+  /// Note:
+  ///   This is a `rows=0` query, so no documents are fetched from SOLR.
   async exists(queryEngine, options) {
-    throw new Error(`${this.constructor.name}::exists: This operation is not supported for this connection type.`);
+    let count = await this.count(queryEngine, null, options);
+    return (count > 0);
   }
 
   /// Truncate (erase/clear) the entire table/bucket defined
@@ -1016,40 +3475,101 @@ class SOLRConnection extends ConnectionBase {
   ///   Model: class <see>Model</see>
   ///     The model class that defines the underlying table/bucket to wipe clean/erase.
   ///   options?: object
-  ///     Operation specific options. These will change depending on the database
-  ///     driver you are using. Please refer to the documentation for your specific
-  ///     driver for more information.
-  // eslint-disable-next-line no-unused-vars
+  ///     Operation specific options. The `commit`, `commitWithin`, and `softCommit`
+  ///     options of <see>SOLRConnection.insert</see> are supported.
+  ///
+  /// Note:
+  ///   SOLR has no `TRUNCATE`, so this sends a `*:*` delete-by-query to the collection
+  ///   of the provided model. If the model shares its collection with other models, then
+  ///   only the documents of the provided model are deleted
+  ///   (see <see>SOLRConnection.getModelTypeDiscriminator</see>).
   async truncate(Model, options) {
-    throw new Error(`${this.constructor.name}::truncate: This operation is not supported for this connection type.`);
+    return await this.destroyModels(Model, null, Object.assign({}, options || {}, { truncate: true }));
   }
 
   /// "raw" database/driver specific query interface.
   ///
-  /// For SQL based databases, this would send a direct
-  /// query string to the database. For other drivers, the
-  /// arguments and operations that are executed might change.
-  ///
-  /// Use this method to directly interact with the underlying
-  /// database, in its own native query language.
+  /// This is an escape hatch to directly interact with SOLR,
+  /// using either a raw Lucene query string, or a full
+  /// [JSON Request API](https://solr.apache.org/guide/solr/latest/query-guide/json-request-api.html)
+  /// object. The request is always sent as a `POST` to the request
+  /// handler specified (`/select` by default).
   ///
-  /// The arguments and return value from this method is database/driver
-  /// specific. Any `options` argument the database provides are also
-  /// specific to the underlying database driver. However, one option
-  /// is common across all drivers, and this is the `logger` option. If
+  /// One option that is common across all drivers is the `logger` option. If
   /// set, it is expected to have a `log` method in the provided `logger`
   /// object. Oftentimes, this will simply be `{ logger: console }`, but
   /// you can provided any custom `logger` instance you want, as long as it
   /// has a `log` method that can be called to log the results of the query.
-  /// Most drivers also support a `{ logger }` option as a connection option
-  /// when the connection is first instantiated, which will provided logging
-  /// to every query that goes through the connection.
   ///
-  /// Return: database specific
-  ///   A database/driver specific return value, based on the query provided.
-  // eslint-disable-next-line no-unused-vars
-  async query(lucene, options) {
-    throw new Error(`${this.constructor.name}::query: This operation is not supported for this connection type.`);
+  /// Return: object | Array<Model>
+  ///   The response from SOLR, untouched (including `response`, `facets`,
+  ///   `highlighting`, `debug`, etc...). If the `Model` option is provided,
+  ///   and `raw` isn't `true`, then the documents of the response will instead
+  ///   be returned as an array of models.
+  ///
+  /// Arguments:
+  ///   lucene: string | object
+  ///     A Lucene query string, i.e. `firstName:Bob AND age:[18 TO *]`, or a
+  ///     full JSON Request API object, i.e. `{ query: '*:*', filter: [ ... ], facet: { ... } }`.
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `collection` | `string` | The collection of `Model` | The collection to send the request to. |
+  ///     | `handler` | `string` | `'/select'` | The request handler to send the request to, i.e. `/query`, or a custom request handler. |
+  ///     | `idempotent` | `boolean` | `true`, unless `handler` is an `/update` handler | If `true`, then the request is safe to send more than once, and will be retried on transient failures (see the `retry` connection option). |
+  ///     | `logger` | Logger Interface | `undefined` | A logger to log the request with (the connection `logger` is used if not specified). |
+  ///     | `Model` | class <see>Model</see> | `undefined` | The model to construct from the documents of the response. |
+  ///     | `params` | `object` | `undefined` | Query parameters to append to the request url, i.e. `{ defType: 'edismax' }`. |
+  ///     | `raw` | `boolean` | `false` | If `true`, then the response is returned untouched, even if a `Model` is provided. |
+  async query(lucene, _options) {
+    let options = _options || {};
+    let Model   = options.Model;
+
+    if (Model && !ModelBase.isModelClass(Model))
+      throw new TypeError(`${this.constructor.name}::query: "Model" option must be a model class.`);
+
+    let collection = options.collection || Model;
+    if (!collection)
+      throw new Error(`${this.constructor.name}::query: A "collection" or "Model" option must be provided.`);
+
+    let data;
+    if (Nife.instanceOf(lucene, 'string'))
+      data = { query: lucene };
+    else if (Nife.instanceOf(lucene, 'object'))
+      data = lucene;
+    else
+      throw new TypeError(`${this.constructor.name}::query: First argument must be a Lucene query string, or a JSON Request API object.`);
+
+    let handler = options.handler || '/select';
+    if (handler.charAt(0) !== '/')
+      handler = `/${handler}`;
+
+    // Requests to the update handlers are only
+    // retried if the caller says they are safe to retry
+    let isUpdateHandler = (/^\/update/).test(handler);
+    let requestOptions  = {
+      method:     'POST',
+      params:     options.params,
+      idempotent: (options.idempotent != null) ? !!options.idempotent : !isUpdateHandler,
+      write:      isUpdateHandler,
+      data,
+    };
+
+    if (options.logger)
+      requestOptions.logger = options.logger;
+
+    let result;
+    if (isUpdateHandler)
+      result = await this.makeRequest(Object.assign(requestOptions, { url: this.getCollectionRequestPath(collection, handler) }), options);
+    else
+      result = await this.sendReadRequest(collection, handler, requestOptions, options);
+
+    if (!Model || options.raw === true)
+      return result;
+
+    let documents = (result && result.response && result.response.docs) || [];
+    return this.buildModelsFromDocuments(Model, documents);
   }
 
   /// Initiate a transaction (or snapshot/sub-transaction)
@@ -1101,3 +3621,5 @@ class SOLRConnection extends ConnectionBase {
     throw new Error(`${this.constructor.name}::transaction: This operation is not supported for this connection type.`);
   }
 }
+
+module.exports = SOLRConnection;
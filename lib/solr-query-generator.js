@@ -1,11 +1,91 @@
 'use strict';
 
+const Nife = require('nife');
 const {
   Literals,
-  QueryGeneratorBase
+  Model: ModelBase,
+  QueryEngine,
+  QueryGeneratorBase,
+  Types,
 } = require('mythix-orm');
 
-const LiteralBase = Literals.LiteralBase;
+const { AtomicUpdateLiteralBase } = require('./literals');
+
+const LiteralBase     = Literals.LiteralBase;
+const DefaultHelpers  = Types.DefaultHelpers;
+
+// Definitions for the SOLR field types that model
+// fields are mapped to (see SOLRConnection._*TypeToString).
+// These match the field types of the "_default" configset,
+// and are only added to a schema if they are missing.
+const SOLR_FIELD_TYPES = {
+  'binary':       { name: 'binary', class: 'solr.BinaryField' },
+  'boolean':      { name: 'boolean', class: 'solr.BoolField', sortMissingLast: true },
+  'pdate':        { name: 'pdate', class: 'solr.DatePointField', docValues: true },
+  'pdouble':      { name: 'pdouble', class: 'solr.DoublePointField', docValues: true },
+  'plong':        { name: 'plong', class: 'solr.LongPointField', docValues: true },
+  'string':       { name: 'string', class: 'solr.StrField', sortMissingLast: true, docValues: true },
+  'text_general': {
+    name:                 'text_general',
+    class:                'solr.TextField',
+    positionIncrementGap: '100',
+    analyzer:             {
+      tokenizer:  { class: 'solr.StandardTokenizerFactory' },
+      filters:    [ { class: 'solr.LowerCaseFilterFactory' } ],
+    },
+  },
+};
+
+// Field classes that can't have docValues, or be indexed
+const NO_DOC_VALUES_FIELD_CLASSES = [ 'solr.BinaryField', 'solr.TextField' ];
+const NOT_INDEXED_FIELD_CLASSES   = [ 'solr.BinaryField' ];
+
+// The attributes of a schema field that are compared when
+// altering a field, and their SOLR defaults (used when neither
+// the field nor its field type specify the attribute)
+const SCHEMA_FIELD_DEFAULTS = {
+  type:         undefined,
+  indexed:      true,
+  stored:       true,
+  docValues:    false,
+  multiValued:  false,
+  required:     false,
+};
+
+// Attribute changes that only apply to newly indexed
+// documents, so existing documents must be reindexed
+const REINDEX_REQUIRED_ATTRIBUTES = [ 'type', 'indexed', 'stored', 'docValues', 'multiValued' ];
+
+// Find a field type in a SOLR schema
+function findSchemaFieldType(schema, typeName) {
+  let fieldTypes = (schema && schema.fieldTypes) || [];
+  for (let i = 0, il = fieldTypes.length; i < il; i++) {
+    if (fieldTypes[i].name === typeName)
+      return fieldTypes[i];
+  }
+}
+
+// Find a field (or a matching dynamic field) in a SOLR schema
+function findSchemaField(schema, fieldName, includeDynamic) {
+  let fields = (schema && schema.fields) || [];
+  for (let i = 0, il = fields.length; i < il; i++) {
+    if (fields[i].name === fieldName)
+      return fields[i];
+  }
+
+  if (includeDynamic === false)
+    return;
+
+  let dynamicFields = (schema && schema.dynamicFields) || [];
+  for (let i = 0, il = dynamicFields.length; i < il; i++) {
+    let pattern = dynamicFields[i].name;
+    if (pattern.charAt(0) === '*' && fieldName.endsWith(pattern.substring(1)))
+      return dynamicFields[i];
+
+    if (pattern.charAt(pattern.length - 1) === '*' && fieldName.startsWith(pattern.substring(0, pattern.length - 1)))
+      return dynamicFields[i];
+  }
+}
 
 /// The query generator interface for SOLR.
 ///
@@ -14,7 +94,1996 @@ const LiteralBase = Literals.LiteralBase;
 ///
 /// Extends: [QueryGeneratorBase](https://github.com/th317erd/mythix-orm/wiki/QueryGeneratorBase)
 class SOLRQueryGenerator extends QueryGeneratorBase {
+  /// Get the SOLR field name for the provided model field,
+  /// escaped for use in a Lucene statement.
+  ///
+  /// The `columnName` of the field is used as the SOLR field
+  /// name if the field has one. Otherwise the `fieldName` of
+  /// the field is used.
+  ///
+  /// Return: string
+  ///   The escaped SOLR field name.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model that owns the field. This is currently unused,
+  ///     but is provided for parity with the SQL generators.
+  ///   field: <see>Field</see> | string
+  ///     The field to get the SOLR field name for. If a string is
+  ///     provided, then it will be used as-is for the field name.
+  ///   options?: object
+  ///     Options for the operation. If the option `raw` is `true`,
+  ///     then the field name won't be escaped.
+  // eslint-disable-next-line no-unused-vars
+  getEscapedColumnName(Model, field, options) {
+    let isString    = Nife.instanceOf(field, 'string');
+    let columnName  = (isString) ? field : (field.columnName || field.fieldName);
+
+    if (options && options.raw === true)
+      return columnName;
+
+    return this.escapeID(columnName);
+  }
+
+  /// Get the projected fields for the provided query.
+  ///
+  /// The result is a `Map`, where each key is the fully qualified
+  /// name of a projected field, and each value is the raw (not escaped)
+  /// SOLR field name. Literals are converted to strings, and passed
+  /// through as-is.
+  ///
+  /// Only fields from the root model of the query are projected, as
+  /// SOLR has no concept of table joins.
+  ///
+  /// Return: Map<string, string>
+  ///
+  /// Arguments:
+  ///   queryEngine: <see>QueryEngine</see>
+  ///     The query to fetch the projection from.
+  ///   options?: object
+  ///     Options for the operation.
+  getProjectedFields(queryEngine, _options) {
+    let options             = this.stackAssign(_options, { isProjection: true });
+    let context             = queryEngine.getOperationContext();
+    let rootModel           = context.rootModel;
+    let allProjectionFields = new Map();
+
+    for (let [ fullyQualifiedName, projectedScope ] of context.projection) {
+      let { value } = projectedScope;
+
+      if (Nife.instanceOf(value, 'string')) {
+        // Raw string is treated as a literal
+        allProjectionFields.set(fullyQualifiedName, value);
+        continue;
+      } else if (LiteralBase.isLiteral(value)) {
+        let result = value.toString(this.connection, options);
+        allProjectionFields.set(result || fullyQualifiedName, result || fullyQualifiedName);
+
+        continue;
+      }
+
+      if (value.Model !== rootModel)
+        continue;
+
+      allProjectionFields.set(`${value.Model.getModelName()}:${value.fieldName}`, this.getEscapedColumnName(value.Model, value, { raw: true }));
+    }
+
+    return allProjectionFields;
+  }
+
+  /// Generate the field list (`fl`) for the query.
+  ///
+  /// Return: Array<string>
+  ///   The raw SOLR field names to request from SOLR.
+  ///
+  /// Arguments:
+  ///   queryEngine: <see>QueryEngine</see>
+  ///     The query to generate the field list for.
+  ///   options?: object
+  ///     Options for the operation.
+  ///   projectedFields?: Map<string, string>
+  ///     If provided, use these projected fields instead of calling
+  ///     <see>SOLRQueryGenerator.getProjectedFields</see>.
+  generateSelectQueryFieldProjection(queryEngine, options, _projectedFields) {
+    let projectedFields = (_projectedFields) ? _projectedFields : this.getProjectedFields(queryEngine, options);
+    return Nife.uniq(Array.from(projectedFields.values()));
+  }
+
+  /// Convert a SQL style `LIKE` pattern into a Lucene
+  /// wildcard term. `%` is converted to `*`, and `_` is converted
+  /// to `?`. A backslash can be used to escape `%` or `_` to match
+  /// these characters literally. All other Lucene special characters
+  /// are escaped.
+  ///
+  /// Note:
+  ///   Case sensitivity of wildcard terms is decided by SOLR, and
+  ///   the analyzer of the field being queried. The `caseSensitive`
+  ///   option of the `LIKE` operator has no effect on SOLR.
+  ///
+  /// Return: string
+  ///   The Lucene wildcard term.
+  ///
+  /// Arguments:
+  ///   context: object
+  ///     The condition context. The `value` property of this object is
+  ///     the `LIKE` pattern to convert.
+  formatLikeValue({ value }) {
+    let parts = [];
+
+    for (let i = 0, il = value.length; i < il; i++) {
+      let c = value.charAt(i);
+
+      if (c === '\\' && i + 1 < il) {
+        parts.push(this.connection.escapeTerm(value.charAt(++i)));
+        continue;
+      }
+
+      if (c === '%')
+        parts.push('*');
+      else if (c === '_')
+        parts.push('?');
+      else
+        parts.push(this.connection.escapeTerm(c));
+    }
+
+    return parts.join('');
+  }
+
+  /// Negate a Lucene clause.
+  ///
+  /// Pure negative clauses don't match anything in Lucene, so
+  /// this will match on all documents that have a value for the
+  /// field, and then subtract the provided clause. This mimics SQL,
+  /// where `NULL` values never match a `!=` or `NOT LIKE` condition.
+  ///
+  /// Return: string
+  ///
+  /// Arguments:
+  ///   escapedFieldName: string
+  ///     The escaped SOLR field name.
+  ///   clause: string
+  ///     The Lucene clause to negate.
+  generateNegatedCondition(escapedFieldName, clause) {
+    return `(${escapedFieldName}:[* TO *] -${clause})`;
+  }
+
+  /// Generate a Lucene clause for a single query condition.
+  ///
+  /// Conditions are converted as follows:
+  /// | Operator | Lucene |
+  /// | -------- | ------ |
+  /// | `EQ(value)` | `field:value` |
+  /// | `EQ(null)` | `(*:* -field:[* TO *])` |
+  /// | `EQ([ ... ])` | `field:(value1 OR value2)` |
+  /// | `NEQ(value)` | `(field:[* TO *] -field:value)` |
+  /// | `NEQ(null)` | `field:[* TO *]` |
+  /// | `GT(value)` | `field:{value TO *]` |
+  /// | `GTE(value)` | `field:[value TO *]` |
+  /// | `LT(value)` | `field:[* TO value}` |
+  /// | `LTE(value)` | `field:[* TO value]` |
+  /// | `LIKE(value)` | `field:wild*card?` |
+  /// | `NOT_LIKE(value)` | `(field:[* TO *] -field:wild*card?)` |
+  ///
+  /// Return: string
+  ///   The Lucene clause for the condition.
+  ///
+  /// Arguments:
+  ///   queryPart: object
+  ///     The query operation for the condition.
+  ///   value: any
+  ///     The value for the condition.
+  ///   options?: object
+  ///     Options for the operation.
+  generateSelectQueryCondition(queryPart, _value, options) {
+    let value     = _value;
+    let field     = queryPart.Field;
+    let isNot     = queryPart.not;
+    let operator  = (isNot) ? queryPart.inverseOperator : queryPart.operator;
+
+    if (QueryEngine.isQuery(value))
+      throw new Error(`${this.constructor.name}::generateSelectQueryCondition: Sub-queries and table joins are not supported by SOLR ("${field.fieldName}.${operator}").`);
+
+    // If the value is an array, then handle the
+    // special "IN" case for an array
+    if (Array.isArray(value)) {
+      if (operator !== 'EQ' && operator !== 'NEQ')
+        throw new Error(`${this.constructor.name}::generateSelectQueryCondition: Invalid value provided to operator "${operator}": ${JSON.stringify(value)}`);
+
+      // Flatten array, filter down to
+      // only unique items, and remove
+      // anything that we can't match on
+      // (such as "undefined", and objects)
+      value = this.connection.prepareArrayValues(value);
+
+      // NULL needs to be matched with
+      // a different clause
+      let hasNull     = (value.indexOf(null) >= 0);
+      let arrayValues = value.filter((item) => (item !== null));
+
+      if (hasNull) {
+        let subParts = [ this.generateSelectQueryCondition(queryPart, null, options) ];
+
+        if (arrayValues.length > 0)
+          subParts.push(this.generateSelectQueryCondition(queryPart, arrayValues, options));
+
+        if (subParts.length === 1)
+          return subParts[0];
+
+        return `(${subParts.join((operator === 'NEQ') ? ' AND ' : ' OR ')})`;
+      }
+
+      if (Nife.isEmpty(arrayValues))
+        throw new Error(`${this.constructor.name}::generateSelectQueryCondition: Array value provided to "${field.fieldName}.${operator}" can not be empty.`);
+
+      value = arrayValues;
+    }
+
+    let escapedFieldName = this.getEscapedColumnName(field.Model, field, options);
+
+    switch (operator) {
+      case 'EQ':
+        if (value === null)
+          return `(*:* -${escapedFieldName}:[* TO *])`;
+
+        return `${escapedFieldName}:${this.escape(field, value)}`;
+      case 'NEQ':
+        if (value === null)
+          return `${escapedFieldName}:[* TO *]`;
+
+        return this.generateNegatedCondition(escapedFieldName, `${escapedFieldName}:${this.escape(field, value)}`);
+      case 'GT':
+      case 'GTE':
+      case 'LT':
+      case 'LTE': {
+        if (Array.isArray(value))
+          throw new TypeError(`${this.constructor.name}::generateSelectQueryCondition: Array of values provided to "${operator}" operator.`);
+
+        if (value == null)
+          throw new TypeError(`${this.constructor.name}::generateSelectQueryCondition: "${operator}" operator requires a non-null value.`);
+
+        let escapedValue = this.escape(field, value);
+
+        if (operator === 'GT')
+          return `${escapedFieldName}:{${escapedValue} TO *]`;
+        else if (operator === 'GTE')
+          return `${escapedFieldName}:[${escapedValue} TO *]`;
+        else if (operator === 'LT')
+          return `${escapedFieldName}:[* TO ${escapedValue}}`;
+        else
+          return `${escapedFieldName}:[* TO ${escapedValue}]`;
+      }
+      case 'LIKE':
+      case 'NOT_LIKE': {
+        if (!Nife.instanceOf(value, 'string'))
+          throw new TypeError(`${this.constructor.name}::generateSelectQueryCondition: The "${operator}" operator requires a string for a value.`);
+
+        let clause = `${escapedFieldName}:${this.formatLikeValue({ queryPart, field, operator, value })}`;
+        if (operator === 'NOT_LIKE')
+          return this.generateNegatedCondition(escapedFieldName, clause);
+
+        return clause;
+      }
+      default:
+        throw new Error(`${this.constructor.name}::generateSelectQueryCondition: Unknown operator "${operator}".`);
+    }
+  }
+
+  /// Generate the Lucene statement for all conditions
+  /// of the provided query.
+  ///
+  /// SQL operator precedence is retained by grouping
+  /// all `AND` conditions together, and then joining
+  /// these groups with `OR`.
+  ///
+  /// Return: string
+  ///   The Lucene statement. An empty string is returned
+  ///   if the query has no conditions.
+  ///
+  /// Arguments:
+  ///   queryEngine: <see>QueryEngine</see>
+  ///     The query to generate conditions for.
+  ///   options?: object
+  ///     Options for the operation.
+  generateSelectWhereConditions(queryEngine, options) {
+    let query     = queryEngine.getOperationStack();
+    let rootModel = queryEngine.getOperationContext().rootModel;
+    let groups    = [];
+
+    for (let i = 0, il = query.length; i < il; i++) {
+      let queryPart     = query[i];
+      let queryOperator = queryPart.operator;
+      let queryValue    = queryPart.value;
+      let result        = undefined;
+
+      if (Object.prototype.hasOwnProperty.call(queryPart, 'condition')) {
+        if (queryPart.condition !== true)
+          continue;
+
+        if (rootModel && queryPart.Field && queryPart.Field.Model !== rootModel)
+          throw new Error(`${this.constructor.name}::generateSelectWhereConditions: Table joins are not supported by SOLR ("${queryPart.Field.Model.getModelName()}:${queryPart.Field.fieldName}").`);
+
+        result = this.generateSelectQueryCondition(queryPart, queryValue, options);
+      } else if (Object.prototype.hasOwnProperty.call(queryPart, 'logical')) {
+        if (queryOperator === 'NOT')
+          continue;
+
+        // If we have a value for the logical operator
+        // then that means we have a sub-grouping
+        if (Object.prototype.hasOwnProperty.call(queryPart, 'value') && QueryEngine.isQuery(queryValue)) {
+          result = this.generateSelectWhereConditions(queryValue, options);
+          if (result)
+            result = `(${result})`;
+        }
+      }
+
+      if (!result)
+        continue;
+
+      if (groups.length === 0 || queryPart.or) {
+        groups.push([ result ]);
+        continue;
+      }
+
+      // Skip conditions repeated within the same
+      // AND group (each OR group is independent)
+      let group = groups[groups.length - 1];
+      if (group.indexOf(result) < 0)
+        group.push(result);
+    }
+
+    if (groups.length === 0)
+      return '';
+
+    if (groups.length === 1)
+      return groups[0].join(' AND ');
+
+    return groups.map((group) => {
+      if (group.length === 1)
+        return group[0];
+
+      return `(${group.join(' AND ')})`;
+    }).join(' OR ');
+  }
+
+  /// Generate the type discriminator filter for the provided
+  /// model, i.e. `mythix_model_s:"User"`.
+  ///
+  /// See: SOLRConnection.getModelTypeDiscriminator
+  ///
+  /// Return: string | undefined
+  ///   The filter query, or `undefined` if the model doesn't
+  ///   share its collection with any other model.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model to generate the filter for.
+  generateTypeDiscriminatorFilter(Model) {
+    let discriminator = this.connection.getModelTypeDiscriminator(Model);
+    if (!discriminator)
+      return;
+
+    return `${this.escapeID(discriminator.fieldName)}:${this.connection._escape(discriminator.value)}`;
+  }
+
+  /// Generate the filter queries (`fq`) for the
+  /// provided query.
+  ///
+  /// Filter queries are cached by SOLR independently of
+  /// the main query, and don't affect scoring. `DISTINCT`
+  /// on a query is implemented as a `{!collapse}` filter,
+  /// and if the root model shares its collection with other
+  /// models, then a type discriminator filter is added.
+  /// Any `filter` option provided will also be appended to
+  /// the filters.
+  ///
+  /// Return: Array<string>
+  ///
+  /// Arguments:
+  ///   queryEngine: <see>QueryEngine</see>
+  ///     The query to generate filters for.
+  ///   options?: object
+  ///     Options for the operation.
+  generateFilterQueries(queryEngine, _options) {
+    let options = _options || {};
+    let context = queryEngine.getOperationContext();
+    let filters = [];
+
+    let typeFilter = this.generateTypeDiscriminatorFilter(context.rootModel);
+    if (typeFilter)
+      filters.push(typeFilter);
+
+    let distinct = context.distinct;
+    if (distinct && options.isAggregate !== true && options.isDeleteOperation !== true) {
+      let distinctField = distinct.getField(this.connection);
+      if (distinctField && !LiteralBase.isLiteral(distinctField))
+        filters.push(`{!collapse field=${this.getEscapedColumnName(distinctField.Model, distinctField)}}`);
+    }
+
+    if (options.filter)
+      filters = filters.concat(Nife.toArray(options.filter).filter(Boolean));
+
+    return filters;
+  }
+
+  /// Generate the `sort` parameter for the provided query.
+  ///
+  /// Return: string
+  ///   A SOLR sort string, i.e. `firstName asc,lastName desc`. An
+  ///   empty string is returned if the query has no order.
+  ///
+  /// Arguments:
+  ///   queryEngine: <see>QueryEngine</see>
+  ///     The query to generate the sort order for.
+  ///   options?: object
+  ///     Options for the operation. If `reverseOrder` is `true`, then
+  ///     the order will be reversed.
+  generateOrderClause(queryEngine, _options) {
+    let options = _options || {};
+    let context = queryEngine.getOperationContext();
+    let order   = context.order;
+
+    if (!order || !order.size)
+      order = this.connection.getDefaultOrder(context.rootModel, options);
+
+    if (!order || !order.size)
+      return '';
+
+    let orderParts = [];
+    for (let { value, direction } of order.values()) {
+      let finalResult;
+
+      if (Nife.instanceOf(value, 'string')) {
+        // Raw string is treated as a literal
+        finalResult = value;
+      } else if (LiteralBase.isLiteral(value)) {
+        finalResult = value.toString(this.connection, options);
+      } else {
+        if (value.Model !== context.rootModel)
+          continue;
+
+        finalResult = this.getEscapedColumnName(value.Model, value, options);
+      }
+
+      let orderStr;
+      if (options.reverseOrder !== true)
+        orderStr = (direction === '-') ? 'desc' : 'asc';
+      else
+        orderStr = (direction === '-') ? 'asc' : 'desc';
+
+      orderParts.push(`${finalResult} ${orderStr}`);
+    }
+
+    return orderParts.join(',');
+  }
+
+  /// Append the primary key of the provided model to the
+  /// given sort string, if it isn't already part of the sort.
+  ///
+  /// SOLR requires that the `uniqueKey` field be part of the
+  /// sort when paging with a `cursorMark`, so that the order
+  /// of the results is stable.
+  ///
+  /// Return: string
+  ///   The sort string, with the primary key appended as a tiebreak, i.e. `firstName asc,id asc`.
+  ///   If the model has no primary key, the sort string is returned unmodified.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model whose primary key should be used as the tiebreak.
+  ///   sort: string
+  ///     The sort string generated by <see>SOLRQueryGenerator.generateOrderClause</see>.
+  ///   options?: object
+  ///     Options for the operation. If `reverseOrder` is `true`, then
+  ///     the tiebreak will be sorted in descending order.
+  appendPrimaryKeyTiebreakToSort(Model, sort, _options) {
+    let options = _options || {};
+    let pkField = Model.getPrimaryKeyField();
+    if (!pkField)
+      return sort || '';
+
+    let pkColumnName  = this.getEscapedColumnName(Model, pkField, options);
+    let sortParts     = (sort) ? sort.split(',') : [];
+
+    for (let i = 0, il = sortParts.length; i < il; i++) {
+      let columnName = sortParts[i].trim().split(/\s+/)[0];
+      if (columnName === pkColumnName)
+        return sort;
+    }
+
+    sortParts.push(`${pkColumnName} ${(options.reverseOrder === true) ? 'desc' : 'asc'}`);
+
+    return sortParts.join(',');
+  }
+
+  /// Generate a request body for the SOLR
+  /// [JSON Request API](https://solr.apache.org/guide/solr/latest/query-guide/json-request-api.html)
+  /// from the provided query.
+  ///
+  /// The conditions of the query are converted into the
+  /// Lucene `query` (`q`) parameter, and any filters are provided
+  /// as the `filter` (`fq`) parameter.
+  ///
+  /// Return: object
+  ///   The JSON Request API body, i.e. `{ query: 'firstName:"Bob"', fields: [ 'id', 'firstName' ], sort: 'id asc', limit: 10 }`.
+  ///
+  /// Arguments:
+  ///   queryEngine: <see>QueryEngine</see>
+  ///     The query to generate a request body for.
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `filter` | `string` &#124; `Array<string>` | `undefined` | Extra filter queries to apply. |
+  ///     | `cursorMark` | `string` | `undefined` | If set, page using this SOLR `cursorMark` instead of an offset. The primary key will be appended to the sort as a tiebreak. |
+  ///     | `params` | `object` | `undefined` | Extra raw SOLR parameters to send with the request. |
+  ///     | `reverseOrder` | `boolean` | `false` | Reverse the order of the query. |
+  generateSelectStatement(_queryEngine, _options) {
+    let queryEngine = _queryEngine;
+    if (!QueryEngine.isQuery(queryEngine))
+      throw new Error(`${this.constructor.name}::generateSelectStatement: A query is required as the first argument.`);
+
+    let options   = Object.create(_options || {});
+    let context   = queryEngine.getOperationContext();
+    let rootModel = context.rootModel;
+    if (!rootModel)
+      throw new Error(`${this.constructor.name}::generateSelectStatement: No root model found.`);
+
+    options.selectStatement = true;
+
+    let body = {
+      query: this.generateSelectWhereConditions(queryEngine, options) || '*:*',
+    };
+
+    let filter = this.generateFilterQueries(queryEngine, options);
+    if (Nife.isNotEmpty(filter))
+      body.filter = filter;
+
+    // "_version_" is always requested, so models
+    // can be used for optimistic concurrency
+    let fields = this.generateSelectQueryFieldProjection(queryEngine, options);
+    if (Nife.isNotEmpty(fields))
+      body.fields = Nife.uniq(fields.concat('_version_'));
+
+    let sort = this.generateOrderClause(queryEngine, options);
+    if (options.cursorMark)
+      sort = this.appendPrimaryKeyTiebreakToSort(rootModel, sort, options);
+
+    if (sort)
+      body.sort = sort;
+
+    let { limit, offset } = context;
+    if (Nife.instanceOf(limit, 'number') && isFinite(limit))
+      body.limit = limit;
+
+    // SOLR doesn't allow an offset when paging with a cursor
+    if (!options.cursorMark && Nife.instanceOf(offset, 'number') && offset > 0)
+      body.offset = offset;
+
+    if (Nife.isNotEmpty(options.params))
+      body.params = Object.assign({}, options.params);
+
+    if (options.cursorMark)
+      body.params = Object.assign(body.params || {}, { cursorMark: options.cursorMark });
+
+    return body;
+  }
+
+  /// Generate a request body for the SOLR
+  /// [/export](https://solr.apache.org/guide/solr/latest/query-guide/exporting-result-sets.html)
+  /// handler from the provided query.
+  ///
+  /// This is the same as <see>SOLRQueryGenerator.generateSelectStatement</see>,
+  /// except that the `/export` handler always returns the entire result set, so
+  /// no limit or offset is included, and a sort is required (the primary key
+  /// is appended to the sort as a tiebreak).
+  ///
+  /// Return: object
+  ///   The JSON Request API body.
+  ///
+  /// Arguments:
+  ///   queryEngine: <see>QueryEngine</see>
+  ///     The query to generate a request body for.
+  ///   options?: object
+  ///     Options for the operation. See <see>SOLRQueryGenerator.generateSelectStatement</see>.
+  generateExportStatement(queryEngine, _options) {
+    let options = Object.create(_options || {});
+    options.cursorMark = undefined;
+
+    let body      = this.generateSelectStatement(queryEngine, options);
+    let rootModel = queryEngine.getOperationContext().rootModel;
+    let sort      = this.appendPrimaryKeyTiebreakToSort(rootModel, body.sort, options);
+
+    if (!sort)
+      throw new Error(`${this.constructor.name}::generateExportStatement: The "/export" handler requires a sort. Add an "ORDER" to the query, or use a model with a primary key.`);
+
+    body.sort = sort;
+
+    delete body.limit;
+    delete body.offset;
+
+    return body;
+  }
+
+  /// Get the default value for a field.
+  ///
+  /// Unlike SQL databases, SOLR has no concept of
+  /// column defaults, so all default values, including
+  /// "remote" defaults such as `Types.DATETIME.Default.NOW`,
+  /// are resolved locally before the document is sent to SOLR.
+  ///
+  /// Return: any
+  ///   The default value for the field, or `undefined` if the
+  ///   field has no default value for the current operation.
+  ///
+  /// Arguments:
+  ///   field: <see>Field</see>
+  ///     The field to get the default value for.
+  ///   fieldName: string
+  ///     The name of the field.
+  ///   options?: object
+  ///     Options for the operation. `isInsertOperation` and `isUpdateOperation`
+  ///     are used to select defaults with the `onInsert` and `onUpdate` flags.
+  ///     If `rawLiterals` is `true`, then literals are returned as-is, instead
+  ///     of being converted to strings.
+  getFieldDefaultValue(field, fieldName, _options) {
+    let options       = _options || {};
+    let defaultValue  = field.defaultValue;
+    if (defaultValue === undefined)
+      return;
+
+    if (options.isUpdateOperation && !DefaultHelpers.checkDefaultValueFlags(field.defaultValue, [ 'onUpdate' ]))
+      return;
+
+    if (options.isInsertOperation && !DefaultHelpers.checkDefaultValueFlags(field.defaultValue, [ 'onInsert' ]))
+      return;
+
+    if (typeof defaultValue === 'function') {
+      if (options.remoteOnly === true && !DefaultHelpers.checkDefaultValueFlags(field.defaultValue, [ 'remote' ]))
+        return;
+
+      defaultValue = defaultValue({ field, fieldName, connection: this.connection, _static: true });
+    }
+
+    if (LiteralBase.isLiteral(defaultValue) && options.rawLiterals !== true)
+      return defaultValue.toString(this.connection);
+
+    return defaultValue;
+  }
+
+  /// Convert a model field value into a value
+  /// that can be stored in a SOLR JSON document.
+  ///
+  /// Field types are serialized using the connection,
+  /// so dates become UTC ISO strings, BLOBs become
+  /// base64 strings, and BigInts become strings.
+  ///
+  /// Return: any
+  ///   The JSON compatible value to store in the document.
+  ///   `undefined` is returned for `null` or `undefined` values,
+  ///   which should be omitted from the document.
+  ///
+  /// Arguments:
+  ///   field: <see>Field</see>
+  ///     The field that owns the value.
+  ///   value: any
+  ///     The value to serialize.
+  ///   options?: object
+  ///     Options for the operation.
+  getDocumentFieldValue(field, _value, options) {
+    let value = _value;
+    if (value == null)
+      return;
+
+    if (LiteralBase.isLiteral(value))
+      return value.toString(this.connection, options);
+
+    value = field.type.serialize(value, this.connection);
+    if (value == null)
+      return;
+
+    if (Buffer.isBuffer(value))
+      return value.toString('base64');
+
+    if (Array.isArray(value))
+      return value.map((item) => (Nife.instanceOf(item, 'bigint')) ? item.toString() : item);
+
+    if (Nife.instanceOf(value, 'bigint'))
+      return value.toString();
+
+    return value;
+  }
+
+  /// Generate a SOLR JSON document from the provided model.
+  ///
+  /// All concrete fields of the model are added to the document,
+  /// since SOLR replaces the entire document when it is written.
+  /// Default values for the operation are applied first. If the
+  /// model shares its collection with other models, then the type
+  /// discriminator field is also added to the document.
+  ///
+  /// Return: object
+  ///   The SOLR document, with column names as keys.
+  ///
+  /// Arguments:
+  ///   model: <see>Model</see>
+  ///     The model to generate the document from.
+  ///   options?: object
+  ///     Options for the operation. If `isInsertOperation` is `true`,
+  ///     then insert defaults will be applied, and if `isUpsertOperation`
+  ///     is `true`, then insert defaults will only be applied to models
+  ///     that haven't yet been persisted.
+  generateDocumentFromModel(model, _options) {
+    let options   = _options || {};
+    let Model     = model.getModel();
+    let isInsert  = (options.isUpsertOperation) ? !model.isPersisted() : (options.isInsertOperation === true);
+    let document  = {};
+
+    let dirtyFields = model._getDirtyFields({
+      insert: isInsert,
+      update: !isInsert,
+    });
+
+    model.iterateFields(({ field, fieldName }) => {
+      if (field.type.isVirtual())
+        return;
+
+      let value = (Object.prototype.hasOwnProperty.call(dirtyFields, fieldName)) ? dirtyFields[fieldName].current : model.getDataValue(fieldName);
+
+      value = this.getDocumentFieldValue(field, value, options);
+      if (value === undefined)
+        return;
+
+      document[this.getEscapedColumnName(Model, field, { raw: true })] = value;
+    });
+
+    let discriminator = this.connection.getModelTypeDiscriminator(Model);
+    if (discriminator)
+      document[discriminator.fieldName] = discriminator.value;
+
+    return document;
+  }
+
+  /// Generate the SOLR JSON documents to send to
+  /// the `/update` handler for an `insert` or `upsert`
+  /// operation.
+  ///
+  /// For insert operations `_version_` is set to `-1`
+  /// on every document, so SOLR will reject the write if a
+  /// document with the same unique key already exists. For
+  /// upsert operations, the `_version_` that was loaded with
+  /// each model (if any) is sent, so SOLR will reject the
+  /// write if the document has changed since it was loaded.
+  ///
+  /// Return: Array<object>
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model class of the models being stored.
+  ///   models: Array<Model> | PreparedModels
+  ///     The models to generate documents for.
+  ///   options?: object
+  ///     Options for the operation.
+  generateInsertDocuments(Model, _models, _options) {
+    let options         = _options || {};
+    let preparedModels  = this.connection.prepareAllModelsForOperation(Model, _models, options);
+    let models          = preparedModels.models;
+    let documents       = [];
+
+    if (Nife.isEmpty(models))
+      return documents;
+
+    for (let i = 0, il = models.length; i < il; i++) {
+      let model     = models[i];
+      let document  = this.generateDocumentFromModel(model, options);
+
+      if (options.isUpsertOperation) {
+        let version = this.connection.getModelVersion(model);
+        if (version != null)
+          document._version_ = version;
+      } else if (options.isInsertOperation) {
+        document._version_ = -1;
+      }
+
+      documents.push(document);
+    }
+
+    return documents;
+  }
+
+  /// Convert a field value into a SOLR atomic update
+  /// operation, i.e. `{ "set": "Bob" }`.
+  ///
+  /// Atomic update literals (such as <see>IncLiteral</see>) are
+  /// converted into their own operation. All other values are
+  /// converted into a `set` operation.
+  ///
+  /// Return: object
+  ///
+  /// Arguments:
+  ///   field: <see>Field</see>
+  ///     The field being updated.
+  ///   value: any
+  ///     The new value for the field.
+  ///   options?: object
+  ///     Options for the operation.
+  getAtomicUpdateOperation(field, value, options) {
+    if (AtomicUpdateLiteralBase.isAtomicUpdateLiteral(value))
+      return value.toAtomicUpdate(this.connection, field);
+
+    let result = this.getDocumentFieldValue(field, value, options);
+    return { set: (result === undefined) ? null : result };
+  }
+
+  /// Convert the provided field changes into SOLR
+  /// atomic update operations, keyed by column name.
+  ///
+  /// Primary key fields are skipped, as SOLR can't update
+  /// the unique key of a document.
+  ///
+  /// Return: object
+  ///   The atomic update operations, i.e. `{ "firstName": { "set": "Bob" }, "loginCount": { "inc": 1 } }`.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model that owns the fields.
+  ///   changes: object
+  ///     The changes to convert, as an object of `fieldName` -> `value`.
+  ///   options?: object
+  ///     Options for the operation.
+  generateAtomicUpdateOperations(Model, changes, options) {
+    let fieldNames  = Object.keys(changes || {});
+    let operations  = {};
+
+    for (let i = 0, il = fieldNames.length; i < il; i++) {
+      let fieldName = fieldNames[i];
+      let field     = Model.getField(fieldName);
+      if (!field || field.primaryKey || field.type.isVirtual())
+        continue;
+
+      operations[this.getEscapedColumnName(Model, field, { raw: true })] = this.getAtomicUpdateOperation(field, changes[fieldName], options);
+    }
+
+    return operations;
+  }
+
+  /// Generate a SOLR atomic update document for the
+  /// dirty fields of the provided model.
+  ///
+  /// If the model was loaded with a `_version_`, then
+  /// it is sent with the update, so SOLR will reject the
+  /// update if the document has changed since it was loaded.
+  ///
+  /// Return: object | undefined
+  ///   The atomic update document, i.e. `{ "id": "...", "firstName": { "set": "Bob" } }`.
+  ///   If the model has no dirty fields, then `undefined` is returned.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model class of the model being updated.
+  ///   model: <see>Model</see>
+  ///     The model to generate the update document for.
+  ///   options?: object
+  ///     Options for the operation.
+  generateUpdateDocument(Model, model, options) {
+    let pkField = Model.getPrimaryKeyField();
+    let pkValue = (pkField) ? this.getDocumentFieldValue(pkField, model.getDataValue(pkField.fieldName), options) : undefined;
+    if (pkValue == null)
+      throw new Error(`${this.constructor.name}::generateUpdateDocument: Model's primary key is empty. Models being updated must have a valid primary key.`);
+
+    let dirtyFields = model._getDirtyFields({ update: true });
+    let changes     = {};
+    let fieldNames  = Object.keys(dirtyFields);
+
+    for (let i = 0, il = fieldNames.length; i < il; i++) {
+      let fieldName = fieldNames[i];
+      changes[fieldName] = dirtyFields[fieldName].current;
+    }
+
+    let operations = this.generateAtomicUpdateOperations(Model, changes, options);
+    if (Nife.isEmpty(operations))
+      return;
+
+    let document  = Object.assign({ [this.getEscapedColumnName(Model, pkField, { raw: true })]: pkValue }, operations);
+    let version   = this.connection.getModelVersion(model);
+    if (version != null)
+      document._version_ = version;
+
+    return document;
+  }
+
+  /// Generate the SOLR atomic update operations to apply
+  /// to every document matched by an `updateAll` operation.
+  ///
+  /// Atomic update literals can not be assigned to model
+  /// fields, so they are pulled out of the provided `attributes`
+  /// first. All remaining attributes are assigned to a new model
+  /// instance, so they are cast to the proper field types, and
+  /// so `onUpdate` default values (i.e. `updatedAt`) are applied.
+  ///
+  /// Return: object
+  ///   The atomic update operations, keyed by column name.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model being updated.
+  ///   attributes: object | <see>Model</see>
+  ///     The attributes to update.
+  ///   options?: object
+  ///     Options for the operation.
+  generateUpdateAllOperations(Model, attributes, options) {
+    let literalChanges  = {};
+    let model           = attributes;
+
+    if (!ModelBase.isModel(model)) {
+      let modelAttributes = {};
+      let keys            = Object.keys(attributes || {});
+
+      for (let i = 0, il = keys.length; i < il; i++) {
+        let key   = keys[i];
+        let value = attributes[key];
+
+        if (LiteralBase.isLiteral(value))
+          literalChanges[key] = value;
+        else
+          modelAttributes[key] = value;
+      }
+
+      model = new Model(undefined, { connection: this.connection });
+      model.clearDirty();
+      model.setAttributes(modelAttributes, true);
+    }
+
+    let dirtyFields = model._getDirtyFields({ update: true });
+    let changes     = {};
+    let fieldNames  = Object.keys(dirtyFields);
+
+    for (let i = 0, il = fieldNames.length; i < il; i++) {
+      let fieldName = fieldNames[i];
+      changes[fieldName] = dirtyFields[fieldName].current;
+    }
+
+    return this.generateAtomicUpdateOperations(Model, Object.assign(changes, literalChanges), options);
+  }
+
+  /// Generate a Lucene query for a SOLR delete-by-query
+  /// operation from the provided query.
+  ///
+  /// SOLR delete-by-query only accepts a single query, so
+  /// the conditions and filters of the query are combined
+  /// into one query with `AND`.
+  ///
+  /// Return: string
+  ///   The Lucene query, i.e. `(firstName:"Bob") AND (mythix_model_s:"User")`.
+  ///
+  /// Arguments:
+  ///   queryEngine: <see>QueryEngine</see>
+  ///     The query to generate the delete query for.
+  ///   options?: object
+  ///     Options for the operation.
+  generateDeleteQuery(queryEngine, _options) {
+    let options = this.stackAssign(_options, { isDeleteOperation: true });
+    let where   = this.generateSelectWhereConditions(queryEngine, options);
+    let filters = this.generateFilterQueries(queryEngine, options);
+    let parts   = [];
+
+    if (where)
+      parts.push(where);
+
+    parts = parts.concat(filters);
+    if (parts.length === 0)
+      return '*:*';
+
+    if (parts.length === 1)
+      return parts[0];
+
+    return parts.map((part) => `(${part})`).join(' AND ');
+  }
+
+  /// Generate a JSON Request API body for an aggregate
+  /// operation (i.e. `count`, or `sum`).
+  ///
+  /// No documents are requested (`limit: 0`). Aggregates are
+  /// calculated using [JSON facet](https://solr.apache.org/guide/solr/latest/query-guide/json-facet-api.html)
+  /// functions, which are added to the body as the `facet.result` property.
+  /// A `count` with no field (and no `DISTINCT`) has no facet, as the
+  /// `numFound` of the response is the count.
+  ///
+  /// If the query is `DISTINCT`, then a `count` will count the
+  /// unique values of the distinct field (`unique(field)`). All other
+  /// aggregates are calculated across the documents left after
+  /// collapsing on the distinct field.
+  ///
+  /// Return: object
+  ///   The JSON Request API body, i.e. `{ query: '*:*', limit: 0, facet: { result: 'sum(amount)' } }`.
+  ///
+  /// Arguments:
+  ///   queryEngine: <see>QueryEngine</see>
+  ///     The query to aggregate across.
+  ///   literal: <see>LiteralBase</see>
+  ///     The aggregate literal, i.e. <see>SumLiteral</see>.
+  ///   options?: object
+  ///     Options for the operation.
+  generateAggregateStatement(queryEngine, literal, options) {
+    let context   = queryEngine.getOperationContext();
+    let distinct  = context.distinct;
+    let isCount   = Literals.CountLiteral.isLiteralType(literal);
+    let aggregateFunction;
+
+    if (isCount && distinct) {
+      let distinctField = distinct.getField(this.connection);
+      if (distinctField && !LiteralBase.isLiteral(distinctField))
+        aggregateFunction = `unique(${this.getEscapedColumnName(distinctField.Model, distinctField, options)})`;
+    }
+
+    if (!aggregateFunction && !(isCount && !literal.getField(this.connection)))
+      aggregateFunction = literal.toString(this.connection, options);
+
+    let body = this.generateSelectStatement(queryEngine, this.stackAssign(options, { isAggregate: (isCount && !!aggregateFunction) }));
+
+    delete body.fields;
+    delete body.sort;
+    delete body.offset;
+
+    body.limit = 0;
+
+    if (aggregateFunction)
+      body.facet = { result: aggregateFunction };
+
+    return body;
+  }
+
+  _aggregateLiteralToString(functionName, literal, options) {
+    if (!literal || !LiteralBase.isLiteral(literal))
+      return;
+
+    let field = literal.getField(this.connection);
+    if (!field)
+      return;
+
+    let escapedColumnName;
+    if (LiteralBase.isLiteral(field))
+      escapedColumnName = field.toString(this.connection, options);
+    else
+      escapedColumnName = this.getEscapedColumnName(field.Model, field, this.stackAssign(options, literal.options));
+
+    return `${functionName}(${escapedColumnName})`;
+  }
+
+  _averageLiteralToString(literal, options) {
+    return this._aggregateLiteralToString('avg', literal, options);
+  }
+
+  _countLiteralToString(literal, options) {
+    if (!literal || !LiteralBase.isLiteral(literal))
+      return;
+
+    if (!literal.getField(this.connection))
+      return 'count(*)';
+
+    return this._aggregateLiteralToString('countvals', literal, options);
+  }
+
+  _maxLiteralToString(literal, options) {
+    return this._aggregateLiteralToString('max', literal, options);
+  }
+
+  _minLiteralToString(literal, options) {
+    return this._aggregateLiteralToString('min', literal, options);
+  }
+
+  _sumLiteralToString(literal, options) {
+    return this._aggregateLiteralToString('sum', literal, options);
+  }
+
+  _fieldLiteralToString(literal, options) {
+    if (!literal || !LiteralBase.isLiteral(literal))
+      return;
+
+    let field = literal.getField(this.connection);
+    if (LiteralBase.isLiteral(field))
+      return field.toString(this.connection, options);
+
+    return this.getEscapedColumnName(field.Model, field, this.stackAssign(options, literal.options));
+  }
+
+  /// Get the definition of a SOLR field type.
+  ///
+  /// The field types of the provided schema are checked first,
+  /// and then the field types that model fields are mapped to by
+  /// default (`string`, `plong`, `pdouble`, `boolean`,
+  /// `pdate`, `binary`, and `text_general`).
+  ///
+  /// Return: object | undefined
+  ///   The field type definition, as used by the Schema API `add-field-type` command.
+  ///
+  /// Arguments:
+  ///   typeName: string
+  ///     The name of the field type, i.e. `plong`.
+  ///   schema?: object
+  ///     The current SOLR schema (see <see>SOLRConnection.getSchema</see>).
+  getFieldTypeDefinition(typeName, schema) {
+    let fieldType = findSchemaFieldType(schema, typeName);
+    if (fieldType)
+      return fieldType;
+
+    fieldType = SOLR_FIELD_TYPES[typeName];
+    if (fieldType)
+      return Nife.extend(true, {}, fieldType);
+  }
+
+  /// Find a field in a SOLR schema.
+  ///
+  /// Return: object | undefined
+  ///   The field (or dynamic field) definition from the schema.
+  ///
+  /// Arguments:
+  ///   schema: object
+  ///     The SOLR schema (see <see>SOLRConnection.getSchema</see>).
+  ///   fieldName: string
+  ///     The name of the field to find.
+  ///   includeDynamic?: boolean
+  ///     If `false`, then dynamic fields that match the field
+  ///     name are not returned. Defaults to `true`.
+  getSchemaField(schema, fieldName, includeDynamic) {
+    return findSchemaField(schema, fieldName, includeDynamic);
+  }
+
+  /// Get the definition of the field type used by the
+  /// provided field definition, if that field type is missing
+  /// from the schema, so that it can be added with the
+  /// Schema API `add-field-type` command.
+  ///
+  /// Return: object | undefined
+  ///   The field type definition, or `undefined` if the
+  ///   schema already has the field type.
+  ///
+  /// Arguments:
+  ///   fieldDefinition: object
+  ///     The field definition (see <see>SOLRQueryGenerator.generateFieldDefinition</see>).
+  ///   schema: object
+  ///     The current SOLR schema.
+  generateMissingFieldTypeDefinition(fieldDefinition, schema) {
+    let typeName = fieldDefinition.type;
+    if (findSchemaFieldType(schema, typeName))
+      return;
+
+    let typeDefinition = SOLR_FIELD_TYPES[typeName];
+    if (!typeDefinition)
+      throw new Error(`${this.constructor.name}::generateMissingFieldTypeDefinition: Unknown SOLR field type "${typeName}" for field "${fieldDefinition.name}".`);
+
+    return Nife.extend(true, {}, typeDefinition);
+  }
+
+  /// Generate the SOLR schema field definition for a model field.
+  ///
+  /// The SOLR field type comes from the connection
+  /// (see <see>SOLRConnection._stringTypeToString</see>, etc...).
+  /// Fields are always stored and single-valued, are indexed and have
+  /// `docValues` (so they can be sorted, faceted, and exported) when their
+  /// field type supports it, and are required if they are the primary key,
+  /// or don't allow `null`.
+  ///
+  /// Return: object
+  ///   The field definition, as used by the Schema API `add-field` command.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model that owns the field.
+  ///   field: <see>Field</see>
+  ///     The field to generate a definition for.
+  ///   options?: object
+  ///     Options for the operation. If a `schema` is provided, then the field
+  ///     types it defines are used to decide which attributes are supported.
+  generateFieldDefinition(Model, field, _options) {
+    let options         = _options || {};
+    let typeName        = field.type.toConnectionType(this.connection);
+    let typeDefinition  = this.getFieldTypeDefinition(typeName, options.schema) || {};
+    let fieldClass      = typeDefinition.class;
+
+    return {
+      name:         this.getEscapedColumnName(Model, field, { raw: true }),
+      type:         typeName,
+      indexed:      (NOT_INDEXED_FIELD_CLASSES.indexOf(fieldClass) < 0),
+      stored:       true,
+      docValues:    (NO_DOC_VALUES_FIELD_CLASSES.indexOf(fieldClass) < 0),
+      multiValued:  false,
+      required:     (field.primaryKey === true || field.allowNull === false),
+    };
+  }
+
+  /// Generate the Schema API commands needed to create
+  /// the fields of the provided model in a SOLR schema.
+  ///
+  /// Only concrete fields are created. Fields (and field types)
+  /// that already exist in the schema are left untouched. Fields
+  /// that only match a dynamic field are still created, so they
+  /// keep the type and attributes of the model. If the
+  /// model shares its collection with other models, then the type
+  /// discriminator field is also created (unless it already exists,
+  /// or matches a dynamic field).
+  ///
+  /// Return: object
+  ///   The Schema API commands, i.e. `{ "add-field-type": [ ... ], "add-field": [ ... ] }`.
+  ///   Commands with nothing to do are omitted, so an empty object means
+  ///   the schema is already complete.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model to generate the fields for.
+  ///   schema: object
+  ///     The current SOLR schema of the collection (see <see>SOLRConnection.getSchema</see>).
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Note:
+  ///   The unique key of a SOLR schema can not be changed with the Schema API,
+  ///   so an exception is thrown if the primary key of the model doesn't match
+  ///   the `uniqueKey` of the schema.
+  generateCreateTableStatement(Model, schema, _options) {
+    let options       = this.stackAssign(_options || {}, { schema });
+    let fieldTypes    = [];
+    let fields        = [];
+    let typeNames     = {};
+
+    const addField = (definition, includeDynamic) => {
+      let typeName = definition.type;
+      if (!typeNames[typeName]) {
+        let typeDefinition = this.generateMissingFieldTypeDefinition(definition, schema);
+        if (typeDefinition)
+          fieldTypes.push(typeDefinition);
+
+        typeNames[typeName] = true;
+      }
+
+      if (!findSchemaField(schema, definition.name, includeDynamic))
+        fields.push(definition);
+    };
+
+    Model.iterateFields(({ field }) => {
+      if (field.type.isVirtual())
+        return;
+
+      let definition = this.generateFieldDefinition(Model, field, options);
+      if (field.primaryKey === true && schema.uniqueKey && schema.uniqueKey !== definition.name)
+        throw new Error(`${this.constructor.name}::generateCreateTableStatement: The primary key "${definition.name}" of model "${Model.getModelName()}" doesn't match the unique key "${schema.uniqueKey}" of the SOLR schema. The unique key can not be changed with the Schema API, and must be set in the configset instead.`);
+
+      addField(definition, false);
+    });
+
+    let discriminator = this.connection.getModelTypeDiscriminator(Model);
+    if (discriminator) {
+      addField({
+        name:         discriminator.fieldName,
+        type:         'string',
+        indexed:      true,
+        stored:       true,
+        docValues:    true,
+        multiValued:  false,
+      });
+    }
+
+    let commands = {};
+
+    if (fieldTypes.length > 0)
+      commands['add-field-type'] = fieldTypes;
+
+    if (fields.length > 0)
+      commands['add-field'] = fields;
+
+    return commands;
+  }
+
+  /// Get the effective attributes of a schema field definition.
+  ///
+  /// Attributes not specified on the field itself are inherited from
+  /// its field type, and then from the SOLR defaults. This allows a
+  /// field definition fetched from SOLR to be compared with one
+  /// generated from a model field.
+  ///
+  /// Return: object
+  ///   `{ name, type, indexed, stored, docValues, multiValued, required }`
+  ///
+  /// Arguments:
+  ///   fieldDefinition: object
+  ///     The field definition.
+  ///   schema?: object
+  ///     The SOLR schema, used to find the field type of the field.
+  getEffectiveFieldDefinition(fieldDefinition, schema) {
+    let typeDefinition  = this.getFieldTypeDefinition(fieldDefinition.type, schema) || {};
+    let attributeNames  = Object.keys(SCHEMA_FIELD_DEFAULTS);
+    let result          = { name: fieldDefinition.name };
+
+    for (let i = 0, il = attributeNames.length; i < il; i++) {
+      let attributeName = attributeNames[i];
+      let value         = fieldDefinition[attributeName];
+
+      if (value === undefined)
+        value = typeDefinition[attributeName];
+
+      if (value === undefined)
+        value = SCHEMA_FIELD_DEFAULTS[attributeName];
+
+      result[attributeName] = (attributeName === 'type') ? value : (value === true || value === 'true');
+    }
+
+    // SOLR always requires the unique key
+    if (schema && schema.uniqueKey === fieldDefinition.name)
+      result.required = true;
+
+    return result;
+  }
+
+  /// Compare two schema field definitions, using their effective
+  /// attributes (see <see>SOLRQueryGenerator.getEffectiveFieldDefinition</see>).
+  ///
+  /// Changes to the name, `type`, `indexed`, `stored`, `docValues`, or
+  /// `multiValued` only apply to documents indexed after the change, so
+  /// these are flagged as requiring a full reindex.
+  ///
+  /// Return: Array<{ attribute: string; from: any; to: any; reindexRequired: boolean; }>
+  ///   The differences found. This is empty if the definitions are equivalent.
+  ///
+  /// Arguments:
+  ///   fromDefinition: object
+  ///     The current field definition (i.e. from the SOLR schema).
+  ///   toDefinition: object
+  ///     The wanted field definition (i.e. from <see>SOLRQueryGenerator.generateFieldDefinition</see>).
+  ///   schema?: object
+  ///     The SOLR schema, used to find the field types of the fields.
+  compareFieldDefinitions(fromDefinition, toDefinition, schema) {
+    let from            = this.getEffectiveFieldDefinition(fromDefinition, schema);
+    let to              = this.getEffectiveFieldDefinition(toDefinition, schema);
+    let attributeNames  = Object.keys(SCHEMA_FIELD_DEFAULTS);
+    let changes         = [];
+
+    if (from.name !== to.name)
+      changes.push({ attribute: 'name', from: from.name, to: to.name, reindexRequired: true });
+
+    for (let i = 0, il = attributeNames.length; i < il; i++) {
+      let attributeName = attributeNames[i];
+      if (from[attributeName] === to[attributeName])
+        continue;
+
+      changes.push({
+        attribute:        attributeName,
+        from:             from[attributeName],
+        to:               to[attributeName],
+        reindexRequired:  (REINDEX_REQUIRED_ATTRIBUTES.indexOf(attributeName) >= 0),
+      });
+    }
+
+    return changes;
+  }
+
+  /// Generate the Schema API commands needed to
+  /// add a model field to a SOLR schema.
+  ///
+  /// Return: object
+  ///   The Schema API commands, i.e. `{ "add-field": [ ... ] }`. The
+  ///   `add-field-type` command is included if the field type of the
+  ///   field is missing from the schema.
+  ///
+  /// Arguments:
+  ///   Field: <see>Field</see>
+  ///     The field to add. The `Model` of the field is the model that owns it.
+  ///   schema: object
+  ///     The current SOLR schema of the collection.
+  ///   options?: object
+  ///     Options for the operation.
+  generateAddColumnStatement(Field, schema, _options) {
+    let options         = this.stackAssign(_options || {}, { schema });
+    let definition      = this.generateFieldDefinition(Field.Model, Field, options);
+    let typeDefinition  = this.generateMissingFieldTypeDefinition(definition, schema);
+    let commands        = {};
+
+    if (typeDefinition)
+      commands['add-field-type'] = [ typeDefinition ];
+
+    commands['add-field'] = [ definition ];
+
+    return commands;
+  }
+
+  /// Generate the Schema API commands needed to alter
+  /// a field in a SOLR schema, so that it matches the
+  /// provided new field.
+  ///
+  /// The current definition of the field is read from the schema,
+  /// and compared (see <see>SOLRQueryGenerator.getEffectiveFieldDefinition</see>)
+  /// with the definition generated for the new field. If anything differs,
+  /// then the field is replaced with the `replace-field` command. Since SOLR
+  /// can't rename fields, a rename is done by adding the new field,
+  /// and deleting the old one.
+  ///
+  /// Changes to `type`, `indexed`, `stored`, `docValues`, or `multiValued`
+  /// (and renames) only apply to documents indexed after the change, so
+  /// these are reported as requiring a full reindex.
+  ///
+  /// Return: object
+  ///   `{ commands: object, changes: Array<{ attribute, from, to, reindexRequired }>, reindexRequired: boolean }`.
+  ///   `commands` is empty if nothing changed.
+  ///
+  /// Arguments:
+  ///   Field: <see>Field</see>
+  ///     The current field. The `Model` of the field is the model that owns it.
+  ///   NewField: <see>Field</see>
+  ///     The new field.
+  ///   schema: object
+  ///     The current SOLR schema of the collection.
+  ///   options?: object
+  ///     Options for the operation.
+  generateAlterColumnStatement(Field, NewField, schema, _options) {
+    let options       = this.stackAssign(_options || {}, { schema });
+    let Model         = Field.Model;
+    let fieldName     = this.getEscapedColumnName(Model, Field, { raw: true });
+    let currentField  = findSchemaField(schema, fieldName, false);
+
+    if (!currentField)
+      throw new Error(`${this.constructor.name}::generateAlterColumnStatement: Field "${fieldName}" does not exist in the SOLR schema.`);
+
+    let definition  = this.generateFieldDefinition(Model, NewField, options);
+    let changes     = this.compareFieldDefinitions(currentField, definition, schema);
+    let commands    = {};
+
+    if (changes.length > 0) {
+      let typeDefinition = this.generateMissingFieldTypeDefinition(definition, schema);
+      if (typeDefinition)
+        commands['add-field-type'] = [ typeDefinition ];
+
+      if (currentField.name !== definition.name) {
+        commands['add-field'] = [ definition ];
+        Object.assign(commands, this.generateDropColumnStatement(Field, schema, options));
+      } else {
+        commands['replace-field'] = [ definition ];
+      }
+    }
+
+    return {
+      commands,
+      changes,
+      reindexRequired: changes.some((change) => change.reindexRequired),
+    };
+  }
+
+  /// Generate the Schema API commands needed to
+  /// delete a model field from a SOLR schema.
+  ///
+  /// SOLR won't delete a field that is the source or destination
+  /// of a copy field, so any such copy fields are deleted first.
+  ///
+  /// Return: object
+  ///   The Schema API commands, i.e. `{ "delete-copy-field": [ ... ], "delete-field": [ ... ] }`.
+  ///
+  /// Arguments:
+  ///   Field: <see>Field</see>
+  ///     The field to delete. The `Model` of the field is the model that owns it.
+  ///   schema?: object
+  ///     The current SOLR schema of the collection.
+  ///   options?: object
+  ///     Options for the operation.
+  // eslint-disable-next-line no-unused-vars
+  generateDropColumnStatement(Field, schema, options) {
+    let fieldName   = this.getEscapedColumnName(Field.Model, Field, { raw: true });
+    let copyFields  = ((schema && schema.copyFields) || []).filter((copyField) => (copyField.source === fieldName || copyField.dest === fieldName));
+    let commands    = {};
+
+    if (copyFields.length > 0)
+      commands['delete-copy-field'] = copyFields.map(({ source, dest }) => ({ source, dest }));
+
+    commands['delete-field'] = [ { name: fieldName } ];
+
+    return commands;
+  }
+
+  /// Merge multiple sets of Schema API commands
+  /// into a single set of commands. Commands of the
+  /// same type are concatenated, in the order provided.
+  ///
+  /// Return: object
+  ///   The merged Schema API commands.
+  ///
+  /// Arguments:
+  ///   ...commandSets: Array<object>
+  ///     The Schema API commands to merge, i.e. `{ "add-field": [ ... ] }`.
+  mergeSchemaCommands(...commandSets) {
+    let commands = {};
+
+    for (let i = 0, il = commandSets.length; i < il; i++) {
+      let commandSet = commandSets[i];
+      if (!commandSet)
+        continue;
+
+      let commandNames = Object.keys(commandSet);
+      for (let j = 0, jl = commandNames.length; j < jl; j++) {
+        let commandName = commandNames[j];
+        commands[commandName] = (commands[commandName] || []).concat(commandSet[commandName]);
+      }
+    }
+
+    return commands;
+  }
+
+  /// Get the model fields for the provided index field names.
+  ///
+  /// Return: Array<<see>Field</see>>
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model that owns the fields.
+  ///   indexFields: Array<string>
+  ///     The field names of the index. These can be fully qualified,
+  ///     but must be owned by `Model`.
+  getIndexFields(Model, indexFields) {
+    let fieldNames = Nife.toArray(indexFields).filter(Boolean);
+    if (fieldNames.length === 0)
+      throw new Error(`${this.constructor.name}::getIndexFields: At least one field name is required.`);
+
+    return fieldNames.map((fieldName) => {
+      let field = Model.getField(fieldName);
+      if (!field)
+        throw new Error(`${this.constructor.name}::getIndexFields: Field "${fieldName}" not found on model "${Model.getModelName()}".`);
+
+      return field;
+    });
+  }
+
+  /// Get the name of the SOLR field used for a combined
+  /// (multi-field) index, i.e. `idx_users_firstName_lastName`.
+  ///
+  /// Return: string
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model that owns the fields.
+  ///   indexFields: Array<string>
+  ///     The field names of the index.
+  getIndexName(Model, indexFields) {
+    let columnNames = this.getIndexFields(Model, indexFields).map((field) => this.getEscapedColumnName(Model, field, { raw: true }));
+    return `idx_${Model.getTableName(this.connection)}_${columnNames.join('_')}`;
+  }
+
+  /// Generate the SOLR schema field definition for the
+  /// field of a combined (multi-field) index.
+  ///
+  /// Return: object
+  ///   The field definition, as used by the Schema API `add-field` command.
+  ///
+  /// Arguments:
+  ///   indexName: string
+  ///     The name of the index field (see <see>SOLRQueryGenerator.getIndexName</see>).
+  generateIndexFieldDefinition(indexName) {
+    return {
+      name:         indexName,
+      type:         'string',
+      indexed:      true,
+      stored:       false,
+      docValues:    true,
+      multiValued:  true,
+    };
+  }
+
+  /// Generate the Schema API commands needed to
+  /// create an index in a SOLR schema.
+  ///
+  /// SOLR has no standalone indexes, so index declarations are
+  /// translated into SOLR concepts:
+  ///   1. A single field index makes sure the field is `indexed`, and has
+  ///      `docValues` (if its field type supports them), so the field can be
+  ///      quickly searched, sorted, and faceted on.
+  ///   2. A combined (multi-field) index creates a multi-valued `string` field
+  ///      (named by <see>SOLRQueryGenerator.getIndexName</see>), with a copy field
+  ///      from each of the index fields, so all the fields can be searched at once.
+  ///
+  /// Return: object
+  ///   The Schema API commands. This is empty if the index already exists.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model that owns the fields.
+  ///   indexFields: Array<string>
+  ///     The field names of the index.
+  ///   schema: object
+  ///     The current SOLR schema of the collection.
+  ///   options?: object
+  ///     Options for the operation.
+  // eslint-disable-next-line no-unused-vars
+  generateCreateIndexStatement(Model, indexFields, schema, options) {
+    let fields = this.getIndexFields(Model, indexFields);
+
+    if (fields.length === 1) {
+      let fieldName     = this.getEscapedColumnName(Model, fields[0], { raw: true });
+      let currentField  = findSchemaField(schema, fieldName, false);
+      if (!currentField)
+        throw new Error(`${this.constructor.name}::generateCreateIndexStatement: Field "${fieldName}" does not exist in the SOLR schema.`);
+
+      let current         = this.getEffectiveFieldDefinition(currentField, schema);
+      let typeDefinition  = this.getFieldTypeDefinition(current.type, schema) || {};
+      let docValues       = (NO_DOC_VALUES_FIELD_CLASSES.indexOf(typeDefinition.class) < 0);
+
+      if (current.indexed && current.docValues === docValues)
+        return {};
+
+      return { 'replace-field': [ Object.assign({}, currentField, { indexed: true, docValues }) ] };
+    }
+
+    let indexName   = this.getIndexName(Model, indexFields);
+    let copyFields  = (schema && schema.copyFields) || [];
+    let commands    = {};
+
+    if (!findSchemaField(schema, indexName, false)) {
+      commands['add-field'] = [ this.generateIndexFieldDefinition(indexName) ];
+
+      let typeDefinition = this.generateMissingFieldTypeDefinition(commands['add-field'][0], schema);
+      if (typeDefinition)
+        commands = Object.assign({ 'add-field-type': [ typeDefinition ] }, commands);
+    }
+
+    let newCopyFields = fields
+      .map((field) => ({ source: this.getEscapedColumnName(Model, field, { raw: true }), dest: indexName }))
+      .filter(({ source, dest }) => !copyFields.some((copyField) => (copyField.source === source && copyField.dest === dest)));
+
+    if (newCopyFields.length > 0)
+      commands['add-copy-field'] = newCopyFields;
+
+    return commands;
+  }
+
+  /// Generate the Schema API commands needed to drop an index
+  /// from a SOLR schema. This is the inverse of <see>SOLRQueryGenerator.generateCreateIndexStatement</see>.
+  ///
+  /// For a single field index, the field is no longer `indexed`
+  /// (its `docValues` are kept, so it can still be searched, sorted,
+  /// and exported, just more slowly). For a combined index, the copy
+  /// fields and the combined field are deleted.
+  ///
+  /// Return: object
+  ///   The Schema API commands. This is empty if the index doesn't exist.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model that owns the fields.
+  ///   indexFields: Array<string>
+  ///     The field names of the index.
+  ///   schema: object
+  ///     The current SOLR schema of the collection.
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `routeField` | `string` | `undefined` | The field the collection is routed by (SolrCloud). The index of this field can not be dropped. |
+  ///
+  /// Note:
+  ///   SOLR must be able to look up documents by the unique key (and
+  ///   route them by the route field), so an exception is thrown if a
+  ///   single field index on the primary key, the unique key of the schema,
+  ///   or the route field is dropped.
+  generateDropIndexStatement(Model, indexFields, schema, _options) {
+    let options = _options || {};
+    let fields  = this.getIndexFields(Model, indexFields);
+
+    if (fields.length === 1) {
+      let fieldName     = this.getEscapedColumnName(Model, fields[0], { raw: true });
+      let currentField  = findSchemaField(schema, fieldName, false);
+
+      if (fields[0].primaryKey === true || (schema && schema.uniqueKey === fieldName))
+        throw new Error(`${this.constructor.name}::generateDropIndexStatement: Can not drop the index of field "${fieldName}", because it is the primary key of model "${Model.getModelName()}", or the unique key of the SOLR schema.`);
+
+      if (options.routeField && options.routeField === fieldName)
+        throw new Error(`${this.constructor.name}::generateDropIndexStatement: Can not drop the index of field "${fieldName}", because it is the route field of the collection.`);
+
+      if (!currentField || !this.getEffectiveFieldDefinition(currentField, schema).indexed)
+        return {};
+
+      return { 'replace-field': [ Object.assign({}, currentField, { indexed: false }) ] };
+    }
+
+    let indexName   = this.getIndexName(Model, indexFields);
+    let copyFields  = ((schema && schema.copyFields) || []).filter((copyField) => (copyField.dest === indexName));
+    let commands    = {};
+
+    if (copyFields.length > 0)
+      commands['delete-copy-field'] = copyFields.map(({ source, dest }) => ({ source, dest }));
+
+    if (findSchemaField(schema, indexName, false))
+      commands['delete-field'] = [ { name: indexName } ];
+
+    return commands;
+  }
+
+  /// Get every index declared on the fields of the provided
+  /// model (using the `index` property of each field). Combined
+  /// indexes that contain the same fields (i.e. `[ 'firstName', 'lastName' ]`
+  /// and `[ 'lastName', 'firstName' ]`) are only returned once.
+  ///
+  /// Return: Array<Array<string>>
+  ///   The field names of each index.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model to get the indexes of.
+  getModelIndexes(Model) {
+    let indexes   = [];
+    let seen      = {};
+
+    Model.iterateFields(({ field }) => {
+      if (field.type.isVirtual())
+        return;
+
+      let fieldIndexes = this.getIndexFieldsFromFieldIndex(field);
+      for (let i = 0, il = fieldIndexes.length; i < il; i++) {
+        let indexFields = fieldIndexes[i];
+        let key         = indexFields.slice().sort().join(',');
+
+        if (seen[key])
+          continue;
+
+        seen[key] = true;
+        indexes.push(indexFields);
+      }
+    });
+
+    return indexes;
+  }
+
+  /// Generate the Schema API commands needed to create every
+  /// index declared on the fields of the provided model.
+  /// See <see>SOLRQueryGenerator.getModelIndexes</see>.
+  ///
+  /// Return: object
+  ///   The Schema API commands.
+  ///
+  /// Arguments:
+  ///   Model: class <see>Model</see>
+  ///     The model to create the indexes of.
+  ///   schema: object
+  ///     The current SOLR schema of the collection.
+  ///   options?: object
+  ///     Options for the operation.
+  generateCreateIndexStatements(Model, schema, options) {
+    let indexes = this.getModelIndexes(Model);
+    return this.mergeSchemaCommands(...indexes.map((indexFields) => this.generateCreateIndexStatement(Model, indexFields, schema, options)));
+  }
+
+  /// Compare the fields of the provided models with a
+  /// live SOLR schema, and report any drift between them.
+  ///
+  /// All provided models must share the same collection. Internal
+  /// SOLR fields (i.e. `_version_`, `_root_`, `_text_`), the unique key,
+  /// and the type discriminator field are never reported as extra fields.
+  ///
+  /// Combined indexes (see <see>SOLRQueryGenerator.generateCreateIndexStatement</see>)
+  /// are compared as well. Their fields (i.e. `idx_users_firstName_lastName`)
+  /// and copy fields are reported separately from the model fields.
+  ///
+  /// Return: object
+  ///   | Property | Type | Description |
+  ///   | -------- | ---- | ----------- |
+  ///   | `attributeDifferences` | `Array<{ modelName, fieldName, name, attribute, from, to, reindexRequired }>` | Fields whose attributes (other than `type`) differ from the model. |
+  ///   | `commands` | `object` | The Schema API commands needed to reconcile the schema with the models. |
+  ///   | `extraCopyFields` | `Array<{ source, dest }>` | Copy fields to a combined index field that no model index defines. |
+  ///   | `extraFields` | `Array<{ name, type }>` | Fields in the schema that no model defines. |
+  ///   | `extraIndexFields` | `Array<{ name, type }>` | Combined index fields in the schema (named `idx_<table>_...`) that no model index defines. |
+  ///   | `missingCopyFields` | `Array<{ modelName, source, dest }>` | Copy fields of a combined index missing from the schema. |
+  ///   | `missingFields` | `Array<{ modelName, fieldName, name, definition, dynamicField }>` | Model fields missing from the schema. `dynamicField` is the name of the dynamic field that currently matches the field (if any). |
+  ///   | `missingIndexFields` | `Array<{ modelName, name, fields, definition }>` | Combined index fields missing from the schema. `fields` are the names of the fields the index combines. |
+  ///   | `reindexRequired` | `boolean` | `true` if applying `commands` requires the collection to be reindexed. |
+  ///   | `typeMismatches` | `Array<{ modelName, fieldName, name, from, to }>` | Fields whose SOLR field type differs from the model. |
+  ///   | `uniqueKeyMismatch` | `{ expected, actual } \| null` | Set if the primary key of a model doesn't match the unique key of the schema (this can't be fixed with the Schema API). |
+  ///
+  /// Arguments:
+  ///   Models: Array<class <see>Model</see>>
+  ///     The models that share the collection.
+  ///   schema: object
+  ///     The live SOLR schema of the collection (see <see>SOLRConnection.getSchema</see>).
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `dropExtraFields` | `boolean` | `false` | If `true`, then `commands` will also delete the extra fields, extra index fields, and extra copy fields (and any copy fields that use deleted fields). |
+  generateSchemaDiff(_Models, schema, _options) {
+    let options               = this.stackAssign(_options || {}, { schema });
+    let Models                = Nife.toArray(_Models).filter(Boolean);
+    let expectedFields        = [];
+    let knownFieldNames       = {};
+    let missingFields         = [];
+    let typeMismatches        = [];
+    let attributeDifferences  = [];
+    let extraFields           = [];
+    let expectedIndexes       = [];
+    let indexPrefixes         = [];
+    let missingIndexFields    = [];
+    let extraIndexFields      = [];
+    let missingCopyFields     = [];
+    let extraCopyFields       = [];
+    let uniqueKeyMismatch     = null;
+    let addCommands           = {};
+    let copyCommands          = {};
+    let replaceCommands       = {};
+    let dropCommands          = {};
+    let typeNames             = {};
+
+    for (let i = 0, il = Models.length; i < il; i++) {
+      let Model     = Models[i];
+      let modelName = Model.getModelName();
+
+      Model.iterateFields(({ field, fieldName }) => {
+        if (field.type.isVirtual())
+          return;
+
+        let definition = this.generateFieldDefinition(Model, field, options);
+        if (field.primaryKey === true && schema.uniqueKey && schema.uniqueKey !== definition.name)
+          uniqueKeyMismatch = { expected: definition.name, actual: schema.uniqueKey };
+
+        if (knownFieldNames[definition.name])
+          return;
+
+        knownFieldNames[definition.name] = true;
+        expectedFields.push({ modelName, fieldName, definition });
+      });
+
+      let indexes = this.getModelIndexes(Model).filter((indexFields) => (indexFields.length > 1));
+      for (let j = 0, jl = indexes.length; j < jl; j++) {
+        let name = this.getIndexName(Model, indexes[j]);
+        if (knownFieldNames[name])
+          continue;
+
+        knownFieldNames[name] = true;
+        expectedIndexes.push({
+          modelName,
+          name,
+          fields:   indexes[j],
+          sources:  this.getIndexFields(Model, indexes[j]).map((field) => this.getEscapedColumnName(Model, field, { raw: true })),
+        });
+      }
+
+      indexPrefixes.push(`idx_${Model.getTableName(this.connection)}_`);
+
+      let discriminator = this.connection.getModelTypeDiscriminator(Model);
+      if (discriminator)
+        knownFieldNames[discriminator.fieldName] = true;
+    }
+
+    const isIndexFieldName = (name) => indexPrefixes.some((prefix) => (('' + name).indexOf(prefix) === 0));
+
+    const addMissingFieldType = (definition, commands) => {
+      if (typeNames[definition.type])
+        return;
+
+      typeNames[definition.type] = true;
+
+      let typeDefinition = this.generateMissingFieldTypeDefinition(definition, schema);
+      if (typeDefinition)
+        commands['add-field-type'] = (commands['add-field-type'] || []).concat(typeDefinition);
+    };
+
+    for (let i = 0, il = expectedFields.length; i < il; i++) {
+      let { modelName, fieldName, definition } = expectedFields[i];
+      let name          = definition.name;
+      let currentField  = findSchemaField(schema, name, false);
+
+      if (!currentField) {
+        let dynamicField = findSchemaField(schema, name);
+
+        missingFields.push({ modelName, fieldName, name, definition, dynamicField: (dynamicField) ? dynamicField.name : null });
+        addMissingFieldType(definition, addCommands);
+        addCommands['add-field'] = (addCommands['add-field'] || []).concat(definition);
+
+        continue;
+      }
+
+      let changes = this.compareFieldDefinitions(currentField, definition, schema);
+      if (changes.length === 0)
+        continue;
+
+      for (let j = 0, jl = changes.length; j < jl; j++) {
+        let change = changes[j];
+
+        if (change.attribute === 'type')
+          typeMismatches.push({ modelName, fieldName, name, from: change.from, to: change.to });
+        else
+          attributeDifferences.push(Object.assign({ modelName, fieldName, name }, change));
+      }
+
+      addMissingFieldType(definition, addCommands);
+      replaceCommands['replace-field'] = (replaceCommands['replace-field'] || []).concat(definition);
+    }
+
+    // Combined indexes, and the copy fields
+    // that fill them, after the fields exist
+    let schemaCopyFields    = (schema && schema.copyFields) || [];
+    let expectedCopyFields  = [];
+
+    for (let i = 0, il = expectedIndexes.length; i < il; i++) {
+      let { modelName, name, fields, sources } = expectedIndexes[i];
+
+      if (!findSchemaField(schema, name, false)) {
+        let definition = this.generateIndexFieldDefinition(name);
+
+        missingIndexFields.push({ modelName, name, fields, definition });
+        addMissingFieldType(definition, addCommands);
+        addCommands['add-field'] = (addCommands['add-field'] || []).concat(definition);
+      }
+
+      for (let j = 0, jl = sources.length; j < jl; j++) {
+        let source = sources[j];
+
+        expectedCopyFields.push({ source, dest: name });
+        if (schemaCopyFields.some((copyField) => (copyField.source === source && copyField.dest === name)))
+          continue;
+
+        missingCopyFields.push({ modelName, source, dest: name });
+        copyCommands['add-copy-field'] = (copyCommands['add-copy-field'] || []).concat({ source, dest: name });
+      }
+    }
+
+    let schemaFields = (schema && schema.fields) || [];
+    for (let i = 0, il = schemaFields.length; i < il; i++) {
+      let { name, type } = schemaFields[i];
+      if (knownFieldNames[name] || name === schema.uniqueKey || (/^_.*_$/).test(name))
+        continue;
+
+      if (isIndexFieldName(name))
+        extraIndexFields.push({ name, type });
+      else
+        extraFields.push({ name, type });
+    }
+
+    for (let i = 0, il = schemaCopyFields.length; i < il; i++) {
+      let { source, dest } = schemaCopyFields[i];
+      if (!isIndexFieldName(dest))
+        continue;
+
+      if (expectedCopyFields.some((copyField) => (copyField.source === source && copyField.dest === dest)))
+        continue;
+
+      extraCopyFields.push({ source, dest });
+    }
+
+    if (options.dropExtraFields === true) {
+      let extraFieldNames = extraFields.concat(extraIndexFields).map(({ name }) => name);
+      let copyFields      = schemaCopyFields.filter(({ source, dest }) => {
+        if (extraFieldNames.indexOf(source) >= 0 || extraFieldNames.indexOf(dest) >= 0)
+          return true;
+
+        return extraCopyFields.some((copyField) => (copyField.source === source && copyField.dest === dest));
+      });
+
+      if (copyFields.length > 0)
+        dropCommands['delete-copy-field'] = copyFields.map(({ source, dest }) => ({ source, dest }));
+
+      if (extraFieldNames.length > 0)
+        dropCommands['delete-field'] = extraFieldNames.map((name) => ({ name }));
+    }
+
+    return {
+      missingFields,
+      extraFields,
+      typeMismatches,
+      attributeDifferences,
+      missingIndexFields,
+      extraIndexFields,
+      missingCopyFields,
+      extraCopyFields,
+      uniqueKeyMismatch,
+      reindexRequired:  (typeMismatches.length > 0 || attributeDifferences.some((difference) => difference.reindexRequired)),
+      commands:         this.mergeSchemaCommands(addCommands, copyCommands, replaceCommands, dropCommands),
+    };
+  }
 
+  /// Convert the provided query into a JSON string,
+  /// representing the JSON Request API body that will be
+  /// sent to SOLR.
+  ///
+  /// Return: string
+  ///
+  /// Arguments:
+  ///   queryEngine: <see>QueryEngine</see>
+  ///     The query to convert.
+  ///   options?: object
+  ///     Options for the operation.
+  toConnectionString(queryEngine, options) {
+    return JSON.stringify(this.generateSelectStatement(queryEngine, options));
+  }
 }
 
 module.exports = SOLRQueryGenerator;
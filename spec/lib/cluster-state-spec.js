@@ -0,0 +1,340 @@
+'use strict';
+
+/* global describe, it, expect, expectAsync, beforeAll, afterAll, beforeEach, jasmine, spyOn */
+
+const { ClusterState } = require('../../lib/cluster-state');
+
+const {
+  createConnection,
+  createRunners,
+} = require('../support/test-helpers');
+
+const { createMockSOLRServer } = require('../support/mock-solr-server');
+
+// A CLUSTERSTATUS response for a "users" collection with
+// two shards. The ids "...000" and "...002" hash into
+// "shard1", and "...001" and "...003" hash into "shard2".
+function createClusterStatus(baseURL, _collection) {
+  let collection = Object.assign({
+    router: { name: 'compositeId' },
+    shards: {
+      shard1: {
+        range:    '80000000-ffffffff',
+        state:    'active',
+        replicas: {
+          core_node1: { core: 'users_shard1_replica_n1', base_url: baseURL, node_name: 'node1', state: 'active', leader: 'true' },
+          core_node2: { core: 'users_shard1_replica_n2', base_url: baseURL, node_name: 'node2', state: 'active' },
+          core_node3: { core: 'users_shard1_replica_n3', base_url: baseURL, node_name: 'node3', state: 'active' },
+        },
+      },
+      shard2: {
+        range:    '0-7fffffff',
+        state:    'active',
+        replicas: {
+          core_node4: { core: 'users_shard2_replica_n4', base_url: baseURL, node_name: 'node1', state: 'down' },
+          core_node5: { core: 'users_shard2_replica_n5', base_url: baseURL, node_name: 'node2', state: 'active', leader: true },
+        },
+      },
+      shard3: {
+        range:    '0-7fffffff',
+        state:    'inactive',
+        replicas: {
+          core_node6: { core: 'users_shard3_replica_n6', base_url: baseURL, node_name: 'node1', state: 'active', leader: 'true' },
+        },
+      },
+    },
+  }, _collection || {});
+
+  return {
+    responseHeader: { status: 0 },
+    cluster:        {
+      collections:  { users: collection },
+      aliases:      { people: 'users' },
+      live_nodes:   [ 'node1', 'node2' ],
+    },
+  };
+}
+
+describe('ClusterState', () => {
+  const BASE_URL = 'http://127.0.0.1:8983/solr';
+
+  const createClusterState = (options) => {
+    return new ClusterState(Object.assign({
+      fetchClusterStatus: jasmine.createSpy('fetchClusterStatus').and.callFake(async () => createClusterStatus(BASE_URL)),
+    }, options || {}));
+  };
+
+  describe('parseClusterStatus', () => {
+    it('will require a "fetchClusterStatus" method', () => {
+      expect(() => new ClusterState()).toThrowError('ClusterState::constructor: A "fetchClusterStatus" method is required.');
+    });
+
+    it('can parse shard ranges', () => {
+      let clusterState = createClusterState();
+
+      expect(clusterState.parseRange('80000000-ffffffff')).toEqual([ -2147483648, -1 ]);
+      expect(clusterState.parseRange('0-7fffffff')).toEqual([ 0, 2147483647 ]);
+      expect(clusterState.parseRange('')).toBe(null);
+      expect(clusterState.parseRange('0')).toBe(null);
+    });
+
+    it('can parse the cluster status of a collection', () => {
+      let clusterState  = createClusterState();
+      let state         = clusterState.parseClusterStatus('users', createClusterStatus(`${BASE_URL}/`));
+
+      expect(state.name).toEqual('users');
+      expect(state.router).toEqual('compositeId');
+      expect(state.routeField).toBe(undefined);
+
+      // Inactive shards are skipped
+      expect(state.shards.map((shard) => shard.name)).toEqual([ 'shard1', 'shard2' ]);
+      expect(state.shards[0].range).toEqual([ -2147483648, -1 ]);
+      expect(state.shards[0].leader).toEqual({
+        name:     'core_node1',
+        baseURL:  BASE_URL,
+        coreURL:  `${BASE_URL}/users_shard1_replica_n1`,
+        leader:   true,
+        state:    'active',
+      });
+
+      // Replicas that are down, or not on a live node, are skipped
+      expect(state.shards[0].replicas.map((replica) => replica.name)).toEqual([ 'core_node1', 'core_node2' ]);
+      expect(state.shards[1].replicas.map((replica) => replica.name)).toEqual([ 'core_node5' ]);
+      expect(state.shards[1].leader.coreURL).toEqual(`${BASE_URL}/users_shard2_replica_n5`);
+    });
+
+    it('can parse the route field and router of a collection', () => {
+      let clusterState  = createClusterState();
+      let state         = clusterState.parseClusterStatus('users', createClusterStatus(BASE_URL, { router: { name: 'implicit', field: 'tenant' } }));
+
+      expect(state.router).toEqual('implicit');
+      expect(state.routeField).toEqual('tenant');
+    });
+
+    it('will resolve aliases', () => {
+      let clusterState  = createClusterState();
+      let state         = clusterState.parseClusterStatus('people', createClusterStatus(BASE_URL));
+
+      expect(state.name).toEqual('people');
+      expect(state.shards.length).toEqual(2);
+    });
+
+    it('will throw an error for unknown collections', () => {
+      let clusterState = createClusterState();
+
+      expect(() => clusterState.parseClusterStatus('roles', createClusterStatus(BASE_URL))).toThrowError('ClusterState::parseClusterStatus: Collection "roles" not found in cluster status.');
+    });
+  });
+
+  describe('getCollectionState', () => {
+    it('will cache the collection state', async () => {
+      let clusterState  = createClusterState();
+      let state1        = await clusterState.getCollectionState('users');
+      let state2        = await clusterState.getCollectionState('users');
+
+      expect(state2).toBe(state1);
+      expect(clusterState.getOptions().fetchClusterStatus).toHaveBeenCalledOnceWith('users');
+    });
+
+    it('will share concurrent fetches', async () => {
+      let clusterState  = createClusterState();
+      let states        = await Promise.all([
+        clusterState.getCollectionState('users'),
+        clusterState.getCollectionState('users'),
+      ]);
+
+      expect(states[1]).toBe(states[0]);
+      expect(clusterState.getOptions().fetchClusterStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('will fetch the collection state again once the TTL expires', async () => {
+      jasmine.clock().install();
+      jasmine.clock().mockDate(new Date(2020, 0, 1));
+
+      try {
+        let clusterState = createClusterState({ ttl: 1000 });
+
+        await clusterState.getCollectionState('users');
+        jasmine.clock().tick(999);
+        await clusterState.getCollectionState('users');
+        expect(clusterState.getOptions().fetchClusterStatus).toHaveBeenCalledTimes(1);
+
+        jasmine.clock().tick(2);
+        await clusterState.getCollectionState('users');
+        expect(clusterState.getOptions().fetchClusterStatus).toHaveBeenCalledTimes(2);
+      } finally {
+        jasmine.clock().uninstall();
+      }
+    });
+
+    it('will fetch the collection state again once invalidated', async () => {
+      let clusterState = createClusterState();
+
+      await clusterState.getCollectionState('users');
+      clusterState.invalidate('users');
+      await clusterState.getCollectionState('users');
+      clusterState.invalidate();
+      await clusterState.getCollectionState('users');
+
+      expect(clusterState.getOptions().fetchClusterStatus).toHaveBeenCalledTimes(3);
+    });
+
+    it('will not cache failed fetches', async () => {
+      let fetchClusterStatus  = jasmine.createSpy('fetchClusterStatus').and.returnValues(Promise.reject(new Error('Offline')), Promise.resolve(createClusterStatus(BASE_URL)));
+      let clusterState        = createClusterState({ fetchClusterStatus });
+
+      await expectAsync(clusterState.getCollectionState('users')).toBeRejectedWithError('Offline');
+      await expectAsync(clusterState.getCollectionState('users')).toBeResolved();
+    });
+  });
+
+  describe('routing', () => {
+    it('can find the shard that owns a document id', async () => {
+      let clusterState  = createClusterState();
+      let state         = await clusterState.getCollectionState('users');
+
+      expect(clusterState.getShardForID(state, '00000000-0000-4000-8000-000000000000').name).toEqual('shard1');
+      expect(clusterState.getShardForID(state, '00000000-0000-4000-8000-000000000001').name).toEqual('shard2');
+      expect(clusterState.getShardForID(state, null)).toBe(undefined);
+      expect(clusterState.getShardForID(Object.assign({}, state, { router: 'implicit' }), '00000000-0000-4000-8000-000000000000')).toBe(undefined);
+    });
+
+    it('can pick an active replica to read from', async () => {
+      let clusterState  = createClusterState();
+      let state         = await clusterState.getCollectionState('users');
+
+      for (let i = 0; i < 10; i++)
+        expect([ 'core_node1', 'core_node2', 'core_node5' ]).toContain(clusterState.pickReadReplica(state).name);
+
+      expect(clusterState.pickReadReplica(Object.assign({}, state, { shards: [] }))).toBe(undefined);
+    });
+  });
+});
+
+describe('SOLRConnection cloud routing', () => {
+  let connection;
+  let server;
+  let handler;
+  let clusterStatus;
+  let User;
+
+  // eslint-disable-next-line no-unused-vars
+  const { it, fit } = createRunners(() => connection);
+
+  beforeAll(async () => {
+    server = await createMockSOLRServer((request, response) => {
+      if (request.pathname === '/solr/admin/collections')
+        return clusterStatus;
+
+      return handler(request, response);
+    });
+
+    let setup = createConnection({ url: server.url, cloud: true });
+
+    connection  = setup.connection;
+    User        = setup.User;
+
+    await connection.start();
+  });
+
+  afterAll(async () => {
+    await connection.stop();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    handler = () => ({ responseHeader: { status: 0 } });
+    clusterStatus = createClusterStatus(server.url);
+    connection.getClusterState().invalidate();
+  });
+
+  const getUpdateRequests = () => server.requests.filter((request) => (/\/update$/).test(request.pathname));
+
+  it('will fetch the cluster status of the collection', async () => {
+    await connection.getCollectionState(User);
+
+    expect(server.requests.length).toEqual(1);
+    expect(server.requests[0].params).toEqual({ action: 'CLUSTERSTATUS', collection: 'users', wt: 'json' });
+  });
+
+  it('will send updates to the leader of the shard that owns each document', async () => {
+    await connection.insert(User, [
+      { id: '00000000-0000-4000-8000-000000000000', firstName: 'Bob' },
+      { id: '00000000-0000-4000-8000-000000000001', firstName: 'Mary' },
+      { id: '00000000-0000-4000-8000-000000000002', firstName: 'Jane' },
+    ]);
+
+    let requests = getUpdateRequests().sort((a, b) => a.pathname.localeCompare(b.pathname));
+
+    expect(requests.length).toEqual(2);
+    expect(requests[0].pathname).toEqual('/solr/users_shard1_replica_n1/update');
+    expect(requests[0].body.map((document) => document.firstName)).toEqual([ 'Bob', 'Jane' ]);
+    expect(requests[1].pathname).toEqual('/solr/users_shard2_replica_n5/update');
+    expect(requests[1].body.map((document) => document.firstName)).toEqual([ 'Mary' ]);
+  });
+
+  it('will send deletes by id to the leader of each shard', async () => {
+    await connection.destroyModels(User, [
+      new User({ id: '00000000-0000-4000-8000-000000000001' }),
+      new User({ id: '00000000-0000-4000-8000-000000000003' }),
+    ]);
+
+    let requests = getUpdateRequests();
+
+    expect(requests.length).toEqual(1);
+    expect(requests[0].pathname).toEqual('/solr/users_shard2_replica_n5/update');
+    expect(requests[0].body).toEqual({ delete: [ '00000000-0000-4000-8000-000000000001', '00000000-0000-4000-8000-000000000003' ] });
+  });
+
+  it('will not route deletes by id when the collection has a route field', async () => {
+    clusterStatus = createClusterStatus(server.url, { router: { name: 'compositeId', field: 'tenant' } });
+
+    await connection.destroyModels(User, [ new User({ id: '00000000-0000-4000-8000-000000000001' }) ]);
+
+    expect(getUpdateRequests()[0].pathname).toEqual('/solr/users/update');
+  });
+
+  it('will refresh the cluster status and fall back to the configured node if a leader is stale', async () => {
+    handler = ({ pathname }, response) => {
+      if (pathname === '/solr/users/update')
+        return { responseHeader: { status: 0 } };
+
+      response.statusCode = 400;
+      return { error: { code: 400, msg: 'Request says it is coming from leader, but we are not the leader' } };
+    };
+
+    await connection.insert(User, [ { id: '00000000-0000-4000-8000-000000000000', firstName: 'Bob' } ]);
+
+    let requests = getUpdateRequests();
+    expect(requests.map((request) => request.pathname)).toEqual([
+      '/solr/users_shard1_replica_n1/update',
+      '/solr/users/update',
+    ]);
+
+    await connection.getCollectionState(User);
+    expect(server.requests.filter((request) => request.pathname === '/solr/admin/collections').length).toEqual(2);
+  });
+
+  it('will send reads to an active replica', async () => {
+    handler = () => ({ responseHeader: { status: 0 }, response: { numFound: 0, start: 0, docs: [] } });
+
+    spyOn(connection.getClusterState(), 'pickReadReplica').and.callThrough();
+
+    await User.where.firstName.EQ('Bob').all();
+
+    expect(connection.getClusterState().pickReadReplica).toHaveBeenCalledTimes(1);
+    expect(server.requests.map((request) => request.pathname)).toEqual([
+      '/solr/admin/collections',
+      '/solr/users/select',
+    ]);
+  });
+
+  it('will fall back to the configured node if the cluster status is unavailable', async () => {
+    clusterStatus = { responseHeader: { status: 0 }, cluster: { collections: {} } };
+
+    await connection.insert(User, [ { id: '00000000-0000-4000-8000-000000000000', firstName: 'Bob' } ]);
+
+    expect(getUpdateRequests()[0].pathname).toEqual('/solr/users/update');
+  });
+});
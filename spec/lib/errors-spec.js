@@ -0,0 +1,175 @@
+'use strict';
+
+/* global describe, it, expect, beforeAll, afterAll */
+
+const { Errors: ORMErrors } = require('mythix-orm');
+const { Errors }            = require('../../lib');
+
+const {
+  createConnection,
+  createRunners,
+} = require('../support/test-helpers');
+
+const { createMockSOLRServer } = require('../support/mock-solr-server');
+
+const {
+  createSOLRError,
+  SOLRAuthError,
+  SOLRError,
+  SOLRNotFoundError,
+  SOLRQueryParseError,
+  SOLRSchemaError,
+  SOLRServerError,
+  SOLRVersionConflictError,
+} = Errors;
+
+describe('Errors', () => {
+  const createError = (statusCode, error) => {
+    return createSOLRError('Request failed', { statusCode, response: (error) ? { error } : undefined });
+  };
+
+  describe('createSOLRError', () => {
+    it('will map status codes to error classes', () => {
+      expect(createError(409)).toBeInstanceOf(SOLRVersionConflictError);
+      expect(createError(401)).toBeInstanceOf(SOLRAuthError);
+      expect(createError(403)).toBeInstanceOf(SOLRAuthError);
+      expect(createError(404)).toBeInstanceOf(SOLRNotFoundError);
+      expect(createError(500)).toBeInstanceOf(SOLRServerError);
+      expect(createError(503)).toBeInstanceOf(SOLRServerError);
+    });
+
+    it('will prefer the status code over the reported error', () => {
+      expect(createError(404, { msg: 'undefined field foo' })).toBeInstanceOf(SOLRNotFoundError);
+      expect(createError(500, { msg: 'org.apache.solr.search.SyntaxError: Cannot parse' })).toBeInstanceOf(SOLRServerError);
+    });
+
+    it('will detect query parse errors from the error class metadata', () => {
+      expect(createError(400, {
+        msg:      'Something went wrong',
+        metadata: [ 'error-class', 'org.apache.solr.common.SolrException', 'root-error-class', 'org.apache.solr.search.SyntaxError' ],
+      })).toBeInstanceOf(SOLRQueryParseError);
+
+      expect(createError(400, {
+        msg:      'Something went wrong',
+        metadata: { 'error-class': 'org.apache.solr.parser.ParseException' },
+      })).toBeInstanceOf(SOLRQueryParseError);
+    });
+
+    it('will detect query parse errors from the error message', () => {
+      expect(createError(400, { msg: 'org.apache.solr.search.SyntaxError: Cannot parse \'firstName:(\'' })).toBeInstanceOf(SOLRQueryParseError);
+      expect(createError(400, { msg: 'Invalid Date String:\'tomorrow\'' })).toBeInstanceOf(SOLRQueryParseError);
+      expect(createError(400, { msg: 'Unknown aggregation: foo' })).toBeInstanceOf(SOLRQueryParseError);
+    });
+
+    it('will detect schema errors from the error message', () => {
+      expect(createError(400, { msg: 'undefined field foo' })).toBeInstanceOf(SOLRSchemaError);
+      expect(createError(400, { msg: 'ERROR: [doc=1] unknown field \'foo\'' })).toBeInstanceOf(SOLRSchemaError);
+      expect(createError(400, { msg: 'ERROR: [doc=1] multiple values encountered for non multiValued field tags' })).toBeInstanceOf(SOLRSchemaError);
+      expect(createError(400, { msg: 'can not sort on multivalued field: tags' })).toBeInstanceOf(SOLRSchemaError);
+    });
+
+    it('will fall back to a generic SOLR error', () => {
+      let error = createError(400, { msg: 'Bad request' });
+
+      expect(error.constructor).toBe(SOLRError);
+      expect(createError(429).constructor).toBe(SOLRError);
+    });
+
+    it('will create errors that extend the ORM errors', () => {
+      let error = createError(409);
+
+      expect(error).toBeInstanceOf(SOLRError);
+      expect(error).toBeInstanceOf(ORMErrors.MythixORMDatabaseBaseError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toEqual('SOLRVersionConflictError');
+    });
+  });
+
+  describe('SOLRError', () => {
+    it('will copy the details of the error response', () => {
+      let response  = { error: { code: 400, msg: 'undefined field foo', metadata: [ 'error-class', 'org.apache.solr.common.SolrException' ] } };
+      let error     = createSOLRError('Request failed', { statusCode: 400, response, url: '/users/select', method: 'POST', query: 'foo:bar' });
+
+      expect(error.message).toEqual('Request failed');
+      expect(error.name).toEqual('SOLRSchemaError');
+      expect(error.statusCode).toEqual(400);
+      expect(error.solrMessage).toEqual('undefined field foo');
+      expect(error.code).toEqual(400);
+      expect(error.metadata).toEqual({ 'error-class': 'org.apache.solr.common.SolrException' });
+      expect(error.url).toEqual('/users/select');
+      expect(error.method).toEqual('POST');
+      expect(error.query).toEqual('foo:bar');
+      expect(error.response).toBe(response);
+    });
+
+    it('can parse error metadata', () => {
+      expect(SOLRError.parseMetadata()).toEqual({});
+      expect(SOLRError.parseMetadata([ 'a', '1', 'b', '2' ])).toEqual({ a: '1', b: '2' });
+      expect(SOLRError.parseMetadata({ a: '1' })).toEqual({ a: '1' });
+    });
+
+    it('will default the status code of version conflicts', () => {
+      expect(new SOLRVersionConflictError('Conflict').statusCode).toEqual(409);
+    });
+  });
+});
+
+describe('SOLRConnection errors', () => {
+  let connection;
+  let server;
+  let statusCode;
+  let solrError;
+  let User;
+
+  // eslint-disable-next-line no-unused-vars
+  const { it, fit } = createRunners(() => connection);
+
+  beforeAll(async () => {
+    server = await createMockSOLRServer((request, response) => {
+      response.statusCode = statusCode;
+      return { responseHeader: { status: statusCode }, error: solrError };
+    });
+
+    let setup = createConnection({ url: server.url, retry: { maxAttempts: 1 } });
+
+    connection  = setup.connection;
+    User        = setup.User;
+
+    await connection.start();
+  });
+
+  afterAll(async () => {
+    await connection.stop();
+    await server.close();
+  });
+
+  const failSelect = async (_statusCode, _solrError) => {
+    statusCode = _statusCode;
+    solrError = _solrError;
+
+    return await User.where.firstName.EQ('Bob').all().catch((error) => error);
+  };
+
+  it('will throw typed errors for failed requests', async () => {
+    let error = await failSelect(400, { code: 400, msg: 'undefined field firstName' });
+
+    expect(error).toBeInstanceOf(SOLRSchemaError);
+    expect(error.message).toEqual('SOLRConnection::makeRequest: undefined field firstName');
+    expect(error.statusCode).toEqual(400);
+    expect(error.method).toEqual('POST');
+    expect(error.url).toContain('/solr/users/select');
+    expect(error.query).toBeDefined();
+
+    expect(await failSelect(401, { code: 401, msg: 'Unauthorized' })).toBeInstanceOf(SOLRAuthError);
+    expect(await failSelect(404, { code: 404, msg: 'Not Found' })).toBeInstanceOf(SOLRNotFoundError);
+    expect(await failSelect(500, { code: 500, msg: 'Server Error' })).toBeInstanceOf(SOLRServerError);
+    expect(await failSelect(400, { code: 400, msg: 'org.apache.solr.search.SyntaxError: Cannot parse' })).toBeInstanceOf(SOLRQueryParseError);
+  });
+
+  it('will use a default message if SOLR does not report one', async () => {
+    let error = await failSelect(418);
+
+    expect(error.constructor).toBe(SOLRError);
+    expect(error.message).toEqual('SOLRConnection::makeRequest: Request failed with status code 418');
+  });
+});
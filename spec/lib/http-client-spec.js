@@ -0,0 +1,559 @@
+'use strict';
+
+/* global describe, it, expect, expectAsync, beforeAll, afterAll, beforeEach, afterEach, pending, jasmine */
+
+const HTTPS                     = require('node:https');
+const ZLib                      = require('node:zlib');
+const { HTTPClient }            = require('../../lib/http-client');
+const { LoadBalancer }          = require('../../lib/load-balancer');
+const { createMockSOLRServer }  = require('../support/mock-solr-server');
+const { createTLSFixtures }     = require('../support/tls-fixtures');
+const {
+  BasicAuthProvider,
+  BearerAuthProvider,
+  CustomAuthProvider,
+} = require('../../lib/auth-providers');
+
+describe('HTTPClient', () => {
+  let server;
+  let handler;
+  let client;
+
+  beforeAll(async () => {
+    server = await createMockSOLRServer((request, response) => handler(request, response));
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    handler = () => ({});
+  });
+
+  afterEach(() => {
+    if (client)
+      client.destroy();
+
+    client = null;
+  });
+
+  const createClient = (options) => {
+    client = new HTTPClient(Object.assign({ retry: { maxAttempts: 1 } }, options || {}));
+    client.setDefaultURL(server.url);
+
+    return client;
+  };
+
+  describe('auth', () => {
+    it('can send basic auth credentials', async () => {
+      createClient({ authProvider: new BasicAuthProvider({ username: 'solr', password: 'SolrRocks' }) });
+
+      await client.getRequest('/admin/info/system');
+      expect(server.requests[0].headers['authorization']).toEqual(`Basic ${Buffer.from('solr:SolrRocks').toString('base64')}`);
+    });
+
+    it('can send a bearer token', async () => {
+      createClient({ authProvider: new BearerAuthProvider({ token: 'abc.def.ghi' }) });
+
+      await client.getRequest('/admin/info/system');
+      expect(server.requests[0].headers['authorization']).toEqual('Bearer abc.def.ghi');
+    });
+
+    it('can skip auth for a single request', async () => {
+      createClient({ authProvider: new BearerAuthProvider({ token: 'abc.def.ghi' }) });
+
+      await client.getRequest('/admin/info/system', { auth: false });
+      expect(server.requests[0].headers['authorization']).toBe(undefined);
+    });
+
+    it('will refresh credentials once on a 401 response', async () => {
+      let tokens = [ 'expired', 'fresh' ];
+      let calls  = 0;
+
+      handler = ({ headers }, response) => {
+        if (headers['authorization'] !== 'Bearer fresh')
+          response.statusCode = 401;
+
+        return {};
+      };
+
+      createClient({
+        authProvider: new CustomAuthProvider({
+          getCredentials: async () => ({ token: tokens[calls++] }),
+        }),
+      });
+
+      let response = await client.getRequest('/admin/info/system');
+
+      expect(response.statusCode).toEqual(200);
+      expect(calls).toEqual(2);
+      expect(server.requests.map(({ headers }) => headers['authorization'])).toEqual([ 'Bearer expired', 'Bearer fresh' ]);
+    });
+
+    it('will not retry a 401 response more than once', async () => {
+      let calls = 0;
+
+      handler = (request, response) => {
+        response.statusCode = 401;
+        return {};
+      };
+
+      createClient({
+        authProvider: new CustomAuthProvider({
+          getCredentials: async () => ({ token: `token${calls++}` }),
+        }),
+      });
+
+      let response = await client.getRequest('/admin/info/system');
+
+      expect(response.statusCode).toEqual(401);
+      expect(server.requests.length).toEqual(2);
+    });
+  });
+
+  describe('TLS', () => {
+    let fixtures;
+    let tlsServer;
+
+    beforeAll(() => {
+      fixtures = createTLSFixtures();
+    });
+
+    afterEach(async () => {
+      if (tlsServer)
+        await tlsServer.close();
+
+      tlsServer = null;
+    });
+
+    const createTLSServer = async (options) => {
+      tlsServer = await createMockSOLRServer((request, response) => {
+        let certificate = response.socket.getPeerCertificate();
+        return { commonName: (certificate && certificate.subject) ? certificate.subject.CN : null };
+      }, {
+        createServer: (onRequest) => HTTPS.createServer(Object.assign({ key: fixtures.serverKey, cert: fixtures.serverCert }, options || {}), onRequest),
+      });
+
+      return tlsServer;
+    };
+
+    it('can connect to a server with a custom certificate authority', async () => {
+      if (!fixtures)
+        pending('"openssl" is not available');
+
+      await createTLSServer();
+      createClient({ tls: { ca: fixtures.ca } });
+
+      let response = await client.getRequest(`${tlsServer.url}/admin/info/system`);
+
+      expect(tlsServer.url).toMatch(/^https:/);
+      expect(response.statusCode).toEqual(200);
+      expect(response.body).toEqual({ commonName: null });
+    });
+
+    it('will reject untrusted certificates', async () => {
+      if (!fixtures)
+        pending('"openssl" is not available');
+
+      await createTLSServer();
+      createClient();
+
+      await expectAsync(client.getRequest(`${tlsServer.url}/admin/info/system`)).toBeRejected();
+      expect(tlsServer.requests.length).toEqual(0);
+    });
+
+    it('can send a client certificate for mutual TLS', async () => {
+      if (!fixtures)
+        pending('"openssl" is not available');
+
+      await createTLSServer({ ca: fixtures.ca, requestCert: true, rejectUnauthorized: true });
+      createClient({ tls: { ca: fixtures.ca, cert: fixtures.clientCert, key: fixtures.clientKey, ciphers: undefined, unknownOption: true } });
+
+      expect(Object.keys(client.getTLSOptions()).sort()).toEqual([ 'ca', 'cert', 'key' ]);
+
+      let response = await client.getRequest(`${tlsServer.url}/admin/info/system`);
+      expect(response.body).toEqual({ commonName: 'mythix-client' });
+    });
+
+    it('will fail mutual TLS without a client certificate', async () => {
+      if (!fixtures)
+        pending('"openssl" is not available');
+
+      await createTLSServer({ ca: fixtures.ca, requestCert: true, rejectUnauthorized: true });
+      createClient({ tls: { ca: fixtures.ca } });
+
+      await expectAsync(client.getRequest(`${tlsServer.url}/admin/info/system`)).toBeRejected();
+      expect(tlsServer.requests.length).toEqual(0);
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    const respondAfter = (delay) => {
+      return () => new Promise((resolve) => setTimeout(() => resolve({}), delay));
+    };
+
+    it('will time out slow requests', async () => {
+      handler = respondAfter(500);
+      createClient({ timeout: 50 });
+
+      let error = await client.getRequest('/admin/info/system').catch((error) => error);
+
+      expect(error.code).toEqual('ETIMEDOUT');
+      expect(error.message).toMatch(/^Request timed out after 50ms: GET http:\/\/127\.0\.0\.1:\d+\/solr\/admin\/info\/system$/);
+    });
+
+    it('can override the timeout per request', async () => {
+      handler = respondAfter(100);
+      createClient({ timeout: 20 });
+
+      let response = await client.getRequest('/admin/info/system', { timeout: 0 });
+      expect(response.statusCode).toEqual(200);
+    });
+
+    it('can cancel a request with an AbortSignal', async () => {
+      handler = respondAfter(500);
+      createClient();
+
+      let controller  = new AbortController();
+      let promise     = client.getRequest('/admin/info/system', { signal: controller.signal });
+
+      setTimeout(() => controller.abort(), 20);
+
+      let error = await promise.catch((error) => error);
+      expect(error.code).toEqual('ABORT_ERR');
+    });
+
+    it('will not send a request if the signal is already aborted', async () => {
+      createClient();
+
+      let controller = new AbortController();
+      controller.abort();
+
+      let error = await client.getRequest('/admin/info/system', { signal: controller.signal }).catch((error) => error);
+
+      expect(error.code).toEqual('ABORT_ERR');
+      expect(server.requests.length).toEqual(0);
+    });
+  });
+
+  describe('keep-alive', () => {
+    it('will reuse sockets across requests', async () => {
+      let remotePorts = [];
+      handler = (request, response) => {
+        remotePorts.push(response.socket.remotePort);
+        return {};
+      };
+
+      createClient();
+
+      await client.getRequest('/admin/info/system');
+      await client.getRequest('/admin/info/system');
+      await client.postRequest('/users/select', { headers: { 'Content-Type': 'application/json' }, data: { query: '*:*' } });
+
+      expect(remotePorts.length).toEqual(3);
+      expect(remotePorts[1]).toEqual(remotePorts[0]);
+      expect(remotePorts[2]).toEqual(remotePorts[0]);
+    });
+
+    it('will only accept known agent options', () => {
+      createClient({ agent: { maxSockets: 5, keepAlive: false, timeout: 10 } });
+
+      expect(client.getAgentOptions()).toEqual({
+        keepAlive:      false,
+        keepAliveMsecs: 1000,
+        maxSockets:     5,
+        maxFreeSockets: 10,
+      });
+
+      expect(client.getHTTPAgent().maxSockets).toEqual(5);
+    });
+  });
+
+  describe('retry', () => {
+    const RETRY_OPTIONS = { maxAttempts: 3, baseDelay: 1, maxDelay: 10, jitter: false };
+
+    const failTimes = (count, statusCode) => {
+      let failures = 0;
+
+      return (request, response) => {
+        if (failures++ < count)
+          response.statusCode = statusCode;
+
+        return { failures };
+      };
+    };
+
+    it('will retry transient failures', async () => {
+      handler = failTimes(2, 503);
+      createClient({ retry: RETRY_OPTIONS });
+
+      let response = await client.getRequest('/admin/info/system');
+
+      expect(response.statusCode).toEqual(200);
+      expect(server.requests.length).toEqual(3);
+    });
+
+    it('will give up after the max number of attempts', async () => {
+      handler = failTimes(5, 429);
+      createClient({ retry: RETRY_OPTIONS });
+
+      let response = await client.getRequest('/admin/info/system');
+
+      expect(response.statusCode).toEqual(429);
+      expect(server.requests.length).toEqual(3);
+    });
+
+    it('will not retry non-retryable status codes', async () => {
+      handler = failTimes(1, 500);
+      createClient({ retry: RETRY_OPTIONS });
+
+      let response = await client.getRequest('/admin/info/system');
+
+      expect(response.statusCode).toEqual(500);
+      expect(server.requests.length).toEqual(1);
+    });
+
+    it('will only retry non-idempotent requests if they are flagged as idempotent', async () => {
+      handler = failTimes(1, 503);
+      createClient({ retry: RETRY_OPTIONS });
+
+      let response = await client.postRequest('/users/update', { data: 'test' });
+      expect(response.statusCode).toEqual(503);
+      expect(server.requests.length).toEqual(1);
+
+      response = await client.postRequest('/users/update', { data: 'test', idempotent: true });
+      expect(response.statusCode).toEqual(200);
+      expect(server.requests.length).toEqual(2);
+    });
+
+    it('can disable retries per request', async () => {
+      handler = failTimes(1, 503);
+      createClient({ retry: RETRY_OPTIONS });
+
+      let response = await client.getRequest('/admin/info/system', { retry: false });
+
+      expect(response.statusCode).toEqual(503);
+      expect(server.requests.length).toEqual(1);
+    });
+
+    it('will retry requests that never reached the server', async () => {
+      let closedServer  = await createMockSOLRServer();
+      let logger        = { log: jasmine.createSpy('log') };
+
+      await closedServer.close();
+
+      createClient({ retry: Object.assign({}, RETRY_OPTIONS, { maxAttempts: 2 }) });
+
+      let error = await client.postRequest(`${closedServer.url}/users/update`, { data: 'test', logger }).catch((error) => error);
+
+      expect(error.code).toEqual('ECONNREFUSED');
+      expect(logger.log.calls.allArgs().map(([ message ]) => message).filter((message) => (/^Retrying/).test(message))).toEqual([
+        'Retrying request (attempt 2 of 2) in 1ms: ECONNREFUSED',
+      ]);
+    });
+
+    it('can calculate the retry delay', () => {
+      createClient({ retry: { baseDelay: 100, maxDelay: 1000, jitter: false } });
+
+      let retryOptions = client.getRetryOptions();
+
+      expect(client.getRetryDelay(1, retryOptions)).toEqual(100);
+      expect(client.getRetryDelay(3, retryOptions)).toEqual(400);
+      expect(client.getRetryDelay(10, retryOptions)).toEqual(1000);
+      expect(client.getRetryDelay(1, retryOptions, { headers: { 'retry-after': '0.5' } })).toEqual(100);
+      expect(client.getRetryDelay(1, retryOptions, { headers: { 'retry-after': '2' } })).toEqual(1000);
+
+      retryOptions = Object.assign({}, retryOptions, { maxDelay: 5000 });
+      expect(client.getRetryDelay(1, retryOptions, { headers: { 'retry-after': '2' } })).toEqual(2000);
+    });
+  });
+
+  describe('load balancing', () => {
+    const RETRY_OPTIONS = { maxAttempts: 2, baseDelay: 1, maxDelay: 10, jitter: false };
+
+    let otherServer;
+
+    beforeAll(async () => {
+      otherServer = await createMockSOLRServer(() => ({ node: 'other' }));
+    });
+
+    afterAll(async () => {
+      await otherServer.close();
+    });
+
+    beforeEach(() => {
+      otherServer.requests.length = 0;
+    });
+
+    it('will spread requests across nodes', async () => {
+      createClient();
+      client.setLoadBalancer(new LoadBalancer({ nodes: [ server.url, otherServer.url ] }));
+
+      await client.getRequest('/admin/info/system');
+      await client.getRequest('/admin/info/system');
+
+      expect(server.requests.length).toEqual(1);
+      expect(otherServer.requests.length).toEqual(1);
+    });
+
+    it('will fail over to another node when a node is unavailable', async () => {
+      handler = (request, response) => {
+        response.statusCode = 503;
+      };
+
+      createClient({ retry: RETRY_OPTIONS });
+
+      let loadBalancer = new LoadBalancer({ nodes: [ server.url, otherServer.url ] });
+      client.setLoadBalancer(loadBalancer);
+
+      let response = await client.getRequest('/admin/info/system');
+
+      expect(response.statusCode).toEqual(200);
+      expect(server.requests.length).toEqual(1);
+      expect(otherServer.requests.length).toEqual(1);
+      expect(loadBalancer.getNode(server.url).healthy).toEqual(false);
+      expect(loadBalancer.getNode(otherServer.url).healthy).toEqual(true);
+
+      // The failed node is skipped until it recovers
+      await client.getRequest('/admin/info/system');
+      expect(server.requests.length).toEqual(1);
+      expect(otherServer.requests.length).toEqual(2);
+    });
+
+    it('will fail over to another node when a node can not be reached', async () => {
+      let closedServer = await createMockSOLRServer();
+      await closedServer.close();
+
+      createClient({ retry: RETRY_OPTIONS });
+
+      let loadBalancer = new LoadBalancer({ nodes: [ closedServer.url, otherServer.url ] });
+      client.setLoadBalancer(loadBalancer);
+
+      let response = await client.postRequest('/users/update', { data: 'test', idempotent: true });
+
+      expect(response.statusCode).toEqual(200);
+      expect(otherServer.requests.length).toEqual(1);
+      expect(loadBalancer.getNode(closedServer.url).healthy).toEqual(false);
+    });
+
+    it('will not count client errors as node failures', async () => {
+      handler = (request, response) => {
+        response.statusCode = 400;
+      };
+
+      createClient({ retry: RETRY_OPTIONS });
+
+      let loadBalancer = new LoadBalancer({ nodes: [ server.url, otherServer.url ] });
+      client.setLoadBalancer(loadBalancer);
+
+      let response = await client.getRequest('/admin/info/system');
+
+      expect(response.statusCode).toEqual(400);
+      expect(loadBalancer.getNode(server.url).healthy).toEqual(true);
+    });
+
+    it('will not load balance absolute URLs', async () => {
+      createClient();
+      client.setLoadBalancer(new LoadBalancer({ nodes: [ server.url, otherServer.url ] }));
+
+      await client.getRequest(`${otherServer.url}/admin/info/system`);
+      await client.getRequest(`${otherServer.url}/admin/info/system`);
+
+      expect(server.requests.length).toEqual(0);
+      expect(otherServer.requests.length).toEqual(2);
+    });
+
+    it('can probe a node', async () => {
+      handler = (request, response) => {
+        response.statusCode = 503;
+      };
+
+      createClient();
+
+      await expectAsync(client.probeNode(otherServer.url)).toBeResolved();
+      expect(otherServer.requests[0].pathname).toEqual('/solr/admin/info/system');
+
+      let error = await client.probeNode(server.url).catch((error) => error);
+      expect(error.code).toEqual('ENODEUNHEALTHY');
+    });
+  });
+
+  describe('compression', () => {
+    const BODY = { responseHeader: { status: 0 }, response: { numFound: 1, docs: [ { id: '1', name: 'Bob' } ] } };
+
+    const respondWithEncoding = (encoding, encode) => {
+      return (request, response) => {
+        response.setHeader('Content-Type', 'application/json');
+        response.setHeader('Content-Encoding', encoding);
+        response.end(encode(Buffer.from(JSON.stringify(BODY))));
+      };
+    };
+
+    it('will ask for compressed responses', async () => {
+      createClient();
+
+      await client.getRequest('/admin/info/system');
+      expect(server.requests[0].headers['accept-encoding']).toEqual('gzip, deflate, br');
+    });
+
+    it('can decompress gzip, deflate, and brotli responses', async () => {
+      createClient();
+
+      handler = respondWithEncoding('gzip', ZLib.gzipSync);
+      expect((await client.getRequest('/users/select')).body).toEqual(BODY);
+
+      handler = respondWithEncoding('deflate', ZLib.deflateSync);
+      expect((await client.getRequest('/users/select')).body).toEqual(BODY);
+
+      handler = respondWithEncoding('br', ZLib.brotliCompressSync);
+      expect((await client.getRequest('/users/select')).body).toEqual(BODY);
+    });
+
+    it('will reject responses that fail to decompress', async () => {
+      handler = respondWithEncoding('gzip', (data) => data);
+      createClient();
+
+      await expectAsync(client.getRequest('/users/select')).toBeRejected();
+    });
+
+    it('can disable decompression', async () => {
+      handler = respondWithEncoding('gzip', ZLib.gzipSync);
+      createClient({ decompress: false });
+
+      let response = await client.getRequest('/users/select');
+
+      expect(server.requests[0].headers['accept-encoding']).toBe(undefined);
+      expect(ZLib.gunzipSync(response.rawBody).toString('utf8')).toEqual(JSON.stringify(BODY));
+    });
+
+    it('can disable decompression per request', async () => {
+      handler = respondWithEncoding('gzip', ZLib.gzipSync);
+      createClient();
+
+      let response = await client.getRequest('/users/select', { decompress: false });
+
+      expect(server.requests[0].headers['accept-encoding']).toBe(undefined);
+      expect(ZLib.gunzipSync(response.rawBody).toString('utf8')).toEqual(JSON.stringify(BODY));
+    });
+
+    it('will compress request bodies above the threshold', async () => {
+      createClient({ compressionThreshold: 100 });
+
+      let headers = { 'Content-Type': 'application/json' };
+      let large   = [ { id: '1', name: 'x'.repeat(200) } ];
+
+      await client.postRequest('/users/update', { data: large, headers, compress: true });
+      await client.postRequest('/users/update', { data: [ { id: '2' } ], headers, compress: true });
+      await client.postRequest('/users/update', { data: large, headers });
+
+      expect(server.requests[0].headers['content-encoding']).toEqual('gzip');
+      expect(server.requests[0].headers['content-length']).toEqual('' + server.requests[0].rawBody.length);
+      expect(server.requests[0].body).toEqual(large);
+      expect(server.requests[1].headers['content-encoding']).toBe(undefined);
+      expect(server.requests[1].body).toEqual([ { id: '2' } ]);
+      expect(server.requests[2].headers['content-encoding']).toBe(undefined);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+/* global describe, it, expect */
+
+const {
+  dataToQueryString,
+  parseJSON,
+} = require('../../lib/http-utils');
+
+describe('HTTPUtils', () => {
+  describe('parseJSON', () => {
+    it('will keep unsafe integers as strings', () => {
+      expect(parseJSON('{"_version_":1765432109876543210,"count":12,"float":1.5,"exp":10e3}')).toEqual({
+        _version_:  '1765432109876543210',
+        count:      12,
+        float:      1.5,
+        exp:        10000,
+      });
+    });
+
+    it('will not modify integers inside of strings', () => {
+      expect(parseJSON('{"id":"1765432109876543210 \\\\\\" 1765432109876543210","values":[-1765432109876543210]}')).toEqual({
+        id:     '1765432109876543210 \\" 1765432109876543210',
+        values: [ '-1765432109876543210' ],
+      });
+    });
+  });
+
+  describe('dataToQueryString', () => {
+    it('can convert data into a query string', () => {
+      expect(dataToQueryString({ q: 'a b', fq: [ 'x:1', 'y:2' ], skip: undefined, json: { a: 1 } })).toEqual('q=a%20b&fq=x%3A1&fq=y%3A2&json=%7B%22a%22%3A1%7D');
+      expect(dataToQueryString('??wt=json')).toEqual('wt=json');
+      expect(dataToQueryString(null)).toEqual('');
+    });
+  });
+});
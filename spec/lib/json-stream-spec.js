@@ -0,0 +1,265 @@
+'use strict';
+
+/* global describe, it, expect, beforeAll, afterAll, beforeEach */
+
+const { Readable }                  = require('node:stream');
+const { Utils }                     = require('mythix-orm');
+const {
+  JSONDocumentStreamParser,
+  parseJSONLines,
+} = require('../../lib/json-stream');
+
+const {
+  createConnection,
+  createRunners,
+} = require('../support/test-helpers');
+
+const { createMockSOLRServer } = require('../support/mock-solr-server');
+
+const RESPONSE = {
+  responseHeader: { status: 0, params: { q: 'name:"[a,b]"' } },
+  response:       {
+    numFound: 3,
+    start:    0,
+    docs:     [
+      { id: '1', name: 'Bob "the builder" {}', tags: [ 'a', [ 'b', 'c' ] ] },
+      { id: '2', name: 'Mary\\', nested: { docs: [ { id: 'inner' } ] } },
+      { id: '3', name: 'Jäne ☃' },
+    ],
+  },
+  nextCursorMark: 'AoE=',
+};
+
+describe('JSONDocumentStreamParser', () => {
+  const parseInChunks = (text, chunkSize, options) => {
+    let parser    = new JSONDocumentStreamParser(options);
+    let bytes     = Buffer.from(text, 'utf8');
+    let documents = [];
+
+    for (let i = 0; i < bytes.length; i += chunkSize)
+      documents = documents.concat(parser.write(bytes.subarray(i, i + chunkSize)));
+
+    documents = documents.concat(parser.end());
+
+    return { parser, documents };
+  };
+
+  it('will stream the documents of a response', () => {
+    let { parser, documents } = parseInChunks(JSON.stringify(RESPONSE), 65536);
+
+    expect(documents).toEqual(RESPONSE.response.docs);
+    expect(parser.getResult()).toEqual(Object.assign({}, RESPONSE, { response: Object.assign({}, RESPONSE.response, { docs: [] }) }));
+  });
+
+  it('will handle any chunk size, including split multi-byte characters', () => {
+    let text = JSON.stringify(RESPONSE, undefined, 2);
+
+    for (let chunkSize = 1; chunkSize <= 7; chunkSize++) {
+      let { parser, documents } = parseInChunks(text, chunkSize);
+
+      expect(documents).toEqual(RESPONSE.response.docs);
+      expect(parser.getResult().nextCursorMark).toEqual('AoE=');
+      expect(parser.getResult().response.numFound).toEqual(3);
+    }
+  });
+
+  it('will return documents as soon as they are complete', () => {
+    let parser  = new JSONDocumentStreamParser();
+    let text    = JSON.stringify(RESPONSE);
+    let split   = text.indexOf('{"id":"2"');
+
+    // The first document is complete once its closing brace arrives
+    expect(parser.write(text.substring(0, split - 2))).toEqual([]);
+    expect(parser.write(text.substring(split - 2, split))).toEqual([ RESPONSE.response.docs[0] ]);
+    expect(parser.getResult()).toBe(null);
+    expect(parser.write(text.substring(split))).toEqual(RESPONSE.response.docs.slice(1));
+    expect(parser.end()).toEqual([]);
+  });
+
+  it('can stream a different array', () => {
+    let { parser, documents } = parseInChunks(JSON.stringify({ result: { 'result-set': { docs: [ { a: 1 }, { a: 2 } ] } } }), 3, { path: [ 'result', 'result-set', 'docs' ] });
+
+    expect(documents).toEqual([ { a: 1 }, { a: 2 } ]);
+    expect(parser.getResult()).toEqual({ result: { 'result-set': { docs: [] } } });
+  });
+
+  it('can stream primitive items', () => {
+    let { documents } = parseInChunks('{"response":{"docs":[1, "two", true, null, 12345678901234567890]}}', 2);
+
+    expect(documents).toEqual([ 1, 'two', true, null, '12345678901234567890' ]);
+  });
+
+  it('can handle empty and missing arrays', () => {
+    let { parser, documents } = parseInChunks('{"response":{"numFound":0,"docs":[]}}', 4);
+    expect(documents).toEqual([]);
+    expect(parser.getResult()).toEqual({ response: { numFound: 0, docs: [] } });
+
+    ({ parser, documents } = parseInChunks('{"responseHeader":{"status":0}}', 4));
+    expect(documents).toEqual([]);
+    expect(parser.getResult()).toEqual({ responseHeader: { status: 0 } });
+  });
+
+  it('can parse a readable stream', async () => {
+    let parser    = new JSONDocumentStreamParser();
+    let text      = JSON.stringify(RESPONSE);
+    let chunks    = [ text.substring(0, 50), text.substring(50, 120), text.substring(120) ].map((chunk) => Buffer.from(chunk));
+    let documents = await Utils.collect(parser.parse(Readable.from(chunks)));
+
+    expect(documents).toEqual(RESPONSE.response.docs);
+    expect(parser.getResult().nextCursorMark).toEqual('AoE=');
+  });
+});
+
+describe('parseJSONLines', () => {
+  it('will yield each line as soon as it is complete', async () => {
+    let text      = '{"id":"1","name":"Jäne ☃"}\n{"id":"2"}\r\n\n[1,2]\n"last"';
+    let bytes     = Buffer.from(text, 'utf8');
+    let chunks    = [];
+
+    for (let i = 0; i < bytes.length; i += 3)
+      chunks.push(bytes.subarray(i, i + 3));
+
+    let values = await Utils.collect(parseJSONLines(Readable.from(chunks)));
+
+    expect(values).toEqual([ { id: '1', name: 'Jäne ☃' }, { id: '2' }, [ 1, 2 ], 'last' ]);
+  });
+
+  it('can parse string chunks and a trailing newline', async () => {
+    let values = await Utils.collect(parseJSONLines(Readable.from([ '{"a":1}\n{"a"', ':2}\n' ])));
+
+    expect(values).toEqual([ { a: 1 }, { a: 2 } ]);
+  });
+});
+
+describe('SOLRConnection streaming', () => {
+  let connection;
+  let server;
+  let handler;
+  let User;
+
+  // eslint-disable-next-line no-unused-vars
+  const { it, fit } = createRunners(() => connection);
+
+  beforeAll(async () => {
+    server = await createMockSOLRServer((request, response) => handler(request, response));
+
+    let setup = createConnection({ url: server.url });
+
+    connection  = setup.connection;
+    User        = setup.User;
+
+    await connection.start();
+  });
+
+  afterAll(async () => {
+    await connection.stop();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  const createUserDocuments = (count) => {
+    let documents = [];
+
+    for (let i = 0; i < count; i++)
+      documents.push({ id: `00000000-0000-4000-8000-00000000000${i}`, firstName: `First${i}`, lastName: `Last${i}` });
+
+    return documents;
+  };
+
+  // Write the response in small chunks, pausing
+  // between each, so the client receives it in pieces
+  const respondInChunks = (text, chunkSize, waitFor) => {
+    return async (request, response) => {
+      response.setHeader('Content-Type', 'application/json');
+
+      for (let i = 0; i < text.length; i += chunkSize) {
+        if (response.destroyed)
+          return;
+
+        response.write(text.substring(i, i + chunkSize));
+
+        if (waitFor)
+          await waitFor(i + chunkSize);
+        else
+          await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      response.end();
+    };
+  };
+
+  it('can select models from a chunked response', async () => {
+    let documents = createUserDocuments(3);
+    handler = respondInChunks(JSON.stringify({ responseHeader: { status: 0 }, response: { numFound: 3, start: 0, docs: documents } }), 16);
+
+    let users = await Utils.collect(connection.select(User.where.ORDER('firstName'), { useCursor: false }));
+
+    expect(users.length).toEqual(3);
+    expect(users[0]).toBeInstanceOf(User);
+    expect(users.map((user) => user.firstName)).toEqual([ 'First0', 'First1', 'First2' ]);
+  });
+
+  it('will yield models before the response is complete', async () => {
+    let documents = createUserDocuments(2);
+    let text      = JSON.stringify({ responseHeader: { status: 0 }, response: { numFound: 2, start: 0, docs: documents } });
+    let split     = text.indexOf(`{"id":"${documents[1].id}"`);
+    let release;
+    let released  = new Promise((resolve) => (release = resolve));
+
+    // Hold the rest of the response until the first model is received
+    handler = respondInChunks(text, split, (written) => (written === split) ? released : undefined);
+
+    let firstNames = [];
+    for await (let user of connection.select(User.where.ORDER('firstName'), { useCursor: false })) {
+      firstNames.push(user.firstName);
+      release();
+    }
+
+    expect(firstNames).toEqual([ 'First0', 'First1' ]);
+  });
+
+  it('will read the cursor mark from a streamed response', async () => {
+    let documents = createUserDocuments(3);
+    handler = (request, response) => {
+      let start = (request.body.params.cursorMark === '*') ? 0 : parseInt(request.body.params.cursorMark, 10);
+      let docs  = documents.slice(start, start + 2);
+
+      return respondInChunks(JSON.stringify({
+        responseHeader: { status: 0 },
+        response:       { numFound: 3, start: 0, docs },
+        nextCursorMark: '' + (start + docs.length),
+      }), 8)(request, response);
+    };
+
+    let users = await Utils.collect(connection.select(User.where.ORDER('firstName'), { batchSize: 2 }));
+
+    expect(users.map((user) => user.firstName)).toEqual([ 'First0', 'First1', 'First2' ]);
+    expect(server.requests.map((request) => request.body.params.cursorMark)).toEqual([ '*', '2' ]);
+  });
+
+  it('will stop reading the response if iteration stops early', async () => {
+    let documents = createUserDocuments(5);
+    handler = respondInChunks(JSON.stringify({ responseHeader: { status: 0 }, response: { numFound: 5, start: 0, docs: documents } }), 8);
+
+    let firstNames = [];
+    for await (let user of connection.select(User.where.ORDER('firstName'), { useCursor: false })) {
+      firstNames.push(user.firstName);
+      break;
+    }
+
+    expect(firstNames).toEqual([ 'First0' ]);
+  });
+
+  it('can export a chunked response', async () => {
+    let documents = createUserDocuments(4);
+    handler = respondInChunks(JSON.stringify({ responseHeader: { status: 0 }, response: { numFound: 4, docs: documents } }), 5);
+
+    let users = await Utils.collect(connection.export(User.where.ORDER('firstName').LIMIT(3)));
+
+    expect(users.map((user) => user.firstName)).toEqual([ 'First0', 'First1', 'First2' ]);
+    expect(server.requests[0].pathname).toEqual('/solr/users/export');
+  });
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+/* global describe, it, expect, expectAsync, afterEach, jasmine */
+
+const { LoadBalancer } = require('../../lib/load-balancer');
+
+describe('LoadBalancer', () => {
+  const NODES = [ 'http://node1:8983/solr', 'http://node2:8983/solr', 'http://node3:8983/solr' ];
+
+  let loadBalancer;
+
+  afterEach(() => {
+    if (loadBalancer)
+      loadBalancer.stop();
+
+    loadBalancer = null;
+  });
+
+  const pickURLs = (count, options) => {
+    let urls = [];
+    for (let i = 0; i < count; i++)
+      urls.push(loadBalancer.pickNode(options).url);
+
+    return urls;
+  };
+
+  it('will validate its options', () => {
+    expect(() => new LoadBalancer()).toThrowError('LoadBalancer::constructor: A "nodes" option is required.');
+    expect(() => new LoadBalancer({ nodes: NODES, strategy: 'random' })).toThrowError('LoadBalancer::constructor: Unknown strategy "random". Supported strategies are "round-robin", "least-outstanding".');
+  });
+
+  it('will strip trailing slashes from node URLs', () => {
+    loadBalancer = new LoadBalancer({ nodes: [ 'http://node1:8983/solr/', 'http://node2:8983/solr//' ] });
+
+    expect(loadBalancer.getNodes().map((node) => node.url)).toEqual([ 'http://node1:8983/solr', 'http://node2:8983/solr' ]);
+    expect(loadBalancer.getNode('http://node2:8983/solr').healthy).toEqual(true);
+    expect(loadBalancer.getNode('http://node4:8983/solr')).toBe(undefined);
+  });
+
+  it('can round-robin between nodes', () => {
+    loadBalancer = new LoadBalancer({ nodes: NODES });
+
+    expect(pickURLs(4)).toEqual([ NODES[0], NODES[1], NODES[2], NODES[0] ]);
+  });
+
+  it('can pick the node with the least outstanding requests', () => {
+    loadBalancer = new LoadBalancer({ nodes: NODES, strategy: 'least-outstanding' });
+
+    let node1 = loadBalancer.getNode(NODES[0]);
+    let node2 = loadBalancer.getNode(NODES[1]);
+
+    loadBalancer.beginRequest(node1);
+    loadBalancer.beginRequest(node2);
+    expect(loadBalancer.pickNode().url).toEqual(NODES[2]);
+
+    loadBalancer.beginRequest(loadBalancer.getNode(NODES[2]));
+    loadBalancer.beginRequest(loadBalancer.getNode(NODES[2]));
+    loadBalancer.endRequest(node2);
+    expect(loadBalancer.pickNode().url).toEqual(NODES[1]);
+
+    loadBalancer.endRequest(node2);
+    expect(node2.outstanding).toEqual(0);
+  });
+
+  it('will skip unhealthy nodes until their cool-down expires', () => {
+    jasmine.clock().install();
+    jasmine.clock().mockDate(new Date(2020, 0, 1));
+
+    try {
+      loadBalancer = new LoadBalancer({ nodes: NODES, coolDown: 1000 });
+
+      let node2 = loadBalancer.getNode(NODES[1]);
+      loadBalancer.markFailure(node2);
+
+      expect(node2.healthy).toEqual(false);
+      expect(loadBalancer.getAvailableNodes().map((node) => node.url)).toEqual([ NODES[0], NODES[2] ]);
+      expect(pickURLs(4).indexOf(NODES[1])).toEqual(-1);
+
+      jasmine.clock().tick(1001);
+      expect(loadBalancer.getAvailableNodes().length).toEqual(3);
+
+      // Nodes still recovering are skipped for writes
+      expect(pickURLs(3, { write: true }).indexOf(NODES[1])).toEqual(-1);
+
+      loadBalancer.markSuccess(node2);
+      expect(node2.healthy).toEqual(true);
+      expect(node2.failures).toEqual(0);
+    } finally {
+      jasmine.clock().uninstall();
+    }
+  });
+
+  it('will only mark a node unhealthy once it reaches the failure threshold', () => {
+    loadBalancer = new LoadBalancer({ nodes: NODES, failureThreshold: 2 });
+
+    let node1 = loadBalancer.getNode(NODES[0]);
+
+    loadBalancer.markFailure(node1);
+    expect(node1.healthy).toEqual(true);
+
+    loadBalancer.markFailure(node1);
+    expect(node1.healthy).toEqual(false);
+    expect(node1.failures).toEqual(2);
+  });
+
+  it('will avoid excluded nodes if possible', () => {
+    loadBalancer = new LoadBalancer({ nodes: NODES });
+
+    expect(pickURLs(3, { exclude: [ NODES[0], NODES[1] ] })).toEqual([ NODES[2], NODES[2], NODES[2] ]);
+    expect(pickURLs(3, { exclude: NODES }).sort()).toEqual(NODES);
+  });
+
+  it('will use the node that failed the longest time ago if every node is unhealthy', () => {
+    jasmine.clock().install();
+    jasmine.clock().mockDate(new Date(2020, 0, 1));
+
+    try {
+      loadBalancer = new LoadBalancer({ nodes: NODES });
+
+      loadBalancer.markFailure(loadBalancer.getNode(NODES[2]));
+      jasmine.clock().tick(10);
+      loadBalancer.markFailure(loadBalancer.getNode(NODES[0]));
+      jasmine.clock().tick(10);
+      loadBalancer.markFailure(loadBalancer.getNode(NODES[1]));
+
+      expect(loadBalancer.getAvailableNodes().length).toEqual(0);
+      expect(pickURLs(2)).toEqual([ NODES[2], NODES[2] ]);
+    } finally {
+      jasmine.clock().uninstall();
+    }
+  });
+
+  it('can probe unhealthy nodes', async () => {
+    let probe = jasmine.createSpy('probe').and.callFake(async (url) => {
+      if (url === NODES[1])
+        throw new Error('Still down');
+    });
+
+    loadBalancer = new LoadBalancer({ nodes: NODES, probe });
+
+    loadBalancer.markFailure(loadBalancer.getNode(NODES[0]));
+    loadBalancer.markFailure(loadBalancer.getNode(NODES[1]));
+
+    await expectAsync(loadBalancer.probeUnhealthyNodes()).toBeResolved();
+
+    expect(probe.calls.allArgs()).toEqual([ [ NODES[0] ], [ NODES[1] ] ]);
+    expect(loadBalancer.getNode(NODES[0]).healthy).toEqual(true);
+    expect(loadBalancer.getNode(NODES[1]).healthy).toEqual(false);
+  });
+
+  it('will periodically probe unhealthy nodes once started', () => {
+    jasmine.clock().install();
+
+    try {
+      let probe = jasmine.createSpy('probe').and.returnValue(Promise.resolve());
+
+      loadBalancer = new LoadBalancer({ nodes: NODES, probe, probeInterval: 100 });
+      loadBalancer.markFailure(loadBalancer.getNode(NODES[0]));
+      loadBalancer.start();
+
+      jasmine.clock().tick(101);
+      expect(probe).toHaveBeenCalledOnceWith(NODES[0]);
+
+      loadBalancer.stop();
+      jasmine.clock().tick(1000);
+      expect(probe).toHaveBeenCalledTimes(1);
+    } finally {
+      jasmine.clock().uninstall();
+    }
+  });
+});
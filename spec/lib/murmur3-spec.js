@@ -0,0 +1,64 @@
+'use strict';
+
+/* global describe, it, expect */
+
+const {
+  compositeIdHash,
+  murmurHash3,
+} = require('../../lib/murmur3');
+
+describe('murmur3', () => {
+  describe('murmurHash3', () => {
+    it('matches the reference test vectors', () => {
+      expect(murmurHash3('', 0)).toEqual(0);
+      expect(murmurHash3('', 1)).toEqual(0x514e28b7);
+      expect(murmurHash3('hello', 0)).toEqual(0x248bfa47);
+      expect(murmurHash3('Hello, world!', 1234) >>> 0).toEqual(0xfaf6cdb3);
+      expect(murmurHash3('The quick brown fox jumps over the lazy dog', 0x9747b28c)).toEqual(0x2fa826cd);
+    });
+
+    it('returns a signed 32-bit integer', () => {
+      expect(murmurHash3('Hello, world!', 1234)).toEqual(-84488781);
+    });
+
+    it('hashes values as strings', () => {
+      expect(murmurHash3(1234, 0)).toEqual(murmurHash3('1234', 0));
+      expect(murmurHash3('héllo', 0)).not.toEqual(murmurHash3('hello', 0));
+    });
+  });
+
+  describe('compositeIdHash', () => {
+    const upperBits = (value, bits) => ((value >>> (32 - bits)) >>> 0);
+    const lowerBits = (value, bits) => ((value & ((1 << bits) - 1)) >>> 0);
+
+    it('will hash plain ids', () => {
+      expect(compositeIdHash('hello')).toEqual(murmurHash3('hello', 0));
+      expect(compositeIdHash('00000000-0000-4000-8000-000000000000')).toEqual(-283699939);
+    });
+
+    it('will use the top 16 bits of the prefix hash for two part ids', () => {
+      let hash = compositeIdHash('tenant!doc1');
+
+      expect(upperBits(hash, 16)).toEqual(upperBits(murmurHash3('tenant', 0), 16));
+      expect(lowerBits(hash, 16)).toEqual(lowerBits(murmurHash3('doc1', 0), 16));
+
+      // Documents with the same prefix share the same upper bits
+      expect(upperBits(compositeIdHash('tenant!doc2'), 16)).toEqual(upperBits(hash, 16));
+    });
+
+    it('will split three part ids into 8, 8, and 16 bits', () => {
+      let hash = compositeIdHash('a!b!c');
+
+      expect(upperBits(hash, 8)).toEqual(upperBits(murmurHash3('a', 0), 8));
+      expect(lowerBits(hash >>> 16, 8)).toEqual(lowerBits(murmurHash3('b', 0) >>> 16, 8));
+      expect(lowerBits(hash, 16)).toEqual(lowerBits(murmurHash3('c', 0), 16));
+    });
+
+    it('will honor explicit bit counts', () => {
+      let hash = compositeIdHash('t/4!doc');
+
+      expect(upperBits(hash, 4)).toEqual(upperBits(murmurHash3('t', 0), 4));
+      expect(lowerBits(hash, 28)).toEqual(lowerBits(murmurHash3('doc', 0), 28));
+    });
+  });
+});
@@ -0,0 +1,683 @@
+'use strict';
+
+/* global describe, expect, expectAsync, beforeAll, afterAll, beforeEach, afterEach, jasmine */
+
+const { Types } = require('mythix-orm');
+
+const {
+  createConnection,
+  createRunners,
+} = require('../support/test-helpers');
+
+const {
+  createMockSOLRServer,
+  createSchemaHandler,
+} = require('../support/mock-solr-server');
+
+describe('SOLRConnection schema', () => {
+  let server;
+  let state;
+  let connection;
+  let queryGenerator;
+  let models;
+
+  // eslint-disable-next-line no-unused-vars
+  const { it, fit } = createRunners(() => connection);
+
+  beforeAll(async () => {
+    server = await createMockSOLRServer((request, response) => createSchemaHandler(state)(request, response));
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  const startConnection = async (options) => {
+    if (connection)
+      await connection.stop();
+
+    let setup = createConnection(Object.assign({ url: server.url }, options || {}));
+
+    connection      = setup.connection;
+    queryGenerator  = connection.getQueryGenerator();
+    models          = setup;
+
+    await connection.start();
+  };
+
+  beforeEach(async () => {
+    server.requests.length = 0;
+    state = { mode: 'std', collections: {} };
+
+    await startConnection();
+  });
+
+  afterEach(async () => {
+    await connection.stop();
+  });
+
+  const getAdminActions = () => {
+    return server.requests
+      .filter((request) => (/^\/solr\/admin\/(collections|cores|configs)$/).test(request.pathname))
+      .map((request) => `${request.pathname.replace(/^\/solr\/admin\//, '')}:${request.params.action}`);
+  };
+
+  const getSchemaField = (collectionName, fieldName) => {
+    return state.collections[collectionName].fields.find((field) => field.name === fieldName);
+  };
+
+  describe('generateFieldDefinition', () => {
+    const createField = (Model, fieldName, type, attributes) => {
+      return Object.assign({ Model, fieldName, type, allowNull: true }, attributes || {});
+    };
+
+    it('will map model field types to SOLR field types', () => {
+      let { User, Number, Time, BlobTest } = models;
+
+      const getType = (Model, fieldName) => queryGenerator.generateFieldDefinition(Model, Model.getField(fieldName)).type;
+
+      expect(getType(User, 'id')).toEqual('string');
+      expect(getType(User, 'firstName')).toEqual('string');
+      expect(getType(User, 'primaryRoleID')).toEqual('string');
+      expect(getType(Number, 'numberInt')).toEqual('plong');
+      expect(getType(Number, 'numberFloat')).toEqual('pdouble');
+      expect(getType(Time, 'id')).toEqual('string');
+      expect(getType(Time, 'date')).toEqual('pdate');
+      expect(getType(Time, 'datetime')).toEqual('pdate');
+      expect(getType(BlobTest, 'data')).toEqual('binary');
+
+      expect(queryGenerator.generateFieldDefinition(User, createField(User, 'active', Types.BOOLEAN())).type).toEqual('boolean');
+      expect(queryGenerator.generateFieldDefinition(User, createField(User, 'bio', Types.TEXT())).type).toEqual('text_general');
+    });
+
+    it('will generate sensible field attributes', () => {
+      let { User, BlobTest } = models;
+
+      expect(queryGenerator.generateFieldDefinition(User, User.getField('id'))).toEqual({
+        name:         'id',
+        type:         'string',
+        indexed:      true,
+        stored:       true,
+        docValues:    true,
+        multiValued:  false,
+        required:     true,
+      });
+
+      expect(queryGenerator.generateFieldDefinition(User, User.getField('firstName')).required).toEqual(false);
+
+      // Binary fields can't be indexed, or have docValues
+      let blobDefinition = queryGenerator.generateFieldDefinition(BlobTest, BlobTest.getField('data'));
+      expect(blobDefinition.indexed).toEqual(false);
+      expect(blobDefinition.docValues).toEqual(false);
+
+      // Text fields can't have docValues
+      let textDefinition = queryGenerator.generateFieldDefinition(User, createField(User, 'bio', Types.TEXT(), { allowNull: false }));
+      expect(textDefinition.indexed).toEqual(true);
+      expect(textDefinition.docValues).toEqual(false);
+      expect(textDefinition.required).toEqual(true);
+    });
+
+    it('will use the field types of the schema when provided', () => {
+      let { User } = models;
+      let schema = { fieldTypes: [ { name: 'string', class: 'solr.TextField' } ] };
+
+      expect(queryGenerator.generateFieldDefinition(User, User.getField('firstName'), { schema }).docValues).toEqual(false);
+    });
+  });
+
+  describe('generateCreateTableStatement', () => {
+    it('will generate the fields and missing field types of a model', () => {
+      let { Number } = models;
+      let schema    = { fields: [], fieldTypes: [ { name: 'string', class: 'solr.StrField' } ] };
+      let commands  = queryGenerator.generateCreateTableStatement(Number, schema);
+
+      expect(commands['add-field-type'].map((fieldType) => fieldType.name)).toEqual([ 'pdouble', 'plong' ]);
+      expect(commands['add-field-type'][1]).toEqual({ name: 'plong', class: 'solr.LongPointField', docValues: true });
+      expect(commands['add-field'].map((field) => `${field.name}:${field.type}`)).toEqual([ 'id:string', 'numberFloat:pdouble', 'numberInt:plong' ]);
+    });
+
+    it('will skip virtual fields, and fields that already exist', () => {
+      let { User } = models;
+      let schema    = { uniqueKey: 'id', fields: [ { name: 'id', type: 'string' } ], fieldTypes: [ { name: 'string', class: 'solr.StrField' } ] };
+      let commands  = queryGenerator.generateCreateTableStatement(User, schema);
+
+      expect(commands['add-field-type']).toBe(undefined);
+      expect(commands['add-field'].map((field) => field.name)).toEqual([ 'firstName', 'lastName', 'primaryRoleID' ]);
+    });
+
+    it('will create explicit fields for fields that match a dynamic field', () => {
+      let { User } = models;
+      let schema    = { fields: [], fieldTypes: [], dynamicFields: [ { name: '*Name', type: 'text_general' }, { name: '*', type: 'text_general' } ] };
+      let commands  = queryGenerator.generateCreateTableStatement(User, schema);
+
+      expect(commands['add-field'].map((field) => field.name)).toEqual([ 'id', 'firstName', 'lastName', 'primaryRoleID' ]);
+      expect(commands['add-field'].find((field) => field.name === 'firstName').type).toEqual('string');
+    });
+
+    it('will skip the type discriminator field if it matches a dynamic field', async () => {
+      await startConnection({ collections: { Role: 'users' } });
+
+      let schema    = { fields: [], fieldTypes: [], dynamicFields: [ { name: '*_s', type: 'string' } ] };
+      let commands  = queryGenerator.generateCreateTableStatement(models.User, schema);
+
+      expect(commands['add-field'].map((field) => field.name)).toEqual([ 'id', 'firstName', 'lastName', 'primaryRoleID' ]);
+    });
+
+    it('will return no commands if the schema is complete', () => {
+      let { Number } = models;
+      let commands = queryGenerator.generateCreateTableStatement(Number, { fields: [], fieldTypes: [] });
+
+      expect(Object.keys(queryGenerator.generateCreateTableStatement(Number, {
+        fields:     commands['add-field'],
+        fieldTypes: commands['add-field-type'],
+      }))).toEqual([]);
+    });
+
+    it('will add the type discriminator field for shared collections', async () => {
+      await startConnection({ collections: { Role: 'users' } });
+
+      let commands = queryGenerator.generateCreateTableStatement(models.User, { fields: [], fieldTypes: [] });
+      let field    = commands['add-field'].find((field) => field.name === 'mythix_model_s');
+
+      expect(field).toEqual({ name: 'mythix_model_s', type: 'string', indexed: true, stored: true, docValues: true, multiValued: false });
+    });
+
+    it('will refuse to change the unique key', () => {
+      expect(() => queryGenerator.generateCreateTableStatement(models.User, { uniqueKey: 'uuid', fields: [], fieldTypes: [] }))
+        .toThrowError(/^SOLRQueryGenerator::generateCreateTableStatement: The primary key "id" of model "User" doesn't match the unique key "uuid" of the SOLR schema/);
+    });
+  });
+
+  describe('createTable', () => {
+    it('will create the core and its fields in standalone mode', async () => {
+      let { Number } = models;
+      let commands = await connection.createTable(Number);
+
+      expect(getAdminActions()).toEqual([ 'cores:STATUS', 'cores:CREATE' ]);
+      expect(server.requests.find((request) => request.params.action === 'CREATE').params).toEqual({ action: 'CREATE', name: 'numbers', configSet: '_default', wt: 'json' });
+      expect(commands['add-field'].map((field) => field.name)).toEqual([ 'id', 'numberFloat', 'numberInt' ]);
+      expect(getSchemaField('numbers', 'numberInt')).toEqual(jasmine.objectContaining({ type: 'plong', docValues: true }));
+    });
+
+    it('will create the collection in SolrCloud mode', async () => {
+      state.mode = 'solrcloud';
+
+      await connection.createTable(models.Number, { numShards: 2, replicationFactor: 3, configSet: 'mythix' });
+
+      expect(getAdminActions()).toEqual([ 'collections:LIST', 'collections:CREATE' ]);
+      expect(server.requests.find((request) => request.params.action === 'CREATE').params).toEqual({
+        'action':                 'CREATE',
+        'name':                   'numbers',
+        'numShards':              '2',
+        'replicationFactor':      '3',
+        'collection.configName':  'mythix',
+        'wt':                     'json',
+      });
+    });
+
+    it('will only add missing fields to an existing collection', async () => {
+      state.collections.numbers = { uniqueKey: 'id', fields: [ { name: 'id', type: 'string' } ], fieldTypes: [ { name: 'string', class: 'solr.StrField' } ], dynamicFields: [], copyFields: [] };
+
+      let commands = await connection.createTable(models.Number);
+
+      expect(getAdminActions()).toEqual([ 'cores:STATUS' ]);
+      expect(commands['add-field'].map((field) => field.name)).toEqual([ 'numberFloat', 'numberInt' ]);
+
+      server.requests.length = 0;
+      commands = await connection.createTable(models.Number);
+
+      expect(commands).toEqual({});
+      expect(server.requests.filter((request) => request.method === 'POST').length).toEqual(0);
+    });
+
+    it('can refuse to create the collection', async () => {
+      await expectAsync(connection.createTable(models.Number, { createCollection: false })).toBeRejectedWithError('SOLRConnection::createTable: Collection "numbers" does not exist.');
+    });
+
+    it('can create multiple tables', async () => {
+      let { Number, Role } = models;
+      let results = await connection.createTables([ Role, Number ]);
+
+      expect(results.length).toEqual(2);
+      expect(Object.keys(state.collections).sort()).toEqual([ 'numbers', 'roles' ]);
+    });
+  });
+
+  describe('dropTable', () => {
+    const createCollections = (...names) => {
+      for (let i = 0, il = names.length; i < il; i++)
+        state.collections[names[i]] = { uniqueKey: 'id', fields: [], fieldTypes: [], dynamicFields: [], copyFields: [] };
+    };
+
+    it('will unload the core in standalone mode', async () => {
+      createCollections('users');
+
+      await connection.dropTable(models.User);
+
+      expect(getAdminActions()).toEqual([ 'cores:STATUS', 'cores:UNLOAD' ]);
+      expect(server.requests[server.requests.length - 1].params).toEqual({ action: 'UNLOAD', core: 'users', deleteIndex: 'true', deleteInstanceDir: 'false', wt: 'json' });
+      expect(state.collections.users).toBe(undefined);
+    });
+
+    it('can delete the instance directory of the core', async () => {
+      createCollections('users');
+
+      await connection.dropTable(models.User, { dropConfigSet: true });
+
+      expect(server.requests[server.requests.length - 1].params.deleteInstanceDir).toEqual('true');
+    });
+
+    it('will delete the collection in SolrCloud mode', async () => {
+      state.mode = 'solrcloud';
+      createCollections('users');
+
+      await connection.dropTable(models.User);
+
+      expect(getAdminActions()).toEqual([ 'collections:LIST', 'collections:DELETE' ]);
+      expect(state.collections.users).toBe(undefined);
+    });
+
+    it('can delete the configset of the collection in SolrCloud mode', async () => {
+      state.mode = 'solrcloud';
+      state.configNames = { users: 'users_config', roles: '_default' };
+      createCollections('users', 'roles');
+
+      await connection.dropTable(models.User, { dropConfigSet: true });
+      await connection.dropTable(models.Role, { dropConfigSet: true });
+
+      expect(getAdminActions()).toEqual([
+        'collections:LIST', 'collections:CLUSTERSTATUS', 'collections:DELETE', 'configs:DELETE',
+        'collections:LIST', 'collections:CLUSTERSTATUS', 'collections:DELETE',
+      ]);
+
+      expect(server.requests.find((request) => request.pathname === '/solr/admin/configs').params).toEqual({ action: 'DELETE', name: 'users_config', wt: 'json' });
+    });
+
+    it('will throw an error if the collection does not exist, unless "ifExists" is set', async () => {
+      await expectAsync(connection.dropTable(models.User)).toBeRejectedWithError('SOLRConnection::dropTable: Collection "users" does not exist.');
+      await expectAsync(connection.dropTable(models.User, { ifExists: true })).toBeResolvedTo(undefined);
+
+      expect(getAdminActions()).toEqual([ 'cores:STATUS', 'cores:STATUS' ]);
+    });
+
+    it('can drop multiple tables', async () => {
+      createCollections('users', 'roles', 'numbers');
+
+      let results = await connection.dropTables([ models.User, models.Role ]);
+
+      expect(results.length).toEqual(2);
+      expect(Object.keys(state.collections)).toEqual([ 'numbers' ]);
+    });
+
+    it('will only drop collections shared by multiple models once', async () => {
+      await startConnection({ collections: { Role: 'users', ScopedUser: 'users' } });
+
+      server.requests.length = 0;
+      createCollections('users');
+
+      let results = await connection.dropTables([ models.User, models.Role, models.ScopedUser ]);
+
+      expect(results.length).toEqual(1);
+      expect(getAdminActions()).toEqual([ 'cores:STATUS', 'cores:UNLOAD' ]);
+      expect(state.collections.users).toBe(undefined);
+    });
+  });
+
+  describe('columns', () => {
+    const getFieldNames = (collectionName) => state.collections[collectionName].fields.map((field) => field.name);
+
+    beforeEach(async () => {
+      await connection.createTable(models.User);
+      server.requests.length = 0;
+    });
+
+    it('can add a column', async () => {
+      let { User } = models;
+
+      state.collections.users.fields = state.collections.users.fields.filter((field) => field.name !== 'primaryRoleID');
+
+      let commands = await connection.addColumn(User.getField('primaryRoleID'));
+
+      expect(commands).toEqual({ 'add-field': [ queryGenerator.generateFieldDefinition(User, User.getField('primaryRoleID')) ] });
+      expect(getFieldNames('users')).toContain('primaryRoleID');
+    });
+
+    it('will add the field type of a new column if it is missing', () => {
+      let { Number } = models;
+      let commands = queryGenerator.generateAddColumnStatement(Number.getField('numberInt'), { fields: [], fieldTypes: [] });
+
+      expect(commands['add-field-type']).toEqual([ { name: 'plong', class: 'solr.LongPointField', docValues: true } ]);
+      expect(commands['add-field'][0].name).toEqual('numberInt');
+    });
+
+    it('will throw an error when adding a column that already exists, unless "ifNotExists" is set', async () => {
+      let { User } = models;
+
+      await expectAsync(connection.addColumn(User.getField('firstName'))).toBeRejectedWithError('SOLRConnection::addColumn: Field "firstName" already exists in the schema of collection "users".');
+      await expectAsync(connection.addColumn(User.getField('firstName'), { ifNotExists: true })).toBeResolvedTo(undefined);
+
+      expect(server.requests.filter((request) => request.method === 'POST').length).toEqual(0);
+    });
+
+    it('can alter a column without reindexing', async () => {
+      let { User } = models;
+      let result = await connection.alterColumn(User.getField('firstName'), { allowNull: false });
+
+      expect(result.reindexRequired).toEqual(false);
+      expect(result.changes).toEqual([ { attribute: 'required', from: false, to: true, reindexRequired: false } ]);
+      expect(Object.keys(result.commands)).toEqual([ 'replace-field' ]);
+      expect(getSchemaField('users', 'firstName').required).toEqual(true);
+    });
+
+    it('will do nothing if a column is unchanged', async () => {
+      let { User } = models;
+      let result = await connection.alterColumn(User.getField('firstName'), {});
+
+      expect(result).toEqual({ commands: {}, changes: [], reindexRequired: false });
+      expect(server.requests.filter((request) => request.method === 'POST').length).toEqual(0);
+    });
+
+    it('will refuse changes that require a reindex, unless "allowReindexRequired" is set', async () => {
+      let { User } = models;
+
+      await expectAsync(connection.alterColumn(User.getField('firstName'), { type: Types.INTEGER }))
+        .toBeRejectedWithError('SOLRConnection::alterColumn: Changing "type" of field "firstName" requires the collection "users" to be reindexed. Pass the "allowReindexRequired" option to alter the field anyway.');
+
+      expect(getSchemaField('users', 'firstName').type).toEqual('string');
+
+      let result = await connection.alterColumn(User.getField('firstName'), { type: Types.INTEGER }, { allowReindexRequired: true });
+
+      expect(result.reindexRequired).toEqual(true);
+      expect(result.changes).toEqual([ { attribute: 'type', from: 'string', to: 'plong', reindexRequired: true } ]);
+      expect(result.commands['add-field-type'].map((fieldType) => fieldType.name)).toEqual([ 'plong' ]);
+      expect(getSchemaField('users', 'firstName').type).toEqual('plong');
+    });
+
+    it('can rename a column', async () => {
+      let { User } = models;
+      let result = await connection.alterColumn(User.getField('primaryRoleID'), { columnName: 'primary_role_id' }, { allowReindexRequired: true });
+
+      expect(result.changes[0]).toEqual({ attribute: 'name', from: 'primaryRoleID', to: 'primary_role_id', reindexRequired: true });
+      expect(getFieldNames('users')).toContain('primary_role_id');
+      expect(getFieldNames('users')).not.toContain('primaryRoleID');
+    });
+
+    it('will throw an error when altering a column that does not exist', async () => {
+      let { Number } = models;
+
+      state.collections.numbers = { uniqueKey: 'id', fields: [], fieldTypes: [], dynamicFields: [], copyFields: [] };
+
+      await expectAsync(connection.alterColumn(Number.getField('numberInt'), { allowNull: false }))
+        .toBeRejectedWithError('SOLRQueryGenerator::generateAlterColumnStatement: Field "numberInt" does not exist in the SOLR schema.');
+    });
+
+    it('can drop a column, and the copy fields that use it', async () => {
+      let { User } = models;
+
+      state.collections.users.copyFields.push({ source: 'primaryRoleID', dest: 'text' });
+
+      let commands = await connection.dropColumn(User.getField('primaryRoleID'));
+
+      expect(commands).toEqual({
+        'delete-copy-field':  [ { source: 'primaryRoleID', dest: 'text' } ],
+        'delete-field':       [ { name: 'primaryRoleID' } ],
+      });
+
+      expect(getFieldNames('users')).not.toContain('primaryRoleID');
+      expect(state.collections.users.copyFields.filter((copyField) => copyField.source === 'primaryRoleID')).toEqual([]);
+    });
+
+    it('will throw an error when dropping a column that does not exist, unless "ifExists" is set', async () => {
+      let { User } = models;
+
+      await connection.dropColumn(User.getField('primaryRoleID'));
+
+      await expectAsync(connection.dropColumn(User.getField('primaryRoleID'))).toBeRejectedWithError('SOLRConnection::dropColumn: Field "primaryRoleID" does not exist in the schema of collection "users".');
+      await expectAsync(connection.dropColumn(User.getField('primaryRoleID'), { ifExists: true })).toBeResolvedTo(undefined);
+    });
+  });
+
+  describe('indexes', () => {
+    const INDEX_NAME = 'idx_users_firstName_lastName';
+
+    beforeEach(async () => {
+      await connection.createTable(models.User);
+      server.requests.length = 0;
+    });
+
+    it('will create combined indexes when creating a table', () => {
+      expect(getSchemaField('users', INDEX_NAME)).toEqual({ name: INDEX_NAME, type: 'string', indexed: true, stored: false, docValues: true, multiValued: true });
+      expect(state.collections.users.copyFields).toEqual([
+        { source: 'firstName', dest: INDEX_NAME },
+        { source: 'lastName', dest: INDEX_NAME },
+      ]);
+    });
+
+    it('will only create combined indexes with the same fields once', () => {
+      let commands = queryGenerator.generateCreateIndexStatements(models.User, { fields: [ { name: 'firstName', type: 'string' }, { name: 'lastName', type: 'string' } ], fieldTypes: [] });
+
+      expect(commands['add-field'].map((field) => field.name)).toEqual([ INDEX_NAME ]);
+      expect(commands['add-copy-field'].length).toEqual(2);
+    });
+
+    it('can index a single field', async () => {
+      let { User } = models;
+
+      getSchemaField('users', 'primaryRoleID').docValues = false;
+      getSchemaField('users', 'primaryRoleID').indexed = false;
+
+      let commands = await connection.addIndex(User, [ 'primaryRoleID' ]);
+
+      expect(commands).toEqual({ 'replace-field': [ jasmine.objectContaining({ name: 'primaryRoleID', indexed: true, docValues: true }) ] });
+      expect(getSchemaField('users', 'primaryRoleID').indexed).toEqual(true);
+      expect(await connection.addIndex(User, [ 'primaryRoleID' ])).toEqual({});
+    });
+
+    it('will throw an error when indexing a field that does not exist', async () => {
+      let { User } = models;
+
+      await expectAsync(connection.addIndex(User, [ 'email' ])).toBeRejectedWithError('SOLRQueryGenerator::getIndexFields: Field "email" not found on model "User".');
+
+      state.collections.users.fields = state.collections.users.fields.filter((field) => field.name !== 'primaryRoleID');
+      await expectAsync(connection.addIndex(User, [ 'primaryRoleID' ])).toBeRejectedWithError('SOLRQueryGenerator::generateCreateIndexStatement: Field "primaryRoleID" does not exist in the SOLR schema.');
+    });
+
+    it('can create a combined index', async () => {
+      let { User } = models;
+      let commands = await connection.addIndex(User, [ 'User:lastName', 'primaryRoleID' ]);
+
+      expect(commands['add-field'].map((field) => field.name)).toEqual([ 'idx_users_lastName_primaryRoleID' ]);
+      expect(commands['add-copy-field']).toEqual([
+        { source: 'lastName', dest: 'idx_users_lastName_primaryRoleID' },
+        { source: 'primaryRoleID', dest: 'idx_users_lastName_primaryRoleID' },
+      ]);
+
+      expect(await connection.addIndex(User, [ 'lastName', 'primaryRoleID' ])).toEqual({});
+    });
+
+    it('can drop a single field index', async () => {
+      let { User } = models;
+      let commands = await connection.dropIndex(User, [ 'firstName' ]);
+
+      expect(commands).toEqual({ 'replace-field': [ jasmine.objectContaining({ name: 'firstName', indexed: false, docValues: true }) ] });
+      expect(getSchemaField('users', 'firstName').indexed).toEqual(false);
+      expect(await connection.dropIndex(User, [ 'firstName' ])).toEqual({});
+    });
+
+    it('can drop a combined index', async () => {
+      let { User } = models;
+      let commands = await connection.dropIndex(User, [ 'firstName', 'lastName' ]);
+
+      expect(commands).toEqual({
+        'delete-copy-field': [
+          { source: 'firstName', dest: INDEX_NAME },
+          { source: 'lastName', dest: INDEX_NAME },
+        ],
+        'delete-field': [ { name: INDEX_NAME } ],
+      });
+
+      expect(getSchemaField('users', INDEX_NAME)).toBe(undefined);
+      expect(state.collections.users.copyFields).toEqual([]);
+      expect(await connection.dropIndex(User, [ 'firstName', 'lastName' ])).toEqual({});
+    });
+
+    it('will refuse to drop the index of the primary key, or unique key', async () => {
+      let { User } = models;
+
+      await expectAsync(connection.dropIndex(User, [ 'id' ]))
+        .toBeRejectedWithError('SOLRQueryGenerator::generateDropIndexStatement: Can not drop the index of field "id", because it is the primary key of model "User", or the unique key of the SOLR schema.');
+
+      state.collections.users.uniqueKey = 'primaryRoleID';
+      await expectAsync(connection.dropIndex(User, [ 'primaryRoleID' ]))
+        .toBeRejectedWithError('SOLRQueryGenerator::generateDropIndexStatement: Can not drop the index of field "primaryRoleID", because it is the primary key of model "User", or the unique key of the SOLR schema.');
+
+      expect(server.requests.filter((request) => request.method === 'POST').length).toEqual(0);
+      expect(getSchemaField('users', 'id').indexed).toEqual(true);
+    });
+
+    it('will refuse to drop the index of the route field', async () => {
+      state.mode = 'solrcloud';
+      state.routers = { users: { name: 'compositeId', field: 'lastName' } };
+
+      await startConnection({ cloud: true });
+
+      await expectAsync(connection.dropIndex(models.User, [ 'lastName' ]))
+        .toBeRejectedWithError('SOLRQueryGenerator::generateDropIndexStatement: Can not drop the index of field "lastName", because it is the route field of the collection.');
+
+      // Combined indexes that include the route field can be dropped
+      await expectAsync(connection.dropIndex(models.User, [ 'firstName', 'lastName' ])).toBeResolved();
+      await expectAsync(connection.dropIndex(models.User, [ 'firstName' ])).toBeResolved();
+    });
+  });
+
+  describe('diffSchema', () => {
+    const INDEX_NAME  = 'idx_users_firstName_lastName';
+    const EXTRA_INDEX = 'idx_users_lastName_primaryRoleID';
+
+    beforeEach(async () => {
+      await connection.createTable(models.User);
+      server.requests.length = 0;
+    });
+
+    it('will report nothing for an up-to-date schema', async () => {
+      let { users } = await connection.diffSchema([ models.User ]);
+
+      expect(users.missingFields).toEqual([]);
+      expect(users.extraFields).toEqual([]);
+      expect(users.missingIndexFields).toEqual([]);
+      expect(users.extraIndexFields).toEqual([]);
+      expect(users.missingCopyFields).toEqual([]);
+      expect(users.extraCopyFields).toEqual([]);
+      expect(users.commands).toEqual({});
+    });
+
+    it('will report nothing after creating a table with fields that match a dynamic field', async () => {
+      let schema = state.collections.users;
+
+      schema.fields = schema.fields.filter((field) => field.name !== 'firstName' && field.name !== 'lastName');
+      schema.dynamicFields.push({ name: '*Name', type: 'text_general' });
+
+      await connection.createTable(models.User);
+
+      expect(getSchemaField('users', 'firstName').type).toEqual('string');
+      expect((await connection.diffSchema([ models.User ])).users.commands).toEqual({});
+    });
+
+    it('will report missing and extra fields', async () => {
+      let schema = state.collections.users;
+
+      schema.fields = schema.fields.filter((field) => field.name !== 'lastName');
+      schema.fields.push({ name: 'nickName', type: 'string' });
+      schema.copyFields = schema.copyFields.filter((copyField) => copyField.source !== 'lastName');
+
+      let { users } = await connection.diffSchema([ models.User ]);
+
+      expect(users.missingFields.map((field) => field.definition.name)).toEqual([ 'lastName' ]);
+      expect(users.extraFields).toEqual([ { name: 'nickName', type: 'string' } ]);
+      expect(users.missingCopyFields).toEqual([ { modelName: 'User', source: 'lastName', dest: INDEX_NAME } ]);
+      expect(Object.keys(users.commands)).toEqual([ 'add-field', 'add-copy-field' ]);
+      expect(users.commands['add-field'].map((field) => field.name)).toEqual([ 'lastName' ]);
+    });
+
+    it('will report and restore missing copy fields and combined index fields', async () => {
+      let schema = state.collections.users;
+
+      schema.fields = schema.fields.filter((field) => field.name !== INDEX_NAME);
+      schema.copyFields = [];
+
+      let { users } = await connection.diffSchema([ models.User ]);
+
+      expect(users.missingIndexFields).toEqual([
+        {
+          modelName:  'User',
+          name:       INDEX_NAME,
+          fields:     [ 'firstName', 'lastName' ],
+          definition: { name: INDEX_NAME, type: 'string', indexed: true, stored: false, docValues: true, multiValued: true },
+        },
+      ]);
+
+      expect(users.missingCopyFields).toEqual([
+        { modelName: 'User', source: 'firstName', dest: INDEX_NAME },
+        { modelName: 'User', source: 'lastName', dest: INDEX_NAME },
+      ]);
+
+      expect(users.extraFields).toEqual([]);
+      expect(users.reindexRequired).toEqual(false);
+      expect(users.commands).toEqual({
+        'add-field':      [ users.missingIndexFields[0].definition ],
+        'add-copy-field': [
+          { source: 'firstName', dest: INDEX_NAME },
+          { source: 'lastName', dest: INDEX_NAME },
+        ],
+      });
+
+      expect(server.requests.filter((request) => request.method === 'POST').length).toEqual(0);
+
+      await connection.diffSchema([ models.User ], { dryRun: false });
+
+      expect(getSchemaField('users', INDEX_NAME)).toEqual(users.missingIndexFields[0].definition);
+      expect(schema.copyFields).toEqual([
+        { source: 'firstName', dest: INDEX_NAME },
+        { source: 'lastName', dest: INDEX_NAME },
+      ]);
+
+      expect((await connection.diffSchema([ models.User ])).users.commands).toEqual({});
+    });
+
+    it('will report extra copy fields and combined index fields', async () => {
+      await connection.addIndex(models.User, [ 'lastName', 'primaryRoleID' ]);
+
+      let schema = state.collections.users;
+      schema.copyFields.push({ source: 'primaryRoleID', dest: INDEX_NAME });
+
+      let { users } = await connection.diffSchema([ models.User ]);
+
+      expect(users.extraIndexFields).toEqual([ { name: EXTRA_INDEX, type: 'string' } ]);
+      expect(users.extraFields).toEqual([]);
+      expect(users.extraCopyFields).toEqual([
+        { source: 'lastName', dest: EXTRA_INDEX },
+        { source: 'primaryRoleID', dest: EXTRA_INDEX },
+        { source: 'primaryRoleID', dest: INDEX_NAME },
+      ]);
+
+      expect(users.commands).toEqual({});
+
+      ({ users } = await connection.diffSchema([ models.User ], { dryRun: false, dropExtraFields: true }));
+
+      expect(users.commands).toEqual({
+        'delete-copy-field': [
+          { source: 'lastName', dest: EXTRA_INDEX },
+          { source: 'primaryRoleID', dest: EXTRA_INDEX },
+          { source: 'primaryRoleID', dest: INDEX_NAME },
+        ],
+        'delete-field': [ { name: EXTRA_INDEX } ],
+      });
+
+      expect(getSchemaField('users', EXTRA_INDEX)).toBe(undefined);
+      expect(schema.copyFields).toEqual([
+        { source: 'firstName', dest: INDEX_NAME },
+        { source: 'lastName', dest: INDEX_NAME },
+      ]);
+    });
+  });
+});
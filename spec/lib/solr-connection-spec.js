@@ -0,0 +1,672 @@
+'use strict';
+
+/* global describe, expect, expectAsync, beforeAll, afterAll, beforeEach */
+
+const { Utils }     = require('mythix-orm');
+const {
+  Errors,
+  Literals,
+} = require('../../lib');
+
+const {
+  UUID_REGEXP,
+  createConnection,
+  createRunners,
+} = require('../support/test-helpers');
+
+const {
+  createMockSOLRServer,
+  selectDocuments,
+} = require('../support/mock-solr-server');
+
+describe('SOLRConnection', () => {
+  let connection;
+  let server;
+  let handler;
+  let Number;
+  let User;
+
+  // eslint-disable-next-line no-unused-vars
+  const { it, fit } = createRunners(() => connection);
+
+  beforeAll(async () => {
+    server = await createMockSOLRServer((request, response) => handler(request, response));
+
+    let setup = createConnection({ url: server.url });
+
+    connection  = setup.connection;
+    Number      = setup.Number;
+    User        = setup.User;
+
+    await connection.start();
+  });
+
+  afterAll(async () => {
+    await connection.stop();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    handler = () => ({});
+  });
+
+  const createUserDocuments = (count) => {
+    let documents = [];
+
+    for (let i = 0; i < count; i++)
+      documents.push({ id: `00000000-0000-4000-8000-00000000000${i}`, firstName: `First${i}`, lastName: `Last${i}`, _version_: i + 1 });
+
+    return documents;
+  };
+
+  describe('select', () => {
+    it('can select models', async () => {
+      let documents = createUserDocuments(3);
+      handler = ({ body }) => selectDocuments(documents, body);
+
+      let users = await User.where.ORDER('firstName').all();
+
+      expect(users.length).toEqual(3);
+      expect(users[0]).toBeInstanceOf(User);
+      expect(users[0].id).toMatch(UUID_REGEXP);
+      expect(users[0].firstName).toEqual('First0');
+      expect(users[0].isPersisted()).toEqual(true);
+      expect(users[0].isDirty()).toEqual(false);
+      expect(users[2].lastName).toEqual('Last2');
+
+      expect(server.requests.length).toEqual(1);
+      expect(server.requests[0].pathname).toEqual('/solr/users/select');
+      expect(server.requests[0].body.sort).toEqual('firstName asc,id asc');
+      expect(server.requests[0].body.params.cursorMark).toEqual('*');
+    });
+
+    it('will keep a running order across batches', async () => {
+      let documents = createUserDocuments(5);
+      handler = ({ body }) => selectDocuments(documents, body);
+
+      let users = await Utils.collect(connection.select(User.where.ORDER('firstName'), { batchSize: 2 }));
+
+      expect(users.map((user) => user.firstName)).toEqual([ 'First0', 'First1', 'First2', 'First3', 'First4' ]);
+      expect(users.map((user) => user.__order)).toEqual([ 0, 1, 2, 3, 4 ]);
+      expect(server.requests.map(({ body }) => body.params.cursorMark)).toEqual([ '*', '2', '4' ]);
+    });
+
+    it('can page with an offset', async () => {
+      let documents = createUserDocuments(6);
+      handler = ({ body }) => selectDocuments(documents, body);
+
+      let users = await Utils.collect(connection.select(User.where.ORDER('firstName').OFFSET(1).LIMIT(4), { batchSize: 3 }));
+
+      expect(users.map((user) => user.firstName)).toEqual([ 'First1', 'First2', 'First3', 'First4' ]);
+      expect(users.map((user) => user.__order)).toEqual([ 0, 1, 2, 3 ]);
+      expect(server.requests.map(({ body }) => [ body.offset, body.limit ])).toEqual([ [ 1, 3 ], [ 4, 1 ] ]);
+    });
+
+    it('will stop paging when the cursorMark stops changing', async () => {
+      let documents = createUserDocuments(2);
+      handler = ({ body }) => Object.assign(selectDocuments(documents, body), { nextCursorMark: body.params.cursorMark });
+
+      let users = await Utils.collect(connection.select(User.where, { batchSize: 2 }));
+
+      expect(users.length).toEqual(2);
+      expect(server.requests.length).toEqual(1);
+    });
+
+    it('can page with an offset instead of a cursor', async () => {
+      let documents = createUserDocuments(3);
+      handler = ({ body }) => selectDocuments(documents, body);
+
+      let users = await Utils.collect(connection.select(User.where, { batchSize: 2, useCursor: false }));
+
+      expect(users.length).toEqual(3);
+      expect(server.requests.map(({ body }) => [ body.offset, body.limit, body.params ])).toEqual([ [ undefined, 2, undefined ], [ 2, 2, undefined ] ]);
+    });
+
+    it('can yield raw documents', async () => {
+      let documents = createUserDocuments(2);
+      handler = ({ body }) => selectDocuments(documents, body);
+
+      let results = await Utils.collect(connection.select(User.where.ORDER('firstName'), { raw: true, streamResponse: false }));
+      expect(results).toEqual(documents);
+    });
+  });
+
+  describe('insert', () => {
+    const respondWithVersions = ({ body }) => {
+      let adds = [];
+
+      body.forEach((document, index) => adds.push(document.id, 100 + index));
+
+      return { responseHeader: { status: 0 }, adds };
+    };
+
+    it('can insert models in batches', async () => {
+      handler = respondWithVersions;
+
+      let users = await connection.insert(User, [
+        { firstName: 'Bob', lastName: 'Brown' },
+        { firstName: 'Mary', lastName: 'Anne' },
+        { firstName: 'Jane', lastName: 'Doe' },
+      ], { batchSize: 2, commitWithin: 1000 });
+
+      expect(users.length).toEqual(3);
+      expect(users[0]).toBeInstanceOf(User);
+      expect(users[0].id).toMatch(UUID_REGEXP);
+      expect(users[0].isPersisted()).toEqual(true);
+      expect(users.map((user) => connection.getModelVersion(user))).toEqual([ 100, 101, 100 ]);
+
+      expect(server.requests.length).toEqual(2);
+      expect(server.requests[0].pathname).toEqual('/solr/users/update');
+      expect(server.requests[0].params).toEqual({ commitWithin: '1000', versions: 'true' });
+      expect(server.requests[0].body.length).toEqual(2);
+      expect(server.requests[1].body.length).toEqual(1);
+      expect(server.requests[0].body[0]).toEqual({
+        id:         users[0].id,
+        firstName:  'Bob',
+        lastName:   'Brown',
+        _version_:  -1,
+      });
+    });
+
+    it('can insert a single model', async () => {
+      handler = respondWithVersions;
+
+      let user = await connection.insert(User, new User({ firstName: 'Bob' }), { commit: true });
+
+      expect(user).toBeInstanceOf(User);
+      expect(user.firstName).toEqual('Bob');
+      expect(server.requests[0].params).toEqual({ commit: 'true', versions: 'true' });
+    });
+  });
+
+  describe('upsert', () => {
+    it('will send the loaded version of persisted models', async () => {
+      let documents = createUserDocuments(1);
+      handler = ({ pathname, body }) => {
+        if (pathname.endsWith('/select'))
+          return selectDocuments(documents, body);
+
+        return { responseHeader: { status: 0 }, adds: [ body[0].id, 50 ] };
+      };
+
+      let user = await User.where.first();
+      user.firstName = 'Updated';
+
+      let upsertedUser = await connection.upsert(User, user);
+
+      expect(upsertedUser.firstName).toEqual('Updated');
+      expect(connection.getModelVersion(upsertedUser)).toEqual(50);
+      expect(server.requests[1].body).toEqual([
+        {
+          id:         documents[0].id,
+          firstName:  'Updated',
+          lastName:   'Last0',
+          _version_:  1,
+        },
+      ]);
+    });
+
+    it('will not send a version for new models', async () => {
+      handler = () => ({ responseHeader: { status: 0 } });
+
+      await connection.upsert(User, { firstName: 'Bob' });
+
+      expect(server.requests[0].body[0]._version_).toBe(undefined);
+      expect(server.requests[0].body[0].firstName).toEqual('Bob');
+    });
+  });
+
+  describe('update', () => {
+    it('will send the dirty fields as atomic updates', async () => {
+      handler = ({ body }) => ({ responseHeader: { status: 0 }, adds: [ body[0].id, 7 ] });
+
+      let user = new User({ id: '00000000-0000-4000-8000-000000000001', firstName: 'Bob', lastName: 'Brown' });
+      user.clearDirty();
+      user._persisted = true;
+      connection.setModelVersion(user, 6);
+
+      user.firstName = 'Robert';
+      await connection.update(User, user, { softCommit: true });
+
+      expect(server.requests.length).toEqual(1);
+      expect(server.requests[0].params).toEqual({ softCommit: 'true', versions: 'true' });
+      expect(server.requests[0].body).toEqual([
+        {
+          id:        '00000000-0000-4000-8000-000000000001',
+          firstName: { set: 'Robert' },
+          _version_: 6,
+        },
+      ]);
+
+      expect(connection.getModelVersion(user)).toEqual(7);
+    });
+
+    it('will not send a request if no models are dirty', async () => {
+      let user = new User({ id: '00000000-0000-4000-8000-000000000001', firstName: 'Bob' });
+      user.clearDirty();
+      user._persisted = true;
+
+      await connection.update(User, user);
+
+      expect(server.requests.length).toEqual(0);
+    });
+  });
+
+  describe('updateAll', () => {
+    it('will update every matching document', async () => {
+      let documents = createUserDocuments(3).map(({ id }) => ({ id }));
+      handler = ({ pathname, body }) => {
+        if (pathname.endsWith('/select'))
+          return selectDocuments(documents, body);
+
+        return { responseHeader: { status: 0 } };
+      };
+
+      let count = await connection.updateAll(User.where.lastName.EQ('Brown'), { firstName: 'Bob', lastName: new Literals.SetLiteral(null) }, { batchSize: 2 });
+
+      expect(count).toEqual(3);
+
+      let updateRequests = server.requests.filter(({ pathname }) => pathname.endsWith('/update'));
+      expect(updateRequests.length).toEqual(2);
+      expect(updateRequests[0].body).toEqual([
+        { id: documents[0].id, firstName: { set: 'Bob' }, lastName: { set: null } },
+        { id: documents[1].id, firstName: { set: 'Bob' }, lastName: { set: null } },
+      ]);
+
+      let selectRequest = server.requests.find(({ pathname }) => pathname.endsWith('/select'));
+      expect(selectRequest.body.query).toEqual('lastName:"Brown"');
+      expect(selectRequest.body.fields).toEqual([ 'id', '_version_' ]);
+    });
+
+    it('will do nothing if there is nothing to update', async () => {
+      expect(await connection.updateAll(User.where, {})).toEqual(0);
+      expect(server.requests.length).toEqual(0);
+    });
+  });
+
+  describe('optimistic concurrency', () => {
+    const VERSION = '1765432109876543210';
+
+    it('will load 64-bit versions without losing precision', async () => {
+      handler = (request, response) => {
+        response.setHeader('Content-Type', 'application/json');
+        response.end(`{"response":{"numFound":1,"start":0,"docs":[{"id":"00000000-0000-4000-8000-000000000001","firstName":"Bob","_version_":${VERSION}}]}}`);
+      };
+
+      let user = await User.where.first();
+      expect(connection.getModelVersion(user)).toEqual(VERSION);
+    });
+
+    it('will send the loaded version when saving a model', async () => {
+      handler = ({ pathname }, response) => {
+        response.setHeader('Content-Type', 'application/json');
+
+        if (pathname.endsWith('/select'))
+          response.end(`{"response":{"numFound":1,"start":0,"docs":[{"id":"00000000-0000-4000-8000-000000000001","firstName":"Bob","_version_":${VERSION}}]}}`);
+        else
+          response.end('{"responseHeader":{"status":0},"adds":["00000000-0000-4000-8000-000000000001",1765432109876543211]}');
+      };
+
+      let user = await User.where.first();
+      user.firstName = 'Robert';
+      await user.save();
+
+      expect(server.requests[1].rawBody.toString('utf8')).toContain(`"_version_":"${VERSION}"`);
+      expect(connection.getModelVersion(user)).toEqual('1765432109876543211');
+    });
+
+    it('will throw a version conflict error if the document has changed', async () => {
+      let documents = createUserDocuments(1);
+      handler = ({ pathname, body }, response) => {
+        if (pathname.endsWith('/select'))
+          return selectDocuments(documents, body);
+
+        response.statusCode = 409;
+        return { responseHeader: { status: 409 }, error: { code: 409, msg: 'version conflict for 00000000-0000-4000-8000-000000000000 expected=1 actual=2' } };
+      };
+
+      let user = await User.where.first();
+      user.firstName = 'Robert';
+
+      await expectAsync(user.save()).toBeRejectedWithError(Errors.SOLRVersionConflictError, /version conflict/);
+    });
+  });
+
+  describe('destroyModels', () => {
+    it('will delete models by id, and return the destroyed models', async () => {
+      let users = createUserDocuments(3).map((document) => new User(document));
+
+      let result = await connection.destroyModels(User, users, { batchSize: 2 });
+
+      expect(result).toEqual(users);
+      expect(server.requests.map(({ body }) => body)).toEqual([
+        { delete: [ users[0].id, users[1].id ] },
+        { delete: [ users[2].id ] },
+      ]);
+    });
+
+    it('will return a single model if a single model is provided', async () => {
+      let user    = new User(createUserDocuments(1)[0]);
+      let result  = await connection.destroyModels(User, user);
+
+      expect(result).toBe(user);
+      expect(server.requests[0].body).toEqual({ delete: [ user.id ] });
+    });
+
+    it('will do nothing if no models are provided', async () => {
+      expect(await connection.destroyModels(User, null)).toBe(undefined);
+      expect(await connection.destroyModels(User, [])).toEqual([]);
+      expect(server.requests.length).toEqual(0);
+    });
+
+    it('will throw an error if a model has no primary key', async () => {
+      let user = new User({ firstName: 'Bob' });
+      user.id = null;
+
+      await expectAsync(connection.destroyModels(User, [ user ])).toBeRejectedWithError(/Model's primary key is empty/);
+    });
+  });
+
+  describe('destroy', () => {
+    it('can destroy models by query', async () => {
+      handler = ({ pathname }) => {
+        if (pathname.endsWith('/select'))
+          return { response: { numFound: 4, start: 0, docs: [] } };
+
+        return { responseHeader: { status: 0 } };
+      };
+
+      expect(await User.where.firstName.EQ('Bob').destroy()).toEqual(4);
+      expect(server.requests[0].body).toEqual({ query: 'firstName:"Bob"', limit: 0 });
+      expect(server.requests[1].body).toEqual({ delete: { query: 'firstName:"Bob"' } });
+    });
+
+    it('will delete by id if the query has a limit', async () => {
+      let documents = createUserDocuments(3).map(({ id }) => ({ id }));
+      handler = ({ pathname, body }) => {
+        if (pathname.endsWith('/select'))
+          return selectDocuments(documents, body);
+
+        return { responseHeader: { status: 0 } };
+      };
+
+      expect(await User.where.ORDER('firstName').LIMIT(2).destroy()).toEqual(2);
+
+      let deleteRequest = server.requests.find(({ pathname }) => pathname.endsWith('/update'));
+      expect(deleteRequest.body).toEqual({ delete: [ documents[0].id, documents[1].id ] });
+    });
+
+    it('can destroy models through a model class', async () => {
+      let user = new User(createUserDocuments(1)[0]);
+
+      expect(await connection.destroy(User, [ user ])).toEqual([ user ]);
+      expect(server.requests[0].body).toEqual({ delete: [ user.id ] });
+    });
+  });
+
+  describe('truncate', () => {
+    it('will delete every document of the model', async () => {
+      handler = ({ pathname }) => {
+        if (pathname.endsWith('/select'))
+          return { response: { numFound: 10, start: 0, docs: [] } };
+
+        return { responseHeader: { status: 0 } };
+      };
+
+      expect(await connection.truncate(User)).toEqual(10);
+      expect(server.requests[1].pathname).toEqual('/solr/users/update');
+      expect(server.requests[1].body).toEqual({ delete: { query: '*:*' } });
+    });
+  });
+
+  describe('aggregates', () => {
+    const respondWithFacet = (value) => {
+      return ({ body }) => {
+        let result = { response: { numFound: 3, start: 0, docs: [] } };
+        if (body.facet && value !== undefined)
+          result.facets = { count: 3, result: value };
+
+        return result;
+      };
+    };
+
+    it('can count', async () => {
+      handler = respondWithFacet();
+
+      expect(await Number.where.numberInt.GT(1).count()).toEqual(3);
+      expect(server.requests[0].body).toEqual({ query: 'numberInt:{1 TO *]', limit: 0 });
+    });
+
+    it('can count distinct values', async () => {
+      handler = respondWithFacet(2);
+
+      expect(await User.where.DISTINCT('User:firstName').count()).toEqual(2);
+      expect(server.requests[0].body.facet).toEqual({ result: 'unique(firstName)' });
+    });
+
+    it('can sum, min, max, and average', async () => {
+      handler = respondWithFacet(12.5);
+
+      expect(await Number.where.sum('numberFloat')).toEqual(12.5);
+      expect(await Number.where.min('numberFloat')).toEqual(12.5);
+      expect(await Number.where.max('numberFloat')).toEqual(12.5);
+      expect(await Number.where.average('numberFloat')).toEqual(12.5);
+
+      expect(server.requests.map(({ body }) => body.facet.result)).toEqual([
+        'sum(numberFloat)',
+        'min(numberFloat)',
+        'max(numberFloat)',
+        'avg(numberFloat)',
+      ]);
+    });
+
+    it('will return null if no documents match', async () => {
+      handler = respondWithFacet();
+
+      expect(await Number.where.sum('numberFloat')).toBe(null);
+      expect(await Number.where.count('numberFloat')).toEqual(0);
+    });
+  });
+
+  describe('pluck', () => {
+    beforeEach(() => {
+      let documents = createUserDocuments(2);
+      handler = ({ body }) => selectDocuments(documents, body);
+    });
+
+    it('can pluck a single field', async () => {
+      expect(await User.where.ORDER('firstName').pluck('firstName')).toEqual([ 'First0', 'First1' ]);
+      expect(server.requests[0].body.fields).toEqual([ 'firstName', '_version_' ]);
+    });
+
+    it('can pluck multiple fields', async () => {
+      expect(await User.where.ORDER('firstName').pluck([ 'User:firstName', 'lastName' ])).toEqual([ [ 'First0', 'Last0' ], [ 'First1', 'Last1' ] ]);
+    });
+
+    it('can map plucked fields to objects', async () => {
+      expect(await User.where.ORDER('firstName').pluck([ 'firstName' ], { mapToObjects: true })).toEqual([ { 'User:firstName': 'First0' }, { 'User:firstName': 'First1' } ]);
+    });
+
+    it('will throw an error when plucking fields from other models', async () => {
+      await expectAsync(User.where.pluck('Role:name')).toBeRejectedWithError(/SOLR can only pluck fields from the root model of the query/);
+    });
+  });
+
+  describe('exists', () => {
+    it('can check if documents exist', async () => {
+      handler = ({ body }) => ({ response: { numFound: (body.query === 'firstName:"Bob"') ? 1 : 0, start: 0, docs: [] } });
+
+      expect(await User.where.firstName.EQ('Bob').exists()).toEqual(true);
+      expect(await User.where.firstName.EQ('Jane').exists()).toEqual(false);
+      expect(server.requests[0].body.limit).toEqual(0);
+    });
+  });
+
+  describe('query', () => {
+    it('can send a raw Lucene query', async () => {
+      handler = () => ({ response: { numFound: 0, start: 0, docs: [] } });
+
+      let result = await connection.query('firstName:Bob', { collection: 'people', params: { defType: 'lucene' } });
+
+      expect(result).toEqual({ response: { numFound: 0, start: 0, docs: [] } });
+      expect(server.requests[0].pathname).toEqual('/solr/people/select');
+      expect(server.requests[0].params).toEqual({ defType: 'lucene' });
+      expect(server.requests[0].body).toEqual({ query: 'firstName:Bob' });
+    });
+
+    it('can send a JSON Request API object, and build models', async () => {
+      let documents = createUserDocuments(2);
+      handler = () => ({ response: { numFound: 2, start: 0, docs: documents } });
+
+      let users = await connection.query({ query: '*:*', facet: { names: { type: 'terms', field: 'firstName' } } }, { Model: User, handler: 'query' });
+
+      expect(server.requests[0].pathname).toEqual('/solr/users/query');
+      expect(server.requests[0].body.facet).toEqual({ names: { type: 'terms', field: 'firstName' } });
+      expect(users.length).toEqual(2);
+      expect(users[1]).toBeInstanceOf(User);
+      expect(users[1].firstName).toEqual('First1');
+      expect(users[1].__order).toEqual(1);
+    });
+
+    it('will throw an error without a collection', async () => {
+      await expectAsync(connection.query('*:*')).toBeRejectedWithError('SOLRConnection::query: A "collection" or "Model" option must be provided.');
+    });
+  });
+
+  describe('connection options', () => {
+    const startConnection = async (options) => {
+      let { connection: otherConnection } = createConnection(Object.assign({ url: server.url }, options));
+      await otherConnection.start();
+
+      return otherConnection;
+    };
+
+    it('will validate options on start', async () => {
+      await expectAsync(createConnection({ url: null }).connection.start()).toBeRejectedWithError('SOLRConnection::validateOptions: A "url" or "nodes" option is required.');
+      await expectAsync(createConnection({ url: 'ftp://localhost/solr' }).connection.start()).toBeRejectedWithError('SOLRConnection::validateOptions: Invalid SOLR url "ftp://localhost/solr". Only "http:" and "https:" urls are supported.');
+      await expectAsync(createConnection({ password: 'secret' }).connection.start()).toBeRejectedWithError('SOLRConnection::validateOptions: A "password" was provided without a "username".');
+      await expectAsync(createConnection({ timeout: -1 }).connection.start()).toBeRejectedWithError(TypeError, 'SOLRConnection::validateOptions: "timeout" option must be a non-negative number of milliseconds.');
+      await expectAsync(createConnection({ retry: { maxAttempts: 0 } }).connection.start()).toBeRejectedWithError(TypeError, 'SOLRConnection::validateOptions: "retry.maxAttempts" option must be a number greater than or equal to 1.');
+      await expectAsync(createConnection({ tls: { cert: 'cert' } }).connection.start()).toBeRejectedWithError('SOLRConnection::validateOptions: Both "tls.cert" and "tls.key" must be provided for mutual TLS.');
+    });
+
+    it('will ping SOLR on start', async () => {
+      let otherConnection = await startConnection({ ping: true });
+
+      try {
+        expect(otherConnection.isStarted()).toEqual(true);
+        expect(server.requests[0].pathname).toEqual('/solr/admin/info/system');
+        expect(server.requests[0].params).toEqual({ wt: 'json' });
+      } finally {
+        await otherConnection.stop();
+      }
+
+      expect(otherConnection.isStarted()).toEqual(false);
+    });
+
+    it('will stop the connection if the ping fails', async () => {
+      handler = (request, response) => {
+        response.statusCode = 401;
+        return { error: { code: 401, msg: 'Unauthorized' } };
+      };
+
+      let { connection: otherConnection } = createConnection({ url: server.url, ping: true });
+
+      await expectAsync(otherConnection.start()).toBeRejectedWithError(Errors.SOLRAuthError);
+      expect(otherConnection.isStarted()).toEqual(false);
+    });
+
+    it('can map models to collections', async () => {
+      let otherConnection = await startConnection({ collections: { User: 'users_v2' } });
+
+      try {
+        expect(otherConnection.getCollectionName(otherConnection.getModel('User'))).toEqual('users_v2');
+        expect(otherConnection.getCollectionName(otherConnection.getModel('Role'))).toEqual('roles');
+        expect(otherConnection.getCollectionRequestPath('my collection', '/select')).toEqual('/my%20collection/select');
+
+        await otherConnection.query('*:*', { Model: otherConnection.getModel('User'), raw: true });
+        expect(server.requests[0].pathname).toEqual('/solr/users_v2/select');
+      } finally {
+        await otherConnection.stop();
+      }
+    });
+
+    it('will send default params and headers with every request', async () => {
+      let otherConnection = await startConnection({
+        defaultParams:  { wt: 'json', echoParams: 'none' },
+        headers:        { 'X-Request-Source': 'spec' },
+        username:       'solr',
+        password:       'SolrRocks',
+      });
+
+      try {
+        await otherConnection.query('*:*', { collection: 'users', params: { echoParams: 'all' } });
+
+        expect(server.requests[0].params).toEqual({ wt: 'json', echoParams: 'all' });
+        expect(server.requests[0].headers['x-request-source']).toEqual('spec');
+        expect(server.requests[0].headers['authorization']).toEqual(`Basic ${Buffer.from('solr:SolrRocks').toString('base64')}`);
+      } finally {
+        await otherConnection.stop();
+      }
+    });
+
+    it('can compress update requests, and disable response decompression', async () => {
+      let otherConnection = await startConnection({ compression: { request: true, response: false, threshold: 100 } });
+
+      try {
+        let OtherUser = otherConnection.getModel('User');
+
+        await otherConnection.insert(OtherUser, [ { firstName: 'x'.repeat(200) } ]);
+        await otherConnection.query('*:*', { collection: 'users' });
+
+        expect(server.requests[0].pathname).toEqual('/solr/users/update');
+        expect(server.requests[0].headers['content-encoding']).toEqual('gzip');
+        expect(server.requests[0].body[0].firstName).toEqual('x'.repeat(200));
+        expect(server.requests[1].headers['accept-encoding']).toBe(undefined);
+      } finally {
+        await otherConnection.stop();
+      }
+    });
+
+    it('will throw an error if the connection is not started', async () => {
+      let { connection: otherConnection } = createConnection();
+      await expectAsync(otherConnection.query('*:*', { collection: 'users' })).toBeRejectedWithError('SOLRConnection::makeRequest: Connection not started. Did you forget to call "start"?');
+    });
+  });
+
+  describe('isIdempotentUpdate', () => {
+    it('will only flag updates that are safe to repeat', () => {
+      expect(connection.isIdempotentUpdate({ delete: [ 'id' ] })).toEqual(true);
+      expect(connection.isIdempotentUpdate([ { id: 'a', firstName: 'Bob' } ])).toEqual(true);
+      expect(connection.isIdempotentUpdate([ { id: 'a', firstName: { set: 'Bob' }, _version_: 0 } ])).toEqual(true);
+      expect(connection.isIdempotentUpdate([ { id: 'a', _version_: -1 } ])).toEqual(false);
+      expect(connection.isIdempotentUpdate([ { id: 'a', numberInt: { inc: 1 } } ])).toEqual(false);
+      expect(connection.isIdempotentUpdate([ { id: 'a', tags: { add: 'x' } } ])).toEqual(false);
+    });
+
+    it('will retry idempotent updates only', async () => {
+      let failures = 0;
+      handler = (request, response) => {
+        if (failures++ === 0)
+          response.statusCode = 503;
+
+        return { responseHeader: { status: 0 } };
+      };
+
+      let { connection: otherConnection } = createConnection({ url: server.url, retry: { baseDelay: 1, jitter: false } });
+      await otherConnection.start();
+
+      try {
+        await otherConnection.sendUpdateRequest(User, { delete: [ 'a' ] });
+        expect(server.requests.length).toEqual(2);
+
+        failures = 0;
+        await expectAsync(otherConnection.sendUpdateRequest(User, [ { id: 'a', _version_: -1 } ])).toBeRejectedWithError(Errors.SOLRServerError);
+        expect(server.requests.length).toEqual(3);
+      } finally {
+        await otherConnection.stop();
+      }
+    });
+  });
+});
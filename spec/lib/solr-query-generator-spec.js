@@ -0,0 +1,257 @@
+'use strict';
+
+/* global describe, expect, beforeAll */
+
+const { Literals: ORMLiterals } = require('mythix-orm');
+const { Literals }              = require('../../lib');
+
+const {
+  createConnection,
+  createRunners,
+} = require('../support/test-helpers');
+
+describe('SOLRQueryGenerator', () => {
+  let connection;
+  let queryGenerator;
+  let Number;
+  let User;
+
+  // eslint-disable-next-line no-unused-vars
+  const { it, fit } = createRunners(() => connection);
+
+  beforeAll(() => {
+    let setup = createConnection();
+
+    connection      = setup.connection;
+    queryGenerator  = connection.getQueryGenerator();
+    Number          = setup.Number;
+    User            = setup.User;
+  });
+
+  describe('generateSelectQueryCondition', () => {
+    it('can generate EQ conditions', () => {
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.EQ('Bob'))).toEqual('firstName:"Bob"');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.EQ(null))).toEqual('(*:* -firstName:[* TO *])');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.EQ([ 'Bob', 'Jane' ]))).toEqual('firstName:("Bob" OR "Jane")');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.EQ([ 'Bob', null ]))).toEqual('((*:* -firstName:[* TO *]) OR firstName:("Bob"))');
+    });
+
+    it('can generate NEQ conditions', () => {
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.NEQ('Bob'))).toEqual('(firstName:[* TO *] -firstName:"Bob")');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.NEQ(null))).toEqual('firstName:[* TO *]');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.NEQ([ 'Bob', null ]))).toEqual('(firstName:[* TO *] AND (firstName:[* TO *] -firstName:("Bob")))');
+    });
+
+    it('can generate range conditions', () => {
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.GT('a'))).toEqual('firstName:{"a" TO *]');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.GTE('a'))).toEqual('firstName:["a" TO *]');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.LT('a'))).toEqual('firstName:[* TO "a"}');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.LTE('a'))).toEqual('firstName:[* TO "a"]');
+    });
+
+    it('can generate LIKE conditions', () => {
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.LIKE('B%b_'))).toEqual('firstName:B*b?');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.LIKE('100\\%'))).toEqual('firstName:100%');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.LIKE('a b%'))).toEqual('firstName:a\\ b*');
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.NOT_LIKE('B%'))).toEqual('(firstName:[* TO *] -firstName:B*)');
+    });
+
+    it('will throw an error on invalid values', () => {
+      expect(() => queryGenerator.generateSelectWhereConditions(User.where.firstName.EQ([]))).toThrow(new Error('SOLRQueryGenerator::generateSelectQueryCondition: Array value provided to "firstName.EQ" can not be empty.'));
+      expect(() => queryGenerator.generateSelectWhereConditions(User.where.firstName.GT(null))).toThrow(new TypeError('SOLRQueryGenerator::generateSelectQueryCondition: "GT" operator requires a non-null value.'));
+      expect(() => queryGenerator.generateSelectWhereConditions(User.where.firstName.GT([ 'a', 'b' ]))).toThrow(new Error('SOLRQueryGenerator::generateSelectQueryCondition: Invalid value provided to operator "GT": ["a","b"]'));
+    });
+
+    it('will throw an error on table joins', () => {
+      expect(() => queryGenerator.generateSelectWhereConditions(User.where.firstName.EQ('Bob').Role.name.EQ('admin'))).toThrow(new Error('SOLRQueryGenerator::generateSelectWhereConditions: Table joins are not supported by SOLR ("Role:name").'));
+    });
+  });
+
+  describe('generateSelectWhereConditions', () => {
+    it('can generate an empty statement', () => {
+      expect(queryGenerator.generateSelectWhereConditions(User.where)).toEqual('');
+    });
+
+    it('can join conditions with AND', () => {
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.EQ('a').lastName.EQ('b'))).toEqual('firstName:"a" AND lastName:"b"');
+    });
+
+    it('can join conditions with OR', () => {
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.EQ('a').OR.lastName.EQ('b'))).toEqual('firstName:"a" OR lastName:"b"');
+    });
+
+    it('retains operator precedence on mixed AND/OR chains', () => {
+      let query = User.where.firstName.EQ('a').lastName.EQ('b').OR.firstName.EQ('c').AND.lastName.EQ('b');
+      expect(queryGenerator.generateSelectWhereConditions(query)).toEqual('(firstName:"a" AND lastName:"b") OR (firstName:"c" AND lastName:"b")');
+
+      query = User.where.firstName.EQ('a').OR.firstName.EQ('a').AND.lastName.EQ('b');
+      expect(queryGenerator.generateSelectWhereConditions(query)).toEqual('firstName:"a" OR (firstName:"a" AND lastName:"b")');
+
+      query = User.where.firstName.EQ('a').lastName.EQ('b').OR.firstName.EQ('c').AND.lastName.EQ('d').OR.firstName.EQ('a').AND.lastName.EQ('b');
+      expect(queryGenerator.generateSelectWhereConditions(query)).toEqual('(firstName:"a" AND lastName:"b") OR (firstName:"c" AND lastName:"d") OR (firstName:"a" AND lastName:"b")');
+    });
+
+    it('will skip repeated conditions within the same AND group', () => {
+      expect(queryGenerator.generateSelectWhereConditions(User.where.firstName.EQ('a').firstName.EQ('a').lastName.EQ('b'))).toEqual('firstName:"a" AND lastName:"b"');
+    });
+
+    it('can generate sub-groups', () => {
+      let query = User.where.firstName.EQ('a').AND(User.where.lastName.EQ('b').OR.lastName.EQ('c'));
+      expect(queryGenerator.generateSelectWhereConditions(query)).toEqual('firstName:"a" AND (lastName:"b" OR lastName:"c")');
+    });
+  });
+
+  describe('generateSelectStatement', () => {
+    it('can generate a select statement', () => {
+      let query = User.where.firstName.EQ('Bob').ORDER.DESC('lastName').LIMIT(5).OFFSET(10);
+
+      expect(queryGenerator.generateSelectStatement(query)).toEqual({
+        query:  'firstName:"Bob"',
+        fields: [ 'id', 'firstName', 'lastName', 'primaryRoleID', '_version_' ],
+        sort:   'lastName desc',
+        limit:  5,
+        offset: 10,
+      });
+    });
+
+    it('will match all documents if there are no conditions', () => {
+      expect(queryGenerator.generateSelectStatement(User.where).query).toEqual('*:*');
+    });
+
+    it('can add extra filters and params', () => {
+      let body = queryGenerator.generateSelectStatement(User.where.firstName.EQ('Bob'), { filter: 'lastName:"Brown"', params: { debug: true } });
+
+      expect(body.filter).toEqual([ 'lastName:"Brown"' ]);
+      expect(body.params).toEqual({ debug: true });
+    });
+
+    it('can generate a cursorMark statement', () => {
+      let body = queryGenerator.generateSelectStatement(User.where.firstName.EQ('Bob').ORDER('firstName').LIMIT(10).OFFSET(5), { cursorMark: '*' });
+
+      expect(body.sort).toEqual('firstName asc,id asc');
+      expect(body.limit).toEqual(10);
+      expect(body.offset).toBe(undefined);
+      expect(body.params).toEqual({ cursorMark: '*' });
+    });
+
+    it('will throw an error without a query', () => {
+      expect(() => queryGenerator.generateSelectStatement()).toThrow(new Error('SOLRQueryGenerator::generateSelectStatement: A query is required as the first argument.'));
+    });
+  });
+
+  describe('appendPrimaryKeyTiebreakToSort', () => {
+    it('will append the primary key to the sort', () => {
+      expect(queryGenerator.appendPrimaryKeyTiebreakToSort(User, '')).toEqual('id asc');
+      expect(queryGenerator.appendPrimaryKeyTiebreakToSort(User, 'firstName desc')).toEqual('firstName desc,id asc');
+      expect(queryGenerator.appendPrimaryKeyTiebreakToSort(User, 'firstName desc', { reverseOrder: true })).toEqual('firstName desc,id desc');
+    });
+
+    it('will not append the primary key twice', () => {
+      expect(queryGenerator.appendPrimaryKeyTiebreakToSort(User, 'id desc,firstName asc')).toEqual('id desc,firstName asc');
+    });
+  });
+
+  describe('generateUpdateDocument', () => {
+    it('will only send the dirty fields as atomic updates', () => {
+      let user = new User({ id: '00000000-0000-4000-8000-000000000001', firstName: 'Bob', lastName: 'Brown' });
+      user.clearDirty();
+      user.firstName = 'Robert';
+
+      expect(queryGenerator.generateUpdateDocument(User, user)).toEqual({
+        id:        '00000000-0000-4000-8000-000000000001',
+        firstName: { set: 'Robert' },
+      });
+    });
+
+    it('will send the loaded version of the model', () => {
+      let user = new User({ id: '00000000-0000-4000-8000-000000000001' });
+      user.clearDirty();
+      user.lastName = null;
+      connection.setModelVersion(user, 12);
+
+      expect(queryGenerator.generateUpdateDocument(User, user)).toEqual({
+        id:        '00000000-0000-4000-8000-000000000001',
+        lastName:  { set: null },
+        _version_: 12,
+      });
+    });
+
+    it('will return nothing if the model is not dirty', () => {
+      let user = new User({ id: '00000000-0000-4000-8000-000000000001', firstName: 'Bob' });
+      user.clearDirty();
+
+      expect(queryGenerator.generateUpdateDocument(User, user)).toBe(undefined);
+    });
+
+    it('will throw an error if the model has no primary key', () => {
+      let user = new User({ firstName: 'Bob' });
+      user.id = null;
+
+      expect(() => queryGenerator.generateUpdateDocument(User, user)).toThrow(new Error('SOLRQueryGenerator::generateUpdateDocument: Model\'s primary key is empty. Models being updated must have a valid primary key.'));
+    });
+  });
+
+  describe('generateUpdateAllOperations', () => {
+    it('can generate atomic update operations', () => {
+      expect(queryGenerator.generateUpdateAllOperations(Number, {
+        numberInt:    new Literals.IncLiteral(2),
+        numberFloat:  1.5,
+      })).toEqual({
+        numberInt:    { inc: 2 },
+        numberFloat:  { set: 1.5 },
+      });
+    });
+
+    it('will skip the primary key', () => {
+      expect(queryGenerator.generateUpdateAllOperations(User, { id: '00000000-0000-4000-8000-000000000001', firstName: 'Bob' })).toEqual({
+        firstName: { set: 'Bob' },
+      });
+    });
+
+    it('can generate every atomic update operation', () => {
+      expect(queryGenerator.generateAtomicUpdateOperations(User, {
+        firstName:      new Literals.SetLiteral('Bob'),
+        lastName:       new Literals.AddLiteral('Brown'),
+        primaryRoleID:  new Literals.RemoveRegexLiteral('^x'),
+      })).toEqual({
+        firstName:      { set: 'Bob' },
+        lastName:       { add: 'Brown' },
+        primaryRoleID:  { removeregex: '^x' },
+      });
+    });
+  });
+
+  describe('generateAggregateStatement', () => {
+    it('will use numFound for a count with no field', () => {
+      expect(queryGenerator.generateAggregateStatement(Number.where.numberInt.GT(1).ORDER('numberInt').OFFSET(5), new ORMLiterals.CountLiteral())).toEqual({
+        query: 'numberInt:{1 TO *]',
+        limit: 0,
+      });
+    });
+
+    it('can generate facet functions', () => {
+      expect(queryGenerator.generateAggregateStatement(Number.where, new ORMLiterals.CountLiteral('Number:numberFloat')).facet).toEqual({ result: 'countvals(numberFloat)' });
+      expect(queryGenerator.generateAggregateStatement(Number.where, new ORMLiterals.SumLiteral('Number:numberInt')).facet).toEqual({ result: 'sum(numberInt)' });
+      expect(queryGenerator.generateAggregateStatement(Number.where, new ORMLiterals.MinLiteral('Number:numberInt')).facet).toEqual({ result: 'min(numberInt)' });
+      expect(queryGenerator.generateAggregateStatement(Number.where, new ORMLiterals.MaxLiteral('Number:numberInt')).facet).toEqual({ result: 'max(numberInt)' });
+      expect(queryGenerator.generateAggregateStatement(Number.where, new ORMLiterals.AverageLiteral('Number:numberFloat')).facet).toEqual({ result: 'avg(numberFloat)' });
+    });
+
+    it('will count unique values on a distinct query', () => {
+      expect(queryGenerator.generateAggregateStatement(User.where.DISTINCT('User:firstName'), new ORMLiterals.CountLiteral('*'))).toEqual({
+        query: '*:*',
+        limit: 0,
+        facet: { result: 'unique(firstName)' },
+      });
+    });
+
+    it('will aggregate across collapsed documents on a distinct query', () => {
+      expect(queryGenerator.generateAggregateStatement(User.where.DISTINCT('User:firstName'), new ORMLiterals.MaxLiteral('User:lastName'))).toEqual({
+        query:  '*:*',
+        filter: [ '{!collapse field=firstName}' ],
+        limit:  0,
+        facet:  { result: 'max(lastName)' },
+      });
+    });
+  });
+});
@@ -0,0 +1,221 @@
+'use strict';
+
+const HTTP  = require('node:http');
+const HTTPS = require('node:https');
+const ZLib  = require('node:zlib');
+
+function decodeRequestBody(headers, rawBody) {
+  let encoding  = ('' + (headers['content-encoding'] || '')).toLowerCase();
+  let data      = rawBody;
+
+  if (encoding === 'gzip')
+    data = ZLib.gunzipSync(rawBody);
+  else if (encoding === 'deflate')
+    data = ZLib.inflateSync(rawBody);
+
+  let text = data.toString('utf8');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+// Start a local HTTP server that pretends to be SOLR.
+//
+// "handler" is called with each received request, and the
+// raw response. If the handler returns a value, then it is
+// sent as a JSON response. If the handler writes the response
+// itself, then its return value is ignored. Provide
+// a "createServer" option to use a different server,
+// i.e. an HTTPS server.
+async function createMockSOLRServer(handler, _options) {
+  let options   = _options || {};
+  let requests  = [];
+
+  const onRequest = (request, response) => {
+    let chunks = [];
+
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', async () => {
+      let parsedURL = new URL(request.url, 'http://127.0.0.1');
+      let rawBody   = Buffer.concat(chunks);
+      let entry     = {
+        method:   request.method,
+        url:      request.url,
+        pathname: parsedURL.pathname,
+        params:   Object.fromEntries(parsedURL.searchParams.entries()),
+        headers:  request.headers,
+        rawBody,
+        body:     (rawBody.length > 0) ? decodeRequestBody(request.headers, rawBody) : undefined,
+      };
+
+      requests.push(entry);
+
+      try {
+        let result = (handler) ? await handler(entry, response) : {};
+        if (response.writableEnded || response.destroyed)
+          return;
+
+        if (!response.headersSent)
+          response.setHeader('Content-Type', 'application/json');
+
+        response.end(JSON.stringify((result === undefined) ? {} : result));
+      } catch (error) {
+        if (response.writableEnded || response.destroyed)
+          return;
+
+        response.statusCode = 500;
+        response.end(JSON.stringify({ error: { code: 500, msg: error.message } }));
+      }
+    });
+  };
+
+  let server = (options.createServer) ? options.createServer(onRequest) : HTTP.createServer(onRequest);
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  let { port }  = server.address();
+  let protocol  = (server instanceof HTTPS.Server) ? 'https' : 'http';
+
+  return {
+    server,
+    requests,
+    port,
+    url: `${protocol}://127.0.0.1:${port}/solr`,
+    close: () => {
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+
+        if (typeof server.closeAllConnections === 'function')
+          server.closeAllConnections();
+      });
+    },
+  };
+}
+
+// Respond to a JSON Request API body with a page of the provided
+// documents, honoring "offset", "limit", and "cursorMark"
+function selectDocuments(documents, body) {
+  let params  = (body && body.params) || {};
+  let limit   = (body && body.limit != null) ? body.limit : 10;
+  let start   = (params.cursorMark && params.cursorMark !== '*') ? parseInt(params.cursorMark, 10) : ((body && body.offset) || 0);
+  let docs    = documents.slice(start, start + limit);
+  let result  = { responseHeader: { status: 0 }, response: { numFound: documents.length, start, docs } };
+
+  if (params.cursorMark)
+    result.nextCursorMark = (docs.length > 0) ? ('' + (start + docs.length)) : params.cursorMark;
+
+  return result;
+}
+
+// Create a handler that pretends to be the admin and
+// Schema APIs of SOLR, backed by "state":
+// { mode: 'std' | 'solrcloud', collections: { [name]: schema },
+// configNames?: { [name]: string }, routers?: { [name]: object } }.
+// Schema API commands are applied to the stored schema,
+// so specs can check the resulting schema.
+function createSchemaHandler(state) {
+  const findByName = (items, name) => (items || []).findIndex((item) => item.name === name);
+
+  const applySchemaCommands = (schema, commands) => {
+    let names = Object.keys(commands);
+
+    for (let i = 0, il = names.length; i < il; i++) {
+      let name  = names[i];
+      let items = [].concat(commands[name]);
+
+      for (let j = 0, jl = items.length; j < jl; j++) {
+        let item = items[j];
+
+        if (name === 'add-field-type') {
+          schema.fieldTypes.push(item);
+        } else if (name === 'add-field') {
+          if (findByName(schema.fields, item.name) >= 0)
+            throw new Error(`Field '${item.name}' already exists.`);
+
+          schema.fields.push(item);
+        } else if (name === 'replace-field') {
+          let index = findByName(schema.fields, item.name);
+          if (index < 0)
+            throw new Error(`The field '${item.name}' is not present in this schema, and so cannot be replaced.`);
+
+          schema.fields[index] = item;
+        } else if (name === 'delete-field') {
+          let index = findByName(schema.fields, item.name);
+          if (index < 0)
+            throw new Error(`The field '${item.name}' is not present in this schema, and so cannot be deleted.`);
+
+          schema.fields.splice(index, 1);
+        } else if (name === 'add-copy-field') {
+          schema.copyFields.push({ source: item.source, dest: item.dest });
+        } else if (name === 'delete-copy-field') {
+          schema.copyFields = schema.copyFields.filter((copyField) => !(copyField.source === item.source && copyField.dest === item.dest));
+        } else {
+          throw new Error(`Unknown schema command "${name}".`);
+        }
+      }
+    }
+  };
+
+  const createSchema = () => ({ uniqueKey: 'id', fields: [], fieldTypes: [], dynamicFields: [], copyFields: [] });
+
+  return ({ method, pathname, params, body }) => {
+    let collections = state.collections;
+
+    if (pathname === '/solr/admin/info/system')
+      return { mode: state.mode };
+
+    if (pathname === '/solr/admin/collections') {
+      if (params.action === 'LIST')
+        return { collections: Object.keys(collections) };
+
+      if (params.action === 'CLUSTERSTATUS') {
+        let configName  = (state.configNames || {})[params.collection] || '_default';
+        let router      = (state.routers || {})[params.collection] || { name: 'compositeId' };
+
+        return { cluster: { collections: { [params.collection]: { configName, router, shards: {} } } } };
+      }
+
+      if (params.action === 'CREATE')
+        collections[params.name] = createSchema();
+      else if (params.action === 'DELETE')
+        delete collections[params.name];
+
+      return { responseHeader: { status: 0 } };
+    }
+
+    if (pathname === '/solr/admin/cores') {
+      if (params.action === 'STATUS')
+        return { status: { [params.core]: (collections[params.core]) ? { name: params.core } : {} } };
+
+      if (params.action === 'CREATE')
+        collections[params.name] = createSchema();
+      else if (params.action === 'UNLOAD')
+        delete collections[params.core];
+
+      return { responseHeader: { status: 0 } };
+    }
+
+    let match = pathname.match(/^\/solr\/([^/]+)\/schema$/);
+    if (match) {
+      let schema = collections[decodeURIComponent(match[1])];
+      if (!schema)
+        throw new Error(`Collection "${match[1]}" not found.`);
+
+      if (method === 'POST')
+        applySchemaCommands(schema, body);
+
+      return { responseHeader: { status: 0 }, schema };
+    }
+
+    return { responseHeader: { status: 0 } };
+  };
+}
+
+module.exports = {
+  createMockSOLRServer,
+  createSchemaHandler,
+  selectDocuments,
+};
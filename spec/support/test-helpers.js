@@ -1,5 +1,8 @@
 'use strict';
 
+const { SOLRConnection }  = require('../../lib');
+const TestModels          = require('./models');
+
 const UUID_REGEXP         = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
 const XID_REGEXP          = /^[0-9abcdefghjkmnpqrstvwxyz]{20}$/;
 const ISO8601_TIME_REGEXP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}(Z|[-+]\d\d:\d\d)/;
@@ -25,6 +28,18 @@ function createFIT(func, getConnection) {
   };
 }
 
+function createConnection(options) {
+  let connection = new SOLRConnection({
+    url:        'http://127.0.0.1:8983/solr',
+    bindModels: false,
+    ping:       false,
+    models:     TestModels,
+    ...(options || {}),
+  });
+
+  return { connection, ...connection.getModels() };
+}
+
 function createRunners(getConnection) {
   return {
     it:  createIT(_it, getConnection),
@@ -37,5 +52,6 @@ module.exports = {
   XID_REGEXP,
   ISO8601_TIME_REGEXP,
   ISO8601_DATE_REGEXP,
+  createConnection,
   createRunners,
 };
@@ -0,0 +1,54 @@
+'use strict';
+
+const FileSystem        = require('node:fs');
+const Path              = require('node:path');
+const OS                = require('node:os');
+const { execFileSync }  = require('node:child_process');
+
+function openssl(cwd, args) {
+  execFileSync('openssl', args, { cwd, stdio: 'ignore', timeout: 30000 });
+}
+
+function createSignedCertificate(cwd, name, commonName, extensions) {
+  openssl(cwd, [ 'req', '-newkey', 'rsa:2048', '-nodes', '-keyout', `${name}.key`, '-subj', `/CN=${commonName}`, '-out', `${name}.csr` ]);
+
+  let args = [ 'x509', '-req', '-in', `${name}.csr`, '-CA', 'ca.crt', '-CAkey', 'ca.key', '-CAcreateserial', '-days', '1', '-out', `${name}.crt` ];
+  if (extensions) {
+    FileSystem.writeFileSync(Path.join(cwd, `${name}.ext`), extensions);
+    args.push('-extfile', `${name}.ext`);
+  }
+
+  openssl(cwd, args);
+}
+
+// Generate a throw-away certificate authority, and
+// server and client certificates signed by it, using
+// the "openssl" command line tool. If "openssl" isn't
+// available, then "undefined" is returned.
+function createTLSFixtures() {
+  let cwd = FileSystem.mkdtempSync(Path.join(OS.tmpdir(), 'mythix-orm-solr-tls-'));
+
+  try {
+    openssl(cwd, [ 'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-keyout', 'ca.key', '-subj', '/CN=Mythix ORM SOLR Test CA', '-days', '1', '-out', 'ca.crt' ]);
+    createSignedCertificate(cwd, 'server', 'localhost', 'subjectAltName=IP:127.0.0.1,DNS:localhost\n');
+    createSignedCertificate(cwd, 'client', 'mythix-client');
+
+    const read = (fileName) => FileSystem.readFileSync(Path.join(cwd, fileName));
+
+    return {
+      ca:         read('ca.crt'),
+      serverCert: read('server.crt'),
+      serverKey:  read('server.key'),
+      clientCert: read('client.crt'),
+      clientKey:  read('client.key'),
+    };
+  } catch (error) {
+    return;
+  } finally {
+    FileSystem.rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  createTLSFixtures,
+};